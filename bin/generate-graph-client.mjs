@@ -1,8 +1,9 @@
 #!/usr/bin/env node
 
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { downloadGraphOpenAPI } from './modules/download-openapi.mjs';
+import { BETA_OPENAPI_URL, downloadGraphOpenAPI } from './modules/download-openapi.mjs';
 import { generateMcpTools } from './modules/generate-mcp-tools.mjs';
 import { createAndSaveSimplifiedOpenAPI } from './modules/simplified-openapi.mjs';
 
@@ -13,6 +14,7 @@ const openapiDir = path.join(rootDir, 'openapi');
 const srcDir = path.join(rootDir, 'src');
 
 const openapiFile = path.join(openapiDir, 'openapi.yaml');
+const openapiBetaFile = path.join(openapiDir, 'openapi-beta.yaml');
 const openapiTrimmedFile = path.join(openapiDir, 'openapi-trimmed.yaml');
 const endpointsFile = path.join(srcDir, 'endpoints.json');
 
@@ -40,8 +42,30 @@ async function main() {
       console.log('\n⏭️ Download skipped (file exists)');
     }
 
+    const endpoints = JSON.parse(fs.readFileSync(endpointsFile, 'utf8'));
+    const needsBeta = endpoints.some((endpoint) => endpoint.apiVersion === 'beta');
+    if (needsBeta) {
+      console.log('\n📥 Step 1b: Downloading beta OpenAPI specification');
+      const betaDownloaded = await downloadGraphOpenAPI(
+        openapiDir,
+        openapiBetaFile,
+        BETA_OPENAPI_URL,
+        forceDownload
+      );
+      console.log(
+        betaDownloaded
+          ? '\n✅ Beta OpenAPI specification successfully downloaded'
+          : '\n⏭️ Beta download skipped (file exists)'
+      );
+    }
+
     console.log('\n🔧 Step 2: Creating simplified OpenAPI specification');
-    createAndSaveSimplifiedOpenAPI(endpointsFile, openapiFile, openapiTrimmedFile);
+    createAndSaveSimplifiedOpenAPI(
+      endpointsFile,
+      openapiFile,
+      openapiTrimmedFile,
+      needsBeta ? openapiBetaFile : undefined
+    );
     console.log('✅ Successfully created simplified OpenAPI specification');
 
     console.log('\n🚀 Step 3: Generating client code using openapi-zod-client');
@@ -3,6 +3,9 @@ import fs from 'fs';
 const DEFAULT_OPENAPI_URL =
   'https://raw.githubusercontent.com/microsoftgraph/msgraph-metadata/refs/heads/master/openapi/v1.0/openapi.yaml';
 
+export const BETA_OPENAPI_URL =
+  'https://raw.githubusercontent.com/microsoftgraph/msgraph-metadata/refs/heads/master/openapi/beta/openapi.yaml';
+
 export async function downloadGraphOpenAPI(
   targetDir,
   targetFile,
@@ -1,13 +1,27 @@
 import fs from 'fs';
 import yaml from 'js-yaml';
 
-export function createAndSaveSimplifiedOpenAPI(endpointsFile, openapiFile, openapiTrimmedFile) {
+export function createAndSaveSimplifiedOpenAPI(
+  endpointsFile,
+  openapiFile,
+  openapiTrimmedFile,
+  openapiBetaFile
+) {
   const allEndpoints = JSON.parse(fs.readFileSync(endpointsFile, 'utf8'));
   const endpoints = allEndpoints.filter((endpoint) => !endpoint.disabled);
 
   const spec = fs.readFileSync(openapiFile, 'utf8');
   const openApiSpec = yaml.load(spec);
 
+  const betaEndpoints = endpoints.filter((endpoint) => endpoint.apiVersion === 'beta');
+  if (betaEndpoints.length > 0) {
+    if (!openapiBetaFile) {
+      throw new Error('Endpoints with apiVersion "beta" require the beta OpenAPI spec.');
+    }
+    const betaSpec = yaml.load(fs.readFileSync(openapiBetaFile, 'utf8'));
+    mergeBetaOperations(openApiSpec, betaSpec, endpoints);
+  }
+
   for (const endpoint of endpoints) {
     if (!openApiSpec.paths[endpoint.pathPattern]) {
       throw new Error(`Path "${endpoint.pathPattern}" not found in OpenAPI spec.`);
@@ -65,6 +79,130 @@ export function createAndSaveSimplifiedOpenAPI(endpointsFile, openapiFile, opena
   fs.writeFileSync(openapiTrimmedFile, yaml.dump(openApiSpec));
 }
 
+/**
+ * Copies the operations of beta endpoints from the beta spec into the v1.0 spec, so that a single
+ * client is generated for both versions. Only the components these operations reference, directly
+ * or through other components, are copied. Where v1.0 defines such a component differently, the
+ * beta one is copied as `beta.<name>` and the beta operations point at it, so v1.0 operations keep
+ * their schemas. An operation can only be generated once, so a beta endpoint may not share its
+ * path and method with a v1.0 endpoint.
+ */
+export function mergeBetaOperations(openApiSpec, betaSpec, endpoints) {
+  const v1Tools = new Map(
+    endpoints
+      .filter((endpoint) => endpoint.apiVersion !== 'beta')
+      .map((endpoint) => [
+        `${endpoint.method.toLowerCase()} ${endpoint.pathPattern}`,
+        endpoint.toolName,
+      ])
+  );
+  const betaOperations = [];
+
+  for (const endpoint of endpoints.filter((endpoint) => endpoint.apiVersion === 'beta')) {
+    const method = endpoint.method.toLowerCase();
+    const v1Tool = v1Tools.get(`${method} ${endpoint.pathPattern}`);
+    if (v1Tool) {
+      throw new Error(
+        `Beta endpoint "${endpoint.toolName}" uses ${endpoint.method.toUpperCase()} "${endpoint.pathPattern}", which v1.0 endpoint "${v1Tool}" already uses.`
+      );
+    }
+
+    const betaOperation = betaSpec.paths?.[endpoint.pathPattern]?.[method];
+    if (!betaOperation) {
+      throw new Error(
+        `Path "${endpoint.pathPattern}" (${endpoint.method}) not found in beta OpenAPI spec.`
+      );
+    }
+
+    const operation = cloneSchema(betaOperation);
+    openApiSpec.paths[endpoint.pathPattern] ??= {};
+    openApiSpec.paths[endpoint.pathPattern][method] = operation;
+    betaOperations.push(operation);
+  }
+
+  const betaComponent = (ref) => {
+    const [, section, name] = ref.match(COMPONENT_REF) || [];
+    return section ? betaSpec.components?.[section]?.[name] : undefined;
+  };
+
+  // Components reachable from the beta operations, with the components each one references
+  const referenced = new Map();
+  const pending = betaOperations.flatMap((operation) => findComponentRefs(operation));
+  while (pending.length > 0) {
+    const ref = pending.pop();
+    const component = betaComponent(ref);
+    if (referenced.has(ref) || component === undefined) {
+      continue;
+    }
+    const refs = findComponentRefs(component);
+    referenced.set(ref, refs);
+    pending.push(...refs);
+  }
+
+  // A component that only matches its v1.0 namesake through the components it references needs
+  // the beta name as soon as one of those does
+  const renamed = new Map();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const [ref, refs] of referenced) {
+      const [, section, name] = ref.match(COMPONENT_REF);
+      const v1Component = openApiSpec.components?.[section]?.[name];
+      if (
+        renamed.has(ref) ||
+        v1Component === undefined ||
+        (JSON.stringify(v1Component) === JSON.stringify(betaComponent(ref)) &&
+          !refs.some((child) => renamed.has(child)))
+      ) {
+        continue;
+      }
+      renamed.set(ref, `#/components/${section}/beta.${name}`);
+      changed = true;
+    }
+  }
+
+  openApiSpec.components ??= {};
+  for (const ref of referenced.keys()) {
+    const [, section, name] = ref.match(COMPONENT_REF);
+    if (openApiSpec.components[section]?.[name] !== undefined && !renamed.has(ref)) {
+      continue;
+    }
+    const copy = cloneSchema(betaComponent(ref));
+    renameComponentRefs(copy, renamed);
+    openApiSpec.components[section] ??= {};
+    openApiSpec.components[section][renamed.has(ref) ? `beta.${name}` : name] = copy;
+  }
+  betaOperations.forEach((operation) => renameComponentRefs(operation, renamed));
+}
+
+const COMPONENT_REF = /^#\/components\/([^/]+)\/(.+)$/;
+
+function findComponentRefs(obj, refs = [], visited = new Set()) {
+  if (!obj || typeof obj !== 'object' || visited.has(obj)) return refs;
+  visited.add(obj);
+
+  for (const [key, value] of Object.entries(obj)) {
+    if (key === '$ref' && typeof value === 'string' && COMPONENT_REF.test(value)) {
+      refs.push(value);
+    } else if (typeof value === 'object') {
+      findComponentRefs(value, refs, visited);
+    }
+  }
+  return refs;
+}
+
+function renameComponentRefs(obj, renamed) {
+  if (!obj || typeof obj !== 'object') return;
+
+  for (const [key, value] of Object.entries(obj)) {
+    if (key === '$ref' && renamed.has(value)) {
+      obj[key] = renamed.get(value);
+    } else if (typeof value === 'object') {
+      renameComponentRefs(value, renamed);
+    }
+  }
+}
+
 function normalizeSchemaRefs(openApiSpec) {
   if (!openApiSpec || typeof openApiSpec !== 'object') {
     return;
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import { z } from 'zod';
+import type { Configuration } from '@azure/msal-node';
+import type { Endpoint } from './generated/endpoint-types.js';
+import { authorityFor, getCloudEndpoints } from './cloud-config.js';
+
+// Client credentials can only request the application permissions granted to the app as a whole
+export function appOnlyScope(): string {
+  return `${getCloudEndpoints().graphUrl}/.default`;
+}
+
+const MULTI_TENANT_AUTHORITIES = ['common', 'organizations', 'consumers'];
+
+/**
+ * Builds the ConfidentialClientApplication configuration for app-only mode from the environment.
+ * The app authenticates with a client secret or with a PEM file holding the certificate and its
+ * private key.
+ */
+export function buildAppOnlyConfig(
+  env: Record<string, string | undefined> = process.env
+): Configuration {
+  const clientId = env.MS365_MCP_CLIENT_ID;
+  const tenantId = env.MS365_MCP_TENANT_ID;
+
+  if (!clientId) {
+    throw new Error('App-only mode requires MS365_MCP_CLIENT_ID of your own app registration');
+  }
+  if (!tenantId || MULTI_TENANT_AUTHORITIES.includes(tenantId.toLowerCase())) {
+    throw new Error('App-only mode requires MS365_MCP_TENANT_ID to name a specific tenant');
+  }
+
+  const auth: Configuration['auth'] = {
+    clientId,
+    authority: authorityFor(tenantId),
+  };
+
+  if (env.MS365_MCP_CLIENT_CERTIFICATE_PATH) {
+    const pem = readFileSync(env.MS365_MCP_CLIENT_CERTIFICATE_PATH, 'utf8');
+    const certificate = new crypto.X509Certificate(pem);
+    const privateKey = crypto
+      .createPrivateKey({ key: pem, passphrase: env.MS365_MCP_CLIENT_CERTIFICATE_PASSWORD })
+      .export({ format: 'pem', type: 'pkcs8' })
+      .toString();
+
+    auth.clientCertificate = {
+      thumbprintSha256: certificate.fingerprint256.replace(/:/g, ''),
+      privateKey,
+      x5c: certificate.toString(),
+    };
+  } else if (env.MS365_MCP_CLIENT_SECRET) {
+    auth.clientSecret = env.MS365_MCP_CLIENT_SECRET;
+  } else {
+    throw new Error(
+      'App-only mode requires MS365_MCP_CLIENT_SECRET or MS365_MCP_CLIENT_CERTIFICATE_PATH'
+    );
+  }
+
+  return { auth };
+}
+
+/**
+ * There is no signed-in user in app-only mode, so tools on `/me` are rewritten to address a user
+ * explicitly through a `userId` parameter. Other tools are returned unchanged.
+ */
+export function toAppOnlyEndpoint(tool: Endpoint): Endpoint {
+  if (tool.path !== '/me' && !tool.path.startsWith('/me/')) {
+    return tool;
+  }
+
+  return {
+    ...tool,
+    path: `/users/:userId${tool.path.substring(3)}`,
+    parameters: [
+      {
+        name: 'userId',
+        type: 'Path',
+        schema: z.string().describe('ID or userPrincipalName of the user to act on'),
+      },
+      ...(tool.parameters || []),
+    ],
+  };
+}
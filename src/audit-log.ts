@@ -0,0 +1,266 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+import type { GraphResponseInfo } from './graph-client.js';
+import { parseRequestBody } from './policy.js';
+
+export type AuditBodyMode = 'hash' | 'redacted' | 'full';
+
+export const AUDIT_BODY_MODES: AuditBodyMode[] = ['hash', 'redacted', 'full'];
+
+export const DEFAULT_AUDIT_MAX_SIZE = 10 * 1024 * 1024;
+export const DEFAULT_AUDIT_MAX_FILES = 5;
+
+// Body fields that are never written to the audit log, whatever the body mode
+const SECRET_FIELDS = /password|secret|token|contentBytes/i;
+
+export interface AuditLogOptions {
+  bodyMode?: AuditBodyMode;
+  // Size at which the log is rotated to <file>.1
+  maxSizeBytes?: number;
+  // Rotated files kept next to the current one
+  maxFiles?: number;
+}
+
+export interface AuditRecord {
+  timestamp: string;
+  account?: string;
+  tool: string;
+  method: string;
+  path: string;
+  status?: number;
+  requestId?: string;
+  clientRequestId?: string;
+  durationMs: number;
+  bodySha256?: string;
+  body?: unknown;
+  error?: string;
+}
+
+export interface AuditOutcome {
+  // Overrides the status of the Graph response, e.g. for the entries of a batch
+  status?: number;
+  error?: string;
+}
+
+type AuditBody = string | Buffer | undefined;
+
+function redact(value: unknown, maskAll: boolean): unknown {
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, maskAll));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_FIELDS.test(key) ? '[redacted]' : redact(item, maskAll),
+      ])
+    );
+  }
+  return maskAll && typeof value === 'string' ? '[redacted]' : value;
+}
+
+/**
+ * The body as recorded: `full` keeps it apart from secret fields, `redacted` keeps only its
+ * structure, numbers and booleans, and `hash` leaves it out.
+ */
+export function redactBody(body: AuditBody, mode: AuditBodyMode): unknown {
+  if (body === undefined || mode === 'hash') {
+    return undefined;
+  }
+  if (Buffer.isBuffer(body)) {
+    return `[${body.length} bytes]`;
+  }
+  const parsed = parseRequestBody(body);
+  if (typeof parsed === 'string') {
+    return mode === 'full' ? parsed : '[redacted]';
+  }
+  return redact(parsed, mode === 'redacted');
+}
+
+function graphPath(url: string): string {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return url.split('?')[0];
+  }
+}
+
+/**
+ * One write call on its way to Graph. The record is written once the call finishes, so calls
+ * that are held for confirmation and never run leave no trace.
+ */
+export class AuditCall {
+  private log: AuditLog;
+  private tool: string;
+  private method: string;
+  private url: string;
+  private body: AuditBody;
+  private startedAt = Date.now();
+  private response?: GraphResponseInfo;
+  private finished = false;
+
+  constructor(log: AuditLog, tool: string, method: string, url: string, body: AuditBody) {
+    this.log = log;
+    this.tool = tool;
+    this.method = method;
+    this.url = url;
+    this.body = body;
+  }
+
+  // Passed to GraphRequestOptions.onResponse to pick up the status and request IDs
+  readonly onResponse = (info: GraphResponseInfo): void => {
+    this.response = info;
+  };
+
+  /**
+   * Finishes the record with the error of a failed tool result, if any.
+   */
+  finishWithResult(result: { isError?: boolean; content: Array<{ type: string }> }): void {
+    if (!result.isError) {
+      this.finish();
+      return;
+    }
+    const text = (result.content[0] as { text?: string } | undefined)?.text ?? '';
+    let error = text;
+    try {
+      error = JSON.parse(text).error ?? text;
+    } catch {
+      // Not a JSON error body, keep the text
+    }
+    this.finish({ error: error || 'Unknown error' });
+  }
+
+  finish(outcome: AuditOutcome = {}): void {
+    if (this.finished) {
+      return;
+    }
+    this.finished = true;
+    this.log.write({
+      timestamp: new Date().toISOString(),
+      account: this.response?.account,
+      tool: this.tool,
+      method: this.method,
+      path: graphPath(this.url),
+      status: outcome.status ?? this.response?.status,
+      requestId: this.response?.requestId,
+      clientRequestId: this.response?.clientRequestId,
+      durationMs: Date.now() - this.startedAt,
+      bodySha256:
+        this.body === undefined
+          ? undefined
+          : crypto.createHash('sha256').update(this.body).digest('hex'),
+      body: redactBody(this.body, this.log.bodyMode),
+      error: outcome.error,
+    });
+  }
+}
+
+/**
+ * Append-only JSON Lines trail of the calls that change data, rotated by size. Records hold a
+ * hash of the request body and never the tokens or headers of the request.
+ */
+export default class AuditLog {
+  readonly file: string;
+  readonly bodyMode: AuditBodyMode;
+  private maxSizeBytes: number;
+  private maxFiles: number;
+
+  constructor(file: string, options: AuditLogOptions = {}) {
+    this.file = file;
+    this.bodyMode = options.bodyMode ?? 'hash';
+    this.maxSizeBytes = options.maxSizeBytes ?? DEFAULT_AUDIT_MAX_SIZE;
+    this.maxFiles = options.maxFiles ?? DEFAULT_AUDIT_MAX_FILES;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  begin(tool: string, method: string, url: string, body?: AuditBody): AuditCall {
+    return new AuditCall(this, tool, method.toUpperCase(), url, body);
+  }
+
+  write(record: AuditRecord): void {
+    const line = `${JSON.stringify(record)}\n`;
+    try {
+      if (fs.existsSync(this.file)) {
+        const { size } = fs.statSync(this.file);
+        if (size > 0 && size + Buffer.byteLength(line) > this.maxSizeBytes) {
+          this.rotate();
+        }
+      }
+      fs.appendFileSync(this.file, line, { mode: 0o600 });
+    } catch (error) {
+      // The call already ran, so losing its record is reported rather than failing the tool
+      logger.error(`Failed to write audit record for ${record.tool}: ${(error as Error).message}`);
+    }
+  }
+
+  private rotate(): void {
+    fs.rmSync(`${this.file}.${this.maxFiles}`, { force: true });
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${this.file}.${i}`)) {
+        fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+      }
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.file, `${this.file}.1`);
+    } else {
+      fs.rmSync(this.file);
+    }
+  }
+}
+
+/**
+ * The most recent records of an audit log, oldest first, reading rotated files as needed.
+ */
+export function readAuditEntries(file: string, count: number): AuditRecord[] {
+  const entries: AuditRecord[] = [];
+  for (let i = 0; entries.length < count; i++) {
+    const current = i === 0 ? file : `${file}.${i}`;
+    if (!fs.existsSync(current)) {
+      break;
+    }
+    const records = fs
+      .readFileSync(current, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .flatMap((line) => {
+        try {
+          return [JSON.parse(line) as AuditRecord];
+        } catch {
+          return [];
+        }
+      });
+    entries.unshift(...records.slice(-(count - entries.length)));
+  }
+  return entries;
+}
+
+let activeAuditLog: AuditLog | undefined;
+
+/**
+ * Sets the audit log that write tools record their calls in, called once at startup.
+ */
+export function configureAuditLog(auditLog: AuditLog | undefined): void {
+  activeAuditLog = auditLog;
+}
+
+export function getAuditLog(): AuditLog | undefined {
+  return activeAuditLog;
+}
+
+/**
+ * Starts the record of a tool call, or returns undefined when there is no audit log or the call
+ * only reads.
+ */
+export function beginAudit(
+  tool: string,
+  method: string,
+  url: string,
+  body?: AuditBody
+): AuditCall | undefined {
+  if (!activeAuditLog || method.toUpperCase() === 'GET') {
+    return undefined;
+  }
+  return activeAuditLog.begin(tool, method, url, body);
+}
@@ -1,8 +1,31 @@
 import { z } from 'zod';
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
-import AuthManager from './auth.js';
+import AuthManager, { buildScopesFromEndpoints } from './auth.js';
+import logger from './logger.js';
+import type ToolSet from './tool-set.js';
+import type ConfirmationGate from './confirmation.js';
+import type ConsentManager from './consent.js';
+
+/**
+ * Registers the login and account tools. With a tool set, set-org-mode and set-read-only are
+ * registered too, and the tools offered follow the selected account. Changes that make more
+ * tools available wait for the user when a confirmation gate is given. With incremental consent,
+ * check-permissions reports which tools can be used with the permissions granted so far.
+ * `localSignIn` tells whether the AuthManager signs in for this server; only then does
+ * set-org-mode change the scopes it requests.
+ */
+export function registerAuthTools(
+  server: McpServer,
+  authManager: AuthManager,
+  toolSet?: ToolSet,
+  confirmation?: ConfirmationGate,
+  consent?: ConsentManager,
+  localSignIn: boolean = true
+): void {
+  const syncAccount = async (): Promise<void> => {
+    await toolSet?.syncAccount(authManager);
+  };
 
-export function registerAuthTools(server: McpServer, authManager: AuthManager): void {
   server.tool(
     'login',
     'Authenticate with Microsoft using device code flow',
@@ -29,7 +52,7 @@ export function registerAuthTools(server: McpServer, authManager: AuthManager):
         }
 
         const text = await new Promise<string>((resolve, reject) => {
-          authManager.acquireTokenByDeviceCode(resolve).catch(reject);
+          authManager.acquireTokenByDeviceCode(resolve).then(syncAccount, reject);
         });
         return {
           content: [
@@ -58,6 +81,7 @@ export function registerAuthTools(server: McpServer, authManager: AuthManager):
   server.tool('logout', 'Log out from Microsoft account', {}, async () => {
     try {
       await authManager.logout();
+      await syncAccount();
       return {
         content: [
           {
@@ -80,6 +104,7 @@ export function registerAuthTools(server: McpServer, authManager: AuthManager):
 
   server.tool('verify-login', 'Check current Microsoft authentication status', {}, async () => {
     const testResult = await authManager.testLogin();
+    await syncAccount();
 
     return {
       content: [
@@ -132,6 +157,7 @@ export function registerAuthTools(server: McpServer, authManager: AuthManager):
       try {
         const success = await authManager.selectAccount(accountId);
         if (success) {
+          await syncAccount();
           return {
             content: [
               {
@@ -175,6 +201,7 @@ export function registerAuthTools(server: McpServer, authManager: AuthManager):
       try {
         const success = await authManager.removeAccount(accountId);
         if (success) {
+          await syncAccount();
           return {
             content: [
               {
@@ -207,4 +234,178 @@ export function registerAuthTools(server: McpServer, authManager: AuthManager):
       }
     }
   );
+
+  if (consent) {
+    server.tool(
+      'check-permissions',
+      'Check which permissions the signed-in account has granted and whether tools can be used without asking for more. Missing permissions are requested when a tool needs them.',
+      {
+        tool: z
+          .string()
+          .optional()
+          .describe('Name of a tool to check (defaults to a summary of all tools)'),
+      },
+      async ({ tool }) => {
+        const permissions = await consent.getPermissions(tool ? [tool] : undefined);
+        if (tool && permissions.tools.length === 0) {
+          return {
+            content: [{ type: 'text', text: JSON.stringify({ error: `Unknown tool ${tool}` }) }],
+            isError: true,
+          };
+        }
+
+        const pending = permissions.tools.filter((entry) => !entry.ready);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(
+                tool
+                  ? { grantedScopes: permissions.grantedScopes, ...permissions.tools[0] }
+                  : {
+                      grantedScopes: permissions.grantedScopes,
+                      readyTools: permissions.tools
+                        .filter((entry) => entry.ready)
+                        .map((entry) => entry.tool),
+                      toolsNeedingConsent: pending.length,
+                      missingScopes: [...new Set(pending.flatMap((entry) => entry.missingScopes))],
+                    }
+              ),
+            },
+          ],
+        };
+      }
+    );
+  }
+
+  if (!toolSet) {
+    return;
+  }
+
+  const confirmationParam = confirmation
+    ? {
+        confirmationToken: z
+          .string()
+          .optional()
+          .describe(
+            'Token from the preview of this change, to apply it after the user approved it. Omit it to get the preview'
+          ),
+      }
+    : {};
+
+  server.tool(
+    'set-org-mode',
+    'Switch organization mode on or off. It offers the work account tools (Teams, SharePoint, users, ...) when a work or school account is selected.',
+    {
+      enabled: z.boolean().describe('Whether organization mode should be on'),
+      ...confirmationParam,
+    },
+    async (params, extra) => {
+      const { enabled } = params;
+      if (confirmation && enabled && !toolSet.getState().orgMode) {
+        const held = await confirmation.confirm(
+          server,
+          extra,
+          { tool: 'set-org-mode', change: 'Switch organization mode on' },
+          params
+        );
+        if (held) {
+          return held;
+        }
+      }
+
+      // Work account tools need scopes that are only requested in org mode, unless each tool
+      // asks for its own. Over HTTP the client brings its tokens, and the AuthManager is shared by
+      // every caller, so it is left alone.
+      const switchScopes = localSignIn && !consent;
+      if (switchScopes) {
+        authManager.setScopes(buildScopesFromEndpoints(enabled));
+      }
+      const changes = toolSet.update({ orgMode: enabled });
+      logger.info(`Organization mode switched ${enabled ? 'on' : 'off'}`);
+
+      let loginRequired = false;
+      if (enabled && switchScopes) {
+        try {
+          await authManager.getToken();
+        } catch {
+          loginRequired = true;
+        }
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              orgMode: enabled,
+              enabledTools: changes.enabled,
+              disabledTools: changes.disabled,
+              ...(toolSet.getState().personalAccount &&
+                enabled && {
+                  message: 'Work account tools stay hidden while a personal account is selected',
+                }),
+              ...(loginRequired && {
+                loginRequired: true,
+                message:
+                  'The work account permissions have not been granted yet. Run login with force=true to grant them',
+              }),
+            }),
+          },
+        ],
+      };
+    }
+  );
+
+  server.tool(
+    'set-read-only',
+    'Switch read-only mode on or off. In read-only mode, only tools that read data are offered.',
+    {
+      enabled: z.boolean().describe('Whether read-only mode should be on'),
+      ...confirmationParam,
+    },
+    async (params, extra) => {
+      const { enabled } = params;
+      if (!enabled && toolSet.isReadOnlyLocked()) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                error:
+                  'Read-only mode was set when the server was started (--read-only) and cannot be switched off',
+              }),
+            },
+          ],
+          isError: true,
+        };
+      }
+      if (confirmation && !enabled && toolSet.getState().readOnly) {
+        const held = await confirmation.confirm(
+          server,
+          extra,
+          { tool: 'set-read-only', change: 'Switch read-only mode off, allowing changes to data' },
+          params
+        );
+        if (held) {
+          return held;
+        }
+      }
+
+      const changes = toolSet.update({ readOnly: enabled });
+      logger.info(`Read-only mode switched ${enabled ? 'on' : 'off'}`);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              readOnly: enabled,
+              enabledTools: changes.enabled,
+              disabledTools: changes.disabled,
+            }),
+          },
+        ],
+      };
+    }
+  );
 }
@@ -1,8 +1,10 @@
-import type { AccountInfo, Configuration } from '@azure/msal-node';
-import { PublicClientApplication } from '@azure/msal-node';
-import keytar from 'keytar';
+import type { AccountInfo, AuthenticationResult, Configuration } from '@azure/msal-node';
+import { ConfidentialClientApplication, PublicClientApplication } from '@azure/msal-node';
 import logger from './logger.js';
-import fs, { existsSync, readFileSync } from 'fs';
+import { appOnlyScope } from './app-only.js';
+import { authorityFor, getCloudEndpoints, qualifyScope } from './cloud-config.js';
+import { createTokenStorage, resolveStorageDir, type TokenStorage } from './token-storage.js';
+import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import path from 'path';
 
@@ -12,6 +14,7 @@ interface EndpointConfig {
   toolName: string;
   scopes?: string[];
   workScopes?: string[];
+  appScopes?: string[];
 }
 
 const __filename = fileURLToPath(import.meta.url);
@@ -24,19 +27,22 @@ const endpoints = {
   default: endpointsData,
 };
 
-const SERVICE_NAME = 'ms-365-mcp-server';
-const TOKEN_CACHE_ACCOUNT = 'msal-token-cache';
-const SELECTED_ACCOUNT_KEY = 'selected-account';
-const FALLBACK_DIR = path.dirname(fileURLToPath(import.meta.url));
-const FALLBACK_PATH = path.join(FALLBACK_DIR, '..', '.token-cache.json');
-const SELECTED_ACCOUNT_PATH = path.join(FALLBACK_DIR, '..', '.selected-account.json');
-
-const DEFAULT_CONFIG: Configuration = {
-  auth: {
-    clientId: process.env.MS365_MCP_CLIENT_ID || '084a3e9f-a9f4-43f7-89f9-d229cf97853e',
-    authority: `https://login.microsoftonline.com/${process.env.MS365_MCP_TENANT_ID || 'common'}`,
-  },
-};
+// Built on use, as the cloud is only configured once the command line has been parsed
+function defaultConfig(): Configuration {
+  return {
+    auth: {
+      clientId: process.env.MS365_MCP_CLIENT_ID || '084a3e9f-a9f4-43f7-89f9-d229cf97853e',
+      authority: authorityFor(process.env.MS365_MCP_TENANT_ID || 'common'),
+    },
+  };
+}
+
+// Tenant of personal Microsoft accounts (outlook.com, hotmail.com, ...)
+const PERSONAL_ACCOUNT_TENANT_ID = '9188040d-6c67-4c5b-b112-36a304b66dad';
+
+export function isPersonalAccount(account: AccountInfo): boolean {
+  return account.tenantId === PERSONAL_ACCOUNT_TENANT_ID;
+}
 
 interface ScopeHierarchy {
   [key: string]: string[];
@@ -50,9 +56,23 @@ const SCOPE_HIERARCHY: ScopeHierarchy = {
   'Contacts.ReadWrite': ['Contacts.Read'],
 };
 
-function buildScopesFromEndpoints(includeWorkAccountScopes: boolean = false): string[] {
+/**
+ * Collects the delegated scopes the tools need, or with `appOnly` the application permissions
+ * that have to be granted to the app registration (tokens are then requested with `.default`).
+ */
+function buildScopesFromEndpoints(
+  includeWorkAccountScopes: boolean = false,
+  appOnly: boolean = false
+): string[] {
   const scopesSet = new Set<string>();
 
+  if (appOnly) {
+    endpoints.default.forEach((endpoint) => {
+      endpoint.appScopes?.forEach((scope) => scopesSet.add(scope));
+    });
+    return Array.from(scopesSet);
+  }
+
   endpoints.default.forEach((endpoint) => {
     // Skip endpoints that only have workScopes if not in work mode
     if (!includeWorkAccountScopes && !endpoint.scopes && endpoint.workScopes) {
@@ -80,6 +100,29 @@ function buildScopesFromEndpoints(includeWorkAccountScopes: boolean = false): st
   return Array.from(scopesSet);
 }
 
+function normalizeScope(scope: string): string {
+  // Graph scopes may be qualified with the resource, e.g. https://graph.microsoft.com/Mail.Read
+  return scope.replace(/^https?:\/\/[^/]+\//, '').toLowerCase();
+}
+
+/**
+ * Whether a scope is covered by the granted ones, either directly or by a broader scope: a
+ * ReadWrite scope covers its Read and ReadBasic scopes, and an .All scope the same scope without.
+ */
+export function hasScope(grantedScopes: string[], scope: string): boolean {
+  const granted = new Set(grantedScopes.map(normalizeScope));
+  const name = normalizeScope(scope);
+  const variants = [
+    name,
+    name.replace(/\.read(basic)?\b/, '.readwrite'),
+    name.replace(/\.readbasic\b/, '.read'),
+  ];
+  return variants.some(
+    (variant) =>
+      granted.has(variant) || (!variant.endsWith('.all') && granted.has(`${variant}.all`))
+  );
+}
+
 interface LoginTestResult {
   success: boolean;
   message: string;
@@ -87,29 +130,50 @@ interface LoginTestResult {
     displayName: string;
     userPrincipalName: string;
   };
+  roles?: string[];
 }
 
 class AuthManager {
   private config: Configuration;
   private scopes: string[];
   private msalApp: PublicClientApplication;
+  private accountTokens = new Map<string, { accessToken: string; expiry: number | null }>();
+  // Scopes each account has granted, by homeAccountId, as reported with its latest token
+  private grantedScopes = new Map<string, string[]>();
+  private confidentialApp: ConfidentialClientApplication | null;
   private accessToken: string | null;
   private tokenExpiry: number | null;
   private oauthToken: string | null;
   private isOAuthMode: boolean;
   private selectedAccountId: string | null;
+  private storage: TokenStorage;
 
   constructor(
-    config: Configuration = DEFAULT_CONFIG,
-    scopes: string[] = buildScopesFromEndpoints()
+    config: Configuration = defaultConfig(),
+    scopes: string[] = buildScopesFromEndpoints(),
+    appOnly: boolean = false,
+    storage: TokenStorage = createTokenStorage({ dir: resolveStorageDir() })
   ) {
     logger.info(`And scopes are ${scopes.join(', ')}`, scopes);
-    this.config = config;
-    this.scopes = scopes;
-    this.msalApp = new PublicClientApplication(this.config);
+    const { authorityUrl, customAuthority } = getCloudEndpoints();
+    // MSAL only discovers Microsoft's own login endpoints; trust an overridden one explicitly
+    this.config = customAuthority
+      ? { ...config, auth: { ...config.auth, knownAuthorities: [new URL(authorityUrl).host] } }
+      : config;
+    this.scopes = scopes.map(qualifyScope);
+    // App-only mode signs in as the app itself; the public client only backs the account commands
+    this.confidentialApp = appOnly ? new ConfidentialClientApplication(this.config) : null;
+    this.msalApp = new PublicClientApplication({
+      auth: {
+        clientId: this.config.auth.clientId,
+        authority: this.config.auth.authority,
+        knownAuthorities: this.config.auth.knownAuthorities,
+      },
+    });
     this.accessToken = null;
     this.tokenExpiry = null;
     this.selectedAccountId = null;
+    this.storage = storage;
 
     const oauthTokenFromEnv = process.env.MS365_MCP_OAUTH_TOKEN;
     this.oauthToken = oauthTokenFromEnv ?? null;
@@ -118,23 +182,7 @@ class AuthManager {
 
   async loadTokenCache(): Promise<void> {
     try {
-      let cacheData: string | undefined;
-
-      try {
-        const cachedData = await keytar.getPassword(SERVICE_NAME, TOKEN_CACHE_ACCOUNT);
-        if (cachedData) {
-          cacheData = cachedData;
-        }
-      } catch (keytarError) {
-        logger.warn(
-          `Keychain access failed, falling back to file storage: ${(keytarError as Error).message}`
-        );
-      }
-
-      if (!cacheData && existsSync(FALLBACK_PATH)) {
-        cacheData = readFileSync(FALLBACK_PATH, 'utf8');
-      }
-
+      const cacheData = await this.storage.load('token-cache');
       if (cacheData) {
         this.msalApp.getTokenCache().deserialize(cacheData);
       }
@@ -148,23 +196,7 @@ class AuthManager {
 
   private async loadSelectedAccount(): Promise<void> {
     try {
-      let selectedAccountData: string | undefined;
-
-      try {
-        const cachedData = await keytar.getPassword(SERVICE_NAME, SELECTED_ACCOUNT_KEY);
-        if (cachedData) {
-          selectedAccountData = cachedData;
-        }
-      } catch (keytarError) {
-        logger.warn(
-          `Keychain access failed for selected account, falling back to file storage: ${(keytarError as Error).message}`
-        );
-      }
-
-      if (!selectedAccountData && existsSync(SELECTED_ACCOUNT_PATH)) {
-        selectedAccountData = readFileSync(SELECTED_ACCOUNT_PATH, 'utf8');
-      }
-
+      const selectedAccountData = await this.storage.load('selected-account');
       if (selectedAccountData) {
         const parsed = JSON.parse(selectedAccountData);
         this.selectedAccountId = parsed.accountId;
@@ -177,17 +209,7 @@ class AuthManager {
 
   async saveTokenCache(): Promise<void> {
     try {
-      const cacheData = this.msalApp.getTokenCache().serialize();
-
-      try {
-        await keytar.setPassword(SERVICE_NAME, TOKEN_CACHE_ACCOUNT, cacheData);
-      } catch (keytarError) {
-        logger.warn(
-          `Keychain save failed, falling back to file storage: ${(keytarError as Error).message}`
-        );
-
-        fs.writeFileSync(FALLBACK_PATH, cacheData);
-      }
+      await this.storage.save('token-cache', this.msalApp.getTokenCache().serialize());
     } catch (error) {
       logger.error(`Error saving token cache: ${(error as Error).message}`);
     }
@@ -195,27 +217,35 @@ class AuthManager {
 
   private async saveSelectedAccount(): Promise<void> {
     try {
-      const selectedAccountData = JSON.stringify({ accountId: this.selectedAccountId });
-
-      try {
-        await keytar.setPassword(SERVICE_NAME, SELECTED_ACCOUNT_KEY, selectedAccountData);
-      } catch (keytarError) {
-        logger.warn(
-          `Keychain save failed for selected account, falling back to file storage: ${(keytarError as Error).message}`
-        );
-
-        fs.writeFileSync(SELECTED_ACCOUNT_PATH, selectedAccountData);
-      }
+      await this.storage.save(
+        'selected-account',
+        JSON.stringify({ accountId: this.selectedAccountId })
+      );
     } catch (error) {
       logger.error(`Error saving selected account: ${(error as Error).message}`);
     }
   }
 
+  /**
+   * Changes the scopes requested from now on, e.g. when org mode is switched at runtime. Scopes
+   * the user has not consented to yet need a new login.
+   */
+  setScopes(scopes: string[]): void {
+    this.scopes = scopes.map(qualifyScope);
+    this.accessToken = null;
+    this.tokenExpiry = null;
+    this.accountTokens.clear();
+  }
+
   async setOAuthToken(token: string): Promise<void> {
     this.oauthToken = token;
     this.isOAuthMode = true;
   }
 
+  isAppOnly(): boolean {
+    return this.confidentialApp !== null;
+  }
+
   async getToken(forceRefresh = false): Promise<string | null> {
     if (this.isOAuthMode && this.oauthToken) {
       return this.oauthToken;
@@ -225,6 +255,19 @@ class AuthManager {
       return this.accessToken;
     }
 
+    if (this.confidentialApp) {
+      const response = await this.confidentialApp.acquireTokenByClientCredential({
+        scopes: [appOnlyScope()],
+        skipCache: forceRefresh,
+      });
+      if (!response) {
+        throw new Error('Client credential token acquisition failed');
+      }
+      this.accessToken = response.accessToken;
+      this.tokenExpiry = response.expiresOn ? new Date(response.expiresOn).getTime() : null;
+      return this.accessToken;
+    }
+
     const currentAccount = await this.getCurrentAccount();
 
     if (currentAccount) {
@@ -235,6 +278,7 @@ class AuthManager {
 
       try {
         const response = await this.msalApp.acquireTokenSilent(silentRequest);
+        this.recordGrantedScopes(response);
         this.accessToken = response.accessToken;
         this.tokenExpiry = response.expiresOn ? new Date(response.expiresOn).getTime() : null;
         return this.accessToken;
@@ -271,6 +315,57 @@ class AuthManager {
     return accounts[0];
   }
 
+  /**
+   * Finds a cached account by homeAccountId or, case-insensitively, by username.
+   */
+  async resolveAccount(identifier: string): Promise<AccountInfo | null> {
+    const accounts = await this.listAccounts();
+    const username = identifier.toLowerCase();
+    return (
+      accounts.find((account) => account.homeAccountId === identifier) ??
+      accounts.find((account) => account.username?.toLowerCase() === username) ??
+      null
+    );
+  }
+
+  /**
+   * Returns a token of a specific cached account for a single call. Tokens are cached per account
+   * and the selected account is left untouched, so concurrent calls for different accounts do not
+   * interfere.
+   */
+  async getTokenForAccount(identifier: string, forceRefresh = false): Promise<string> {
+    if (this.isOAuthMode || this.confidentialApp) {
+      throw new Error('Selecting an account per call requires signing in with cached accounts');
+    }
+
+    const account = await this.resolveAccount(identifier);
+    if (!account) {
+      throw new Error(`Account not found: ${identifier}`);
+    }
+
+    const cached = this.accountTokens.get(account.homeAccountId);
+    if (cached && cached.expiry && cached.expiry > Date.now() && !forceRefresh) {
+      return cached.accessToken;
+    }
+
+    try {
+      const response = await this.msalApp.acquireTokenSilent({
+        account,
+        scopes: this.scopes,
+        forceRefresh,
+      });
+      this.recordGrantedScopes(response);
+      this.accountTokens.set(account.homeAccountId, {
+        accessToken: response.accessToken,
+        expiry: response.expiresOn ? new Date(response.expiresOn).getTime() : null,
+      });
+      return response.accessToken;
+    } catch {
+      logger.error(`Silent token acquisition failed for account ${account.username}`);
+      throw new Error(`Silent token acquisition failed for account ${account.username}`);
+    }
+  }
+
   async acquireTokenByDeviceCode(hack?: (message: string) => void): Promise<string | null> {
     const deviceCodeRequest = {
       scopes: this.scopes,
@@ -291,24 +386,109 @@ class AuthManager {
       const response = await this.msalApp.acquireTokenByDeviceCode(deviceCodeRequest);
       logger.info(`Granted scopes: ${response?.scopes?.join(', ') || 'none'}`);
       logger.info('Device code login successful');
-      this.accessToken = response?.accessToken || null;
-      this.tokenExpiry = response?.expiresOn ? new Date(response.expiresOn).getTime() : null;
-
-      // Set the newly authenticated account as selected if no account is currently selected
-      if (!this.selectedAccountId && response?.account) {
-        this.selectedAccountId = response.account.homeAccountId;
-        await this.saveSelectedAccount();
-        logger.info(`Auto-selected new account: ${response.account.username}`);
-      }
-
-      await this.saveTokenCache();
-      return this.accessToken;
+      return await this.completeLogin(response);
     } catch (error) {
       logger.error(`Error in device code flow: ${(error as Error).message}`);
       throw error;
     }
   }
 
+  /**
+   * Signs in with the authorization code flow and PKCE. MSAL listens for the redirect on a
+   * loopback port while the user signs in with the browser that `openBrowser` opens, which
+   * requires http://localhost as a redirect URI of the app registration.
+   */
+  async acquireTokenInteractive(
+    openBrowser: (url: string) => Promise<void>
+  ): Promise<string | null> {
+    try {
+      logger.info('Starting browser login...');
+      logger.info(`Requesting scopes: ${this.scopes.join(', ')}`);
+      const response = await this.msalApp.acquireTokenInteractive({
+        scopes: this.scopes,
+        openBrowser,
+        successTemplate: 'Signed in. You can close this window and return to the terminal.',
+        errorTemplate: 'Sign-in failed. See the terminal for details.',
+      });
+      logger.info(`Granted scopes: ${response?.scopes?.join(', ') || 'none'}`);
+      logger.info('Browser login successful');
+      return await this.completeLogin(response);
+    } catch (error) {
+      logger.error(`Error in browser login: ${(error as Error).message}`);
+      throw error;
+    }
+  }
+
+  private async completeLogin(response: AuthenticationResult | null): Promise<string | null> {
+    this.recordGrantedScopes(response);
+    this.accessToken = response?.accessToken || null;
+    this.tokenExpiry = response?.expiresOn ? new Date(response.expiresOn).getTime() : null;
+
+    // Set the newly authenticated account as selected if no account is currently selected
+    if (!this.selectedAccountId && response?.account) {
+      this.selectedAccountId = response.account.homeAccountId;
+      await this.saveSelectedAccount();
+      logger.info(`Auto-selected new account: ${response.account.username}`);
+    }
+
+    await this.saveTokenCache();
+    return this.accessToken;
+  }
+
+  /**
+   * Asks the user to consent to more scopes with a device code, and requests them with every token
+   * from then on. `onMessage` receives the sign-in instructions; the promise settles once the user
+   * has signed in, declined or let the code expire.
+   */
+  async requestAdditionalScopes(
+    scopes: string[],
+    onMessage: (message: string) => void
+  ): Promise<void> {
+    const qualified = scopes.map(qualifyScope);
+    logger.info(`Requesting consent to ${qualified.join(', ')}`);
+    const response = await this.msalApp.acquireTokenByDeviceCode({
+      scopes: qualified,
+      deviceCodeCallback: (deviceCode) => onMessage(deviceCode.message),
+    });
+    logger.info(`Granted scopes: ${response?.scopes?.join(', ') || 'none'}`);
+    this.recordGrantedScopes(response);
+
+    const current = await this.getCurrentAccount();
+    if (response?.account && current && response.account.homeAccountId !== current.homeAccountId) {
+      logger.warn(
+        `Consent was given by ${response.account.username}, not by the selected account ${current.username}`
+      );
+    }
+
+    this.setScopes([...new Set([...this.scopes, ...qualified])]);
+    await this.saveTokenCache();
+  }
+
+  /**
+   * Scopes the selected account has granted. They are known once a token was acquired, so one is
+   * requested when there is none yet.
+   */
+  async getGrantedScopes(): Promise<string[]> {
+    const account = await this.getCurrentAccount();
+    if (!account) {
+      return [];
+    }
+    if (!this.grantedScopes.has(account.homeAccountId)) {
+      try {
+        await this.getToken(true);
+      } catch {
+        return [];
+      }
+    }
+    return this.grantedScopes.get(account.homeAccountId) ?? [];
+  }
+
+  private recordGrantedScopes(response: AuthenticationResult | null): void {
+    if (response?.account && response.scopes.length > 0) {
+      this.grantedScopes.set(response.account.homeAccountId, response.scopes);
+    }
+  }
+
   async testLogin(): Promise<LoginTestResult> {
     try {
       logger.info('Testing login...');
@@ -322,10 +502,21 @@ class AuthManager {
         };
       }
 
+      if (this.confidentialApp) {
+        // App tokens cannot call /me; report the application permissions granted instead
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+        logger.info('App-only token retrieved successfully');
+        return {
+          success: true,
+          message: 'App-only token acquired',
+          roles: payload.roles || [],
+        };
+      }
+
       logger.info('Token retrieved successfully, testing Graph API access...');
 
       try {
-        const response = await fetch('https://graph.microsoft.com/v1.0/me', {
+        const response = await fetch(`${getCloudEndpoints().graphUrl}/v1.0/me`, {
           headers: {
             Authorization: `Bearer ${token}`,
           },
@@ -375,21 +566,10 @@ class AuthManager {
       this.accessToken = null;
       this.tokenExpiry = null;
       this.selectedAccountId = null;
+      this.accountTokens.clear();
 
-      try {
-        await keytar.deletePassword(SERVICE_NAME, TOKEN_CACHE_ACCOUNT);
-        await keytar.deletePassword(SERVICE_NAME, SELECTED_ACCOUNT_KEY);
-      } catch (keytarError) {
-        logger.warn(`Keychain deletion failed: ${(keytarError as Error).message}`);
-      }
-
-      if (fs.existsSync(FALLBACK_PATH)) {
-        fs.unlinkSync(FALLBACK_PATH);
-      }
-
-      if (fs.existsSync(SELECTED_ACCOUNT_PATH)) {
-        fs.unlinkSync(SELECTED_ACCOUNT_PATH);
-      }
+      await this.storage.remove('token-cache');
+      await this.storage.remove('selected-account');
 
       return true;
     } catch (error) {
@@ -434,6 +614,7 @@ class AuthManager {
 
     try {
       await this.msalApp.getTokenCache().removeAccount(account);
+      this.accountTokens.delete(accountId);
 
       // If this was the selected account, clear the selection
       if (this.selectedAccountId === accountId) {
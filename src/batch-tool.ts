@@ -0,0 +1,307 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { z } from 'zod';
+import logger from './logger.js';
+import GraphClient, { resolveGraphUrl } from './graph-client.js';
+import type { Endpoint } from './generated/endpoint-types.js';
+import { buildToolRequest, isToolEnabled } from './tool-request.js';
+import { getPolicy, PolicyError } from './policy.js';
+import { beginAudit, type AuditCall } from './audit-log.js';
+import { categorizeTool } from './tool-categories.js';
+
+// Graph rejects JSON batches with more than 20 requests
+export const MAX_BATCH_SIZE = 20;
+
+interface BatchEntry {
+  id: string;
+  toolName: string;
+  params: Record<string, unknown>;
+  dependsOn: string[];
+}
+
+interface BatchRequest {
+  id: string;
+  method: string;
+  url: string;
+  headers?: Record<string, string>;
+  body?: unknown;
+  dependsOn?: string[];
+}
+
+interface BatchResult {
+  id: string;
+  toolName: string;
+  status: number;
+  body?: unknown;
+  error?: string;
+}
+
+interface BatchResponse {
+  responses?: Array<{ id: string; status: number; body?: unknown }>;
+}
+
+function buildParamSchema(tool: Endpoint): z.ZodTypeAny {
+  const shape: Record<string, z.ZodTypeAny> = {};
+  for (const param of tool.parameters || []) {
+    shape[param.name] = param.schema || z.any();
+  }
+  shape['includeHeaders'] = z.boolean().optional();
+  return z.object(shape);
+}
+
+function toBatchRequest(entry: BatchEntry, tool: Endpoint): BatchRequest {
+  const { path, options, body } = buildToolRequest(tool, entry.params);
+  const request: BatchRequest = {
+    id: entry.id,
+    method: options.method,
+    url: path,
+  };
+
+  if (Object.keys(options.headers).length > 0) {
+    request.headers = { ...options.headers };
+  }
+
+  if (options.method !== 'GET' && body) {
+    request.body = body;
+    request.headers = { 'Content-Type': 'application/json', ...request.headers };
+  }
+
+  return request;
+}
+
+export function registerBatchTool(
+  server: McpServer,
+  graphClient: GraphClient,
+  tools: Endpoint[],
+  // Tools can be disabled after registration, e.g. when read-only mode is switched on
+  isEnabled: (toolName: string) => boolean = () => true
+): void {
+  // Every entry is checked against the policy as well, like a call of its own tool
+  if (!isToolEnabled('batch', 'POST')) {
+    return;
+  }
+
+  const toolsByName = new Map(tools.map((tool) => [tool.alias, tool]));
+
+  server.tool(
+    'batch',
+    `Run several Microsoft Graph tool calls in one round trip using the JSON $batch endpoint. Requests are sent in groups of ${MAX_BATCH_SIZE}; use dependsOn to order requests that rely on an earlier one.`,
+    {
+      requests: z
+        .array(
+          z.object({
+            id: z
+              .string()
+              .optional()
+              .describe('Identifier for this request, defaults to its 1-based position'),
+            toolName: z.string().describe('Name of the tool to call, e.g. get-mail-message'),
+            params: z
+              .record(z.any())
+              .optional()
+              .describe(
+                'Parameters for the tool, as they would be passed to the tool directly. account is not supported: the batch runs as the selected account'
+              ),
+            dependsOn: z
+              .array(z.string())
+              .optional()
+              .describe('Ids of earlier requests in this batch that must complete first'),
+          })
+        )
+        .min(1)
+        .describe('The tool calls to run'),
+    },
+    {
+      title: 'batch',
+      readOnlyHint: false,
+    },
+    async ({ requests }) => {
+      // Every write entry gets a record of its own, with the status Graph returned for it
+      const audits = new Map<string, AuditCall>();
+      try {
+        const entries: BatchEntry[] = requests.map((request, index) => ({
+          id: request.id ?? `${index + 1}`,
+          toolName: request.toolName,
+          params: request.params ?? {},
+          dependsOn: request.dependsOn ?? [],
+        }));
+
+        const seenIds = new Set<string>();
+        for (const entry of entries) {
+          if (seenIds.has(entry.id)) {
+            throw new Error(`Duplicate request id: ${entry.id}`);
+          }
+          const unknownDependency = entry.dependsOn.find((id) => !seenIds.has(id));
+          if (unknownDependency) {
+            throw new Error(
+              `Request ${entry.id} depends on ${unknownDependency}, which must be an earlier request in the batch`
+            );
+          }
+          seenIds.add(entry.id);
+        }
+
+        const results = new Map<string, BatchResult>();
+        const pending: Array<{ entry: BatchEntry; request: BatchRequest }> = [];
+
+        for (const entry of entries) {
+          const tool = toolsByName.get(entry.toolName);
+          if (!tool || !isEnabled(entry.toolName)) {
+            results.set(entry.id, {
+              id: entry.id,
+              toolName: entry.toolName,
+              status: 403,
+              error: `Tool ${entry.toolName} is not available (unknown, a beta tool, disabled by read-only mode or excluded by the tool filter)`,
+            });
+            continue;
+          }
+
+          // The batch is sent with the token of the selected account, so it cannot run as another
+          if (entry.params.account !== undefined) {
+            results.set(entry.id, {
+              id: entry.id,
+              toolName: entry.toolName,
+              status: 400,
+              error: `Batch requests run as the selected account; call ${entry.toolName} on its own to use the account parameter`,
+            });
+            continue;
+          }
+
+          const validation = buildParamSchema(tool).safeParse(entry.params);
+          if (!validation.success) {
+            results.set(entry.id, {
+              id: entry.id,
+              toolName: entry.toolName,
+              status: 400,
+              error: `Invalid parameters for ${entry.toolName}: ${validation.error.message}`,
+            });
+            continue;
+          }
+
+          const request = toBatchRequest({ ...entry, params: validation.data }, tool);
+          const audit = beginAudit(
+            tool.alias,
+            request.method,
+            resolveGraphUrl(request.url),
+            typeof request.body === 'string' ? request.body : JSON.stringify(request.body)
+          );
+          if (audit) {
+            audits.set(entry.id, audit);
+          }
+          try {
+            const policy = getPolicy();
+            if (policy) {
+              policy.checkRequest({
+                tool: tool.alias,
+                method: request.method,
+                path: request.url,
+                body: request.body,
+              });
+              // Chat messages name no recipients, as for a call of their own tool
+              if (categorizeTool(tool.alias, tool.method) === 'send') {
+                await policy.checkChatMembers(graphClient, request.url);
+              }
+            }
+          } catch (error) {
+            if (!(error instanceof PolicyError)) {
+              throw error;
+            }
+            results.set(entry.id, {
+              id: entry.id,
+              toolName: entry.toolName,
+              status: 403,
+              error: error.message,
+            });
+            continue;
+          }
+
+          pending.push({ entry, request });
+        }
+
+        for (let i = 0; i < pending.length; i += MAX_BATCH_SIZE) {
+          const chunk = pending.slice(i, i + MAX_BATCH_SIZE);
+          const chunkIds = new Set(chunk.map(({ entry }) => entry.id));
+          const batchRequests: BatchRequest[] = [];
+
+          for (const { entry, request } of chunk) {
+            // Dependencies from earlier chunks have already run, so only their outcome matters
+            const failedDependency = entry.dependsOn.find((id) => {
+              const result = results.get(id);
+              return !chunkIds.has(id) && (!result || result.status >= 400);
+            });
+            if (failedDependency) {
+              results.set(entry.id, {
+                id: entry.id,
+                toolName: entry.toolName,
+                status: 424,
+                error: `Dependency ${failedDependency} failed`,
+              });
+              continue;
+            }
+
+            const dependsOn = entry.dependsOn.filter((id) => chunkIds.has(id));
+            batchRequests.push(dependsOn.length > 0 ? { ...request, dependsOn } : request);
+          }
+
+          if (batchRequests.length === 0) {
+            continue;
+          }
+
+          logger.info(`Sending batch of ${batchRequests.length} requests`);
+          const response = (await graphClient.makeRequest('/$batch', {
+            method: 'POST',
+            body: JSON.stringify({ requests: batchRequests }),
+            onResponse: (info) => {
+              for (const request of batchRequests) {
+                audits.get(request.id)?.onResponse(info);
+              }
+            },
+          })) as BatchResponse;
+
+          for (const item of response.responses || []) {
+            const entry = chunk.find(({ entry }) => entry.id === item.id)?.entry;
+            if (entry) {
+              results.set(item.id, {
+                id: item.id,
+                toolName: entry.toolName,
+                status: item.status,
+                body: item.body,
+              });
+            }
+          }
+        }
+
+        const responses = entries.map(
+          (entry) =>
+            results.get(entry.id) ?? {
+              id: entry.id,
+              toolName: entry.toolName,
+              status: 500,
+              error: 'No response returned for this request',
+            }
+        );
+
+        for (const result of responses) {
+          // Results with an error were decided here, without reaching Graph
+          audits.get(result.id)?.finish({
+            status: result.error ? undefined : result.status,
+            error: result.error,
+          });
+        }
+
+        return graphClient.formatJsonResponse({ responses });
+      } catch (error) {
+        logger.error(`Error in batch tool: ${(error as Error).message}`);
+        for (const audit of audits.values()) {
+          audit.finish({ error: (error as Error).message });
+        }
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ error: `Error in batch tool: ${(error as Error).message}` }),
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+}
@@ -0,0 +1,62 @@
+import { spawn } from 'child_process';
+
+/**
+ * Whether a browser can be opened for the user: not over SSH and, on Linux and other Unix
+ * systems, only in a graphical session.
+ */
+export function canOpenBrowser(
+  env: Record<string, string | undefined> = process.env,
+  platform: string = process.platform
+): boolean {
+  if (env.SSH_CONNECTION || env.SSH_TTY) {
+    return false;
+  }
+  if (platform === 'darwin' || platform === 'win32') {
+    return true;
+  }
+  return Boolean(env.DISPLAY || env.WAYLAND_DISPLAY);
+}
+
+function browserCommand(url: string, platform: string): [string, string[]] {
+  switch (platform) {
+    case 'darwin':
+      return ['open', [url]];
+    case 'win32':
+      // Unlike start, this needs no escaping of the & in the URL
+      return ['rundll32', ['url.dll,FileProtocolHandler', url]];
+    default:
+      return ['xdg-open', [url]];
+  }
+}
+
+// Launchers hand the URL over and exit; one still running by then is taken to have opened it
+const LAUNCH_WAIT_MS = 3000;
+
+/**
+ * Opens a URL with the system browser. The URL is printed as well, so the user can open it by
+ * hand when no browser comes up. Rejects when the launcher cannot be started or exits with an
+ * error, so the sign-in can fall back to a device code.
+ */
+export async function openBrowser(url: string): Promise<void> {
+  console.log(`\nSign in with your browser. If it does not open, visit:\n${url}\n`);
+  const [command, args] = browserCommand(url, process.platform);
+  await new Promise<void>((resolve, reject) => {
+    const child = spawn(command, args, { detached: true, stdio: 'ignore' });
+    const timer = setTimeout(() => {
+      child.unref();
+      resolve();
+    }, LAUNCH_WAIT_MS);
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`Could not open the browser with ${command}: ${error.message}`));
+    });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`Could not open the browser: ${command} exited with code ${code}`));
+      }
+    });
+  });
+}
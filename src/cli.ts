@@ -2,6 +2,12 @@ import { Command } from 'commander';
 import { readFileSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { EVENT_STORE_KINDS } from './event-store.js';
+import { TOKEN_STORAGE_KINDS, validateProfileName } from './token-storage.js';
+import { CLOUD_TYPES } from './cloud-config.js';
+import { parseToolCategories, type ToolCategory } from './tool-categories.js';
+import { AUDIT_BODY_MODES } from './audit-log.js';
+import { LOG_FORMATS } from './logger.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const packageJsonPath = path.join(__dirname, '..', 'package.json');
@@ -15,17 +21,59 @@ program
   .description('Microsoft 365 MCP Server')
   .version(version)
   .option('-v', 'Enable verbose logging')
+  .option(
+    '--logs-dir <path>',
+    'Directory for the log files (default: logs in the storage directory)'
+  )
+  .option('--log-format <format>', 'Format of the log files: text or json (default: text)')
+  .option(
+    '--log-payloads',
+    'Log tool parameters, response previews, email addresses and message bodies for debugging'
+  )
   .option('--login', 'Login using device code flow')
+  .option(
+    '--browser',
+    'With --login, sign in with the system browser instead of a device code (falls back to a device code when no browser can be opened)'
+  )
   .option('--logout', 'Log out and clear saved credentials')
   .option('--verify-login', 'Verify login without starting the server')
   .option('--list-accounts', 'List all cached accounts')
   .option('--select-account <accountId>', 'Select a specific account by ID')
   .option('--remove-account <accountId>', 'Remove a specific account by ID')
+  .option('--list-clients', 'List OAuth clients registered through dynamic client registration')
+  .option('--revoke-client <clientId>', 'Revoke a registered OAuth client by ID')
+  .option('--profile <name>', 'Keep the token cache and other state in a separate named profile')
+  .option(
+    '--storage-dir <path>',
+    'Directory for the token cache and other state (default: $XDG_DATA_HOME/ms-365-mcp-server)'
+  )
+  .option(
+    '--token-storage <type>',
+    'Where tokens are stored: keytar, encrypted-file or file (default: keytar with file fallback)'
+  )
+  .option(
+    '--cloud <name>',
+    'Microsoft cloud to connect to: global, usgov, usgovdod or china (default: global)'
+  )
+  .option('--graph-url <url>', 'Override the Microsoft Graph base URL, e.g. to use a local mock')
+  .option('--authority-url <url>', 'Override the Microsoft login base URL')
   .option('--read-only', 'Start server in read-only mode, disabling write operations')
   .option(
     '--http [port]',
     'Use Streamable HTTP transport instead of stdio (optionally specify port, default: 3000)'
   )
+  .option(
+    '--http-sessions',
+    'Keep stateful MCP sessions in HTTP mode, with resumable event streams and DELETE /mcp'
+  )
+  .option(
+    '--session-idle-timeout <minutes>',
+    'Close HTTP sessions after this many idle minutes, at least 1 (default: 30)'
+  )
+  .option(
+    '--event-store <type>',
+    'Where HTTP session events are kept for resuming streams: memory or file (default: memory)'
+  )
   .option(
     '--enable-auth-tools',
     'Enable login/logout tools when using HTTP mode (disabled by default in HTTP mode)'
@@ -38,24 +86,107 @@ program
     '--org-mode',
     'Enable organization/work mode from start (includes Teams, SharePoint, etc.)'
   )
+  .option(
+    '--incremental-consent',
+    'Sign in with minimal permissions and ask for the ones a tool needs when it is first used'
+  )
+  .option(
+    '--app-only',
+    'Authenticate as the application with client credentials instead of as a signed-in user'
+  )
+  .option('--exclude-beta', 'Do not register tools that use the Microsoft Graph beta API')
+  .option(
+    '--discovery-mode',
+    'Offer only search-tools, describe-tool and invoke-tool instead of every Graph tool'
+  )
+  .option('--policy <file>', 'Enforce a YAML or JSON policy file on tools and requests')
+  .option('--validate-policy <file>', 'Check a policy file against the available tools and exit')
+  .option(
+    '--prompts-dir <path>',
+    'Load additional MCP prompts from YAML or JSON files in a directory'
+  )
+  .option(
+    '--confirm-writes [categories]',
+    'Preview write tools and run them only once confirmed (all, or a comma-separated list of send, delete and write)'
+  )
+  .option(
+    '--confirm-mode-changes',
+    'Ask the user before set-org-mode or set-read-only make more tools available'
+  )
+  .option(
+    '--audit-log [file]',
+    'Record every write tool call as a JSON line (default file: audit.jsonl in the storage directory)'
+  )
+  .option(
+    '--audit-body <mode>',
+    'How request bodies are recorded in the audit log: hash, redacted or full (default: hash)'
+  )
+  .option('--audit-max-size <bytes>', 'Rotate the audit log at this size (default: 10485760)')
+  .option('--audit-max-files <count>', 'Rotated audit log files to keep (default: 5)')
+  .option('--audit-tail [count]', 'Print the most recent audit log entries and exit (default: 20)')
   .option('--work-mode', 'Alias for --org-mode')
-  .option('--force-work-scopes', 'Backwards compatibility alias for --org-mode (deprecated)');
+  .option('--force-work-scopes', 'Backwards compatibility alias for --org-mode (deprecated)')
+  .option(
+    '--max-retries <count>',
+    'Maximum retries for throttled (429) or transient (5xx, network) Graph failures (default: 3)'
+  )
+  .option('--retry-base-delay <ms>', 'Base delay for exponential retry backoff (default: 1000)')
+  .option('--retry-max-delay <ms>', 'Maximum delay between two retries (default: 30000)')
+  .option('--retry-max-wait <ms>', 'Maximum total time spent waiting on retries (default: 60000)')
+  .option(
+    '--max-binary-size <bytes>',
+    'Largest download returned inline as image or binary content (default: 10485760)'
+  );
 
 export interface CommandOptions {
   v?: boolean;
+  logsDir?: string;
+  logFormat?: string;
+  logPayloads?: boolean;
   login?: boolean;
+  browser?: boolean;
   logout?: boolean;
   verifyLogin?: boolean;
   listAccounts?: boolean;
   selectAccount?: string;
   removeAccount?: string;
+  listClients?: boolean;
+  revokeClient?: string;
+  profile?: string;
+  storageDir?: string;
+  tokenStorage?: string;
+  cloud?: string;
+  graphUrl?: string;
+  authorityUrl?: string;
   readOnly?: boolean;
   http?: string | boolean;
+  httpSessions?: boolean;
+  sessionIdleTimeout?: number;
+  eventStore?: string;
   enableAuthTools?: boolean;
   enabledTools?: string;
   orgMode?: boolean;
+  incrementalConsent?: boolean;
+  appOnly?: boolean;
+  excludeBeta?: boolean;
+  discoveryMode?: boolean;
+  confirmWrites?: ToolCategory[];
+  confirmModeChanges?: boolean;
+  policy?: string;
+  validatePolicy?: string;
+  promptsDir?: string;
+  auditLog?: string | boolean;
+  auditBody?: string;
+  auditMaxSize?: number;
+  auditMaxFiles?: number;
+  auditTail?: number;
   workMode?: boolean;
   forceWorkScopes?: boolean;
+  maxRetries?: number;
+  retryBaseDelay?: number;
+  retryMaxDelay?: number;
+  retryMaxWait?: number;
+  maxBinarySize?: number;
 
   [key: string]: unknown;
 }
@@ -64,6 +195,19 @@ export function parseArgs(): CommandOptions {
   program.parse();
   const options = program.opts();
 
+  options.logsDir = options.logsDir ?? process.env.MS365_MCP_LOGS_DIR;
+
+  options.logFormat = options.logFormat ?? process.env.MS365_MCP_LOG_FORMAT;
+  if (options.logFormat !== undefined && !LOG_FORMATS.includes(options.logFormat)) {
+    throw new Error(
+      `Invalid value for logFormat: ${options.logFormat} (expected ${LOG_FORMATS.join(' or ')})`
+    );
+  }
+
+  if (process.env.MS365_MCP_LOG_PAYLOADS === 'true' || process.env.MS365_MCP_LOG_PAYLOADS === '1') {
+    options.logPayloads = true;
+  }
+
   if (process.env.READ_ONLY === 'true' || process.env.READ_ONLY === '1') {
     options.readOnly = true;
   }
@@ -83,9 +227,159 @@ export function parseArgs(): CommandOptions {
     options.forceWorkScopes = true;
   }
 
+  if (
+    process.env.MS365_MCP_HTTP_SESSIONS === 'true' ||
+    process.env.MS365_MCP_HTTP_SESSIONS === '1'
+  ) {
+    options.httpSessions = true;
+  }
+
+  options.eventStore = options.eventStore ?? process.env.MS365_MCP_EVENT_STORE;
+  if (options.eventStore !== undefined && !EVENT_STORE_KINDS.includes(options.eventStore)) {
+    throw new Error(
+      `Invalid value for eventStore: ${options.eventStore} (expected ${EVENT_STORE_KINDS.join(' or ')})`
+    );
+  }
+
+  if (process.env.MS365_MCP_EXCLUDE_BETA === 'true' || process.env.MS365_MCP_EXCLUDE_BETA === '1') {
+    options.excludeBeta = true;
+  }
+
+  if (
+    process.env.MS365_MCP_DISCOVERY_MODE === 'true' ||
+    process.env.MS365_MCP_DISCOVERY_MODE === '1'
+  ) {
+    options.discoveryMode = true;
+  }
+
+  options.policy = options.policy ?? process.env.MS365_MCP_POLICY;
+
+  options.promptsDir = options.promptsDir ?? process.env.MS365_MCP_PROMPTS_DIR;
+
+  options.auditLog = options.auditLog ?? process.env.MS365_MCP_AUDIT_LOG;
+  if (options.auditLog === 'false' || options.auditLog === '0') {
+    delete options.auditLog;
+  } else if (options.auditLog === 'true' || options.auditLog === '1') {
+    options.auditLog = true;
+  }
+
+  options.auditBody = options.auditBody ?? process.env.MS365_MCP_AUDIT_BODY;
+  if (options.auditBody !== undefined && !AUDIT_BODY_MODES.includes(options.auditBody)) {
+    throw new Error(
+      `Invalid value for auditBody: ${options.auditBody} (expected ${AUDIT_BODY_MODES.join(', ')})`
+    );
+  }
+
+  if (options.auditTail === true) {
+    options.auditTail = '20';
+  }
+
+  const confirmWrites = options.confirmWrites ?? process.env.MS365_MCP_CONFIRM_WRITES;
+  if (confirmWrites !== undefined && confirmWrites !== 'false' && confirmWrites !== '0') {
+    options.confirmWrites = parseToolCategories(confirmWrites, 'confirmWrites');
+  } else {
+    delete options.confirmWrites;
+  }
+
+  if (
+    process.env.MS365_MCP_CONFIRM_MODE_CHANGES === 'true' ||
+    process.env.MS365_MCP_CONFIRM_MODE_CHANGES === '1'
+  ) {
+    options.confirmModeChanges = true;
+  }
+
+  if (process.env.MS365_MCP_APP_ONLY === 'true' || process.env.MS365_MCP_APP_ONLY === '1') {
+    options.appOnly = true;
+  }
+
+  // HTTP mode serves each request with the caller's own token, which app-only mode replaces
+  if (options.appOnly && options.http) {
+    throw new Error('App-only mode cannot be combined with the HTTP transport');
+  }
+
+  if (
+    process.env.MS365_MCP_INCREMENTAL_CONSENT === 'true' ||
+    process.env.MS365_MCP_INCREMENTAL_CONSENT === '1'
+  ) {
+    options.incrementalConsent = true;
+  }
+
+  // Consent is requested with a device code for the account signed in locally
+  if (options.incrementalConsent && (options.appOnly || options.http)) {
+    throw new Error(
+      'Incremental consent needs a local sign-in and cannot be combined with app-only mode or the HTTP transport'
+    );
+  }
+
+  options.profile = options.profile ?? process.env.MS365_MCP_PROFILE;
+  if (options.profile !== undefined) {
+    validateProfileName(options.profile);
+  }
+
+  options.storageDir = options.storageDir ?? process.env.MS365_MCP_STORAGE_DIR;
+
+  options.tokenStorage = options.tokenStorage ?? process.env.MS365_MCP_TOKEN_STORAGE;
+  if (options.tokenStorage !== undefined && !TOKEN_STORAGE_KINDS.includes(options.tokenStorage)) {
+    throw new Error(
+      `Invalid value for tokenStorage: ${options.tokenStorage} (expected ${TOKEN_STORAGE_KINDS.join(', ')})`
+    );
+  }
+
+  options.cloud = options.cloud ?? process.env.MS365_MCP_CLOUD;
+  if (options.cloud !== undefined && !CLOUD_TYPES.includes(options.cloud)) {
+    throw new Error(
+      `Invalid value for cloud: ${options.cloud} (expected ${CLOUD_TYPES.join(', ')})`
+    );
+  }
+
+  const urlOptions: Record<string, string | undefined> = {
+    graphUrl: process.env.MS365_MCP_GRAPH_URL,
+    authorityUrl: process.env.MS365_MCP_AUTHORITY_URL,
+  };
+
+  for (const [key, envValue] of Object.entries(urlOptions)) {
+    const value = options[key] ?? envValue;
+    if (value === undefined) {
+      continue;
+    }
+    try {
+      new URL(value);
+    } catch {
+      throw new Error(`Invalid value for ${key}: ${value}`);
+    }
+    options[key] = value;
+  }
+
   if (options.workMode || options.forceWorkScopes) {
     options.orgMode = true;
   }
 
+  const numericOptions: Record<string, string | undefined> = {
+    maxRetries: process.env.MS365_MCP_MAX_RETRIES,
+    retryBaseDelay: process.env.MS365_MCP_RETRY_BASE_DELAY_MS,
+    retryMaxDelay: process.env.MS365_MCP_RETRY_MAX_DELAY_MS,
+    retryMaxWait: process.env.MS365_MCP_RETRY_MAX_WAIT_MS,
+    maxBinarySize: process.env.MS365_MCP_MAX_BINARY_SIZE,
+    sessionIdleTimeout: process.env.MS365_MCP_SESSION_IDLE_TIMEOUT,
+    auditMaxSize: process.env.MS365_MCP_AUDIT_MAX_SIZE,
+    auditMaxFiles: process.env.MS365_MCP_AUDIT_MAX_FILES,
+    auditTail: undefined,
+  };
+
+  for (const [key, envValue] of Object.entries(numericOptions)) {
+    const value = options[key] ?? envValue;
+    if (value === undefined) {
+      continue;
+    }
+    const parsed = parseInt(value, 10);
+    if (Number.isNaN(parsed) || parsed < 0) {
+      throw new Error(`Invalid value for ${key}: ${value}`);
+    }
+    options[key] = parsed;
+  }
+  if (options.sessionIdleTimeout === 0) {
+    throw new Error('Invalid value for sessionIdleTimeout: 0 (expected at least 1 minute)');
+  }
+
   return options;
 }
@@ -0,0 +1,251 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import {
+  OAuthClientMetadataSchema,
+  type OAuthClientInformationFull,
+  type OAuthClientMetadata,
+} from '@modelcontextprotocol/sdk/shared/auth.js';
+import logger from './logger.js';
+
+export const OAUTH_CLIENTS_FILE = '.oauth-clients.json';
+
+const SUPPORTED_GRANT_TYPES = ['authorization_code', 'refresh_token'];
+const SUPPORTED_RESPONSE_TYPES = ['code'];
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const FORBIDDEN_SCHEMES = ['javascript:', 'data:', 'file:', 'vbscript:'];
+
+/**
+ * Registration request rejected per RFC 7591 section 3.2.2; `code` is the OAuth error code.
+ */
+export class ClientRegistrationError extends Error {
+  code: 'invalid_redirect_uri' | 'invalid_client_metadata';
+
+  constructor(code: ClientRegistrationError['code'], message: string) {
+    super(message);
+    this.name = 'ClientRegistrationError';
+    this.code = code;
+  }
+}
+
+function isLoopback(url: URL): boolean {
+  return url.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname);
+}
+
+function validateRedirectUri(uri: string): void {
+  let url: URL;
+  try {
+    url = new URL(uri);
+  } catch {
+    throw new ClientRegistrationError('invalid_redirect_uri', `Invalid redirect URI: ${uri}`);
+  }
+
+  if (url.hash) {
+    throw new ClientRegistrationError(
+      'invalid_redirect_uri',
+      `Redirect URI must not contain a fragment: ${uri}`
+    );
+  }
+  if (FORBIDDEN_SCHEMES.includes(url.protocol)) {
+    throw new ClientRegistrationError('invalid_redirect_uri', `Unsupported redirect URI: ${uri}`);
+  }
+  // Plain HTTP is only acceptable for native clients listening on the loopback interface
+  if (url.protocol === 'http:' && !isLoopback(url)) {
+    throw new ClientRegistrationError(
+      'invalid_redirect_uri',
+      `Redirect URI must use https unless it points to localhost: ${uri}`
+    );
+  }
+}
+
+/**
+ * Validates RFC 7591 client metadata and fills in the defaults of this server, which only
+ * supports public clients using the authorization code flow.
+ */
+export function validateClientMetadata(body: unknown): OAuthClientMetadata {
+  const parsed = OAuthClientMetadataSchema.safeParse(body ?? {});
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    const code =
+      issue.path[0] === 'redirect_uris' ? 'invalid_redirect_uri' : 'invalid_client_metadata';
+    throw new ClientRegistrationError(code, `${issue.path.join('.')}: ${issue.message}`);
+  }
+
+  const metadata = parsed.data;
+  if (metadata.redirect_uris.length === 0) {
+    throw new ClientRegistrationError(
+      'invalid_redirect_uri',
+      'At least one redirect URI is required'
+    );
+  }
+  metadata.redirect_uris.forEach(validateRedirectUri);
+
+  const grantTypes = metadata.grant_types ?? SUPPORTED_GRANT_TYPES;
+  const unsupportedGrant = grantTypes.find((grant) => !SUPPORTED_GRANT_TYPES.includes(grant));
+  if (unsupportedGrant) {
+    throw new ClientRegistrationError(
+      'invalid_client_metadata',
+      `Unsupported grant type: ${unsupportedGrant}`
+    );
+  }
+  if (!grantTypes.includes('authorization_code')) {
+    throw new ClientRegistrationError(
+      'invalid_client_metadata',
+      'grant_types must include authorization_code'
+    );
+  }
+
+  const responseTypes = metadata.response_types ?? SUPPORTED_RESPONSE_TYPES;
+  const unsupportedResponse = responseTypes.find(
+    (type) => !SUPPORTED_RESPONSE_TYPES.includes(type)
+  );
+  if (unsupportedResponse || responseTypes.length === 0) {
+    throw new ClientRegistrationError(
+      'invalid_client_metadata',
+      `Unsupported response type: ${unsupportedResponse ?? '(none)'}`
+    );
+  }
+
+  const authMethod = metadata.token_endpoint_auth_method ?? 'none';
+  if (authMethod !== 'none') {
+    throw new ClientRegistrationError(
+      'invalid_client_metadata',
+      `Unsupported token endpoint auth method: ${authMethod}`
+    );
+  }
+
+  return {
+    ...metadata,
+    client_name: metadata.client_name ?? 'MCP Client',
+    grant_types: grantTypes,
+    response_types: responseTypes,
+    token_endpoint_auth_method: authMethod,
+  };
+}
+
+/**
+ * Checks a redirect URI against the registered ones. URIs must match exactly, except that the
+ * port of loopback URIs may differ (RFC 8252 section 7.3), as native clients pick a free port.
+ */
+export function matchesRedirectUri(registered: string[], redirectUri: string): boolean {
+  if (registered.includes(redirectUri)) {
+    return true;
+  }
+
+  let requested: URL;
+  try {
+    requested = new URL(redirectUri);
+  } catch {
+    return false;
+  }
+  if (!isLoopback(requested)) {
+    return false;
+  }
+
+  return registered.some((uri) => {
+    const candidate = new URL(uri);
+    return (
+      isLoopback(candidate) &&
+      candidate.hostname === requested.hostname &&
+      candidate.pathname === requested.pathname &&
+      candidate.search === requested.search
+    );
+  });
+}
+
+/**
+ * OAuth clients registered through dynamic client registration, persisted to disk so that
+ * registrations survive restarts.
+ */
+export default class ClientRegistry {
+  private filePath: string;
+  private clients: Record<string, OAuthClientInformationFull> | null = null;
+  private loadedMtime = 0;
+
+  constructor(filePath: string) {
+    this.filePath = filePath;
+  }
+
+  register(body: unknown): OAuthClientInformationFull {
+    const client: OAuthClientInformationFull = {
+      ...validateClientMetadata(body),
+      client_id: crypto.randomUUID(),
+      client_id_issued_at: Math.floor(Date.now() / 1000),
+    };
+
+    this.save({ ...this.load(), [client.client_id]: client });
+
+    logger.info(`Registered OAuth client ${client.client_id} (${client.client_name})`);
+    return client;
+  }
+
+  get(clientId: string): OAuthClientInformationFull | undefined {
+    return this.load()[clientId];
+  }
+
+  /**
+   * Resolves the redirect URI of an authorization or token request. Without a redirect URI, a
+   * client with a single registered URI gets that one.
+   */
+  checkRedirectUri(
+    clientId: string | undefined,
+    redirectUri: string | undefined
+  ): { redirectUri: string } | { error: 'invalid_client' | 'invalid_redirect_uri' } {
+    const client = clientId ? this.get(clientId) : undefined;
+    if (!client) {
+      return { error: 'invalid_client' };
+    }
+
+    const resolved =
+      redirectUri ?? (client.redirect_uris.length === 1 ? client.redirect_uris[0] : undefined);
+    if (!resolved || !matchesRedirectUri(client.redirect_uris, resolved)) {
+      return { error: 'invalid_redirect_uri' };
+    }
+    return { redirectUri: resolved };
+  }
+
+  list(): OAuthClientInformationFull[] {
+    return Object.values(this.load());
+  }
+
+  revoke(clientId: string): boolean {
+    const { [clientId]: revoked, ...remaining } = this.load();
+    if (!revoked) {
+      return false;
+    }
+    this.save(remaining);
+    logger.info(`Revoked OAuth client ${clientId}`);
+    return true;
+  }
+
+  // Reloads whenever the file changed, so clients revoked from the CLI are rejected right away
+  private load(): Record<string, OAuthClientInformationFull> {
+    try {
+      const mtime = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : 0;
+      if (this.clients && mtime === this.loadedMtime) {
+        return this.clients;
+      }
+
+      this.clients = mtime
+        ? (JSON.parse(fs.readFileSync(this.filePath, 'utf8')) as Record<
+            string,
+            OAuthClientInformationFull
+          >)
+        : {};
+      this.loadedMtime = mtime;
+    } catch (error) {
+      // Starting over would silently drop every registration, so refuse to continue instead
+      throw new Error(
+        `Error loading OAuth client registrations from ${this.filePath}: ${(error as Error).message}`
+      );
+    }
+    return this.clients;
+  }
+
+  private save(clients: Record<string, OAuthClientInformationFull>): void {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(clients, null, 2), { mode: 0o600 });
+    this.clients = clients;
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+}
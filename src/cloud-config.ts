@@ -0,0 +1,95 @@
+export type CloudType = 'global' | 'usgov' | 'usgovdod' | 'china';
+
+export const CLOUD_TYPES: CloudType[] = ['global', 'usgov', 'usgovdod', 'china'];
+
+export interface CloudEndpoints {
+  cloud: CloudType;
+  // Base URL of Microsoft Graph, without the API version
+  graphUrl: string;
+  // Base URL of Microsoft Entra ID, without the tenant
+  authorityUrl: string;
+  // Whether an authority override points somewhere MSAL cannot discover on its own
+  customAuthority: boolean;
+}
+
+export interface CloudOptions {
+  cloud?: string;
+  graphUrl?: string;
+  authorityUrl?: string;
+}
+
+// National cloud deployments: https://learn.microsoft.com/graph/deployments
+const CLOUDS: Record<CloudType, { graphUrl: string; authorityUrl: string }> = {
+  global: {
+    graphUrl: 'https://graph.microsoft.com',
+    authorityUrl: 'https://login.microsoftonline.com',
+  },
+  usgov: {
+    graphUrl: 'https://graph.microsoft.us',
+    authorityUrl: 'https://login.microsoftonline.us',
+  },
+  usgovdod: {
+    graphUrl: 'https://dod-graph.microsoft.us',
+    authorityUrl: 'https://login.microsoftonline.us',
+  },
+  china: {
+    graphUrl: 'https://microsoftgraph.chinacloudapi.cn',
+    authorityUrl: 'https://login.chinacloudapi.cn',
+  },
+};
+
+// Scopes understood by Entra ID itself rather than by a resource
+const OIDC_SCOPES = ['openid', 'profile', 'email', 'offline_access'];
+
+function stripTrailingSlash(url: string): string {
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Resolves the Graph and login endpoints of a cloud, with optional base URL overrides (for example
+ * to point the server at a local mock).
+ */
+export function resolveCloudEndpoints(options: CloudOptions = {}): CloudEndpoints {
+  const cloud = (options.cloud ?? 'global') as CloudType;
+  if (!CLOUD_TYPES.includes(cloud)) {
+    throw new Error(`Invalid value for cloud: ${cloud} (expected ${CLOUD_TYPES.join(', ')})`);
+  }
+
+  return {
+    cloud,
+    graphUrl: stripTrailingSlash(options.graphUrl ?? CLOUDS[cloud].graphUrl),
+    authorityUrl: stripTrailingSlash(options.authorityUrl ?? CLOUDS[cloud].authorityUrl),
+    customAuthority: options.authorityUrl !== undefined,
+  };
+}
+
+let endpoints = resolveCloudEndpoints();
+
+/**
+ * Switches every Graph and login URL of the server, called once at startup.
+ */
+export function configureCloud(options: CloudOptions): CloudEndpoints {
+  endpoints = resolveCloudEndpoints(options);
+  return endpoints;
+}
+
+export function getCloudEndpoints(): CloudEndpoints {
+  return endpoints;
+}
+
+export function authorityFor(tenantId: string): string {
+  return `${endpoints.authorityUrl}/${tenantId}`;
+}
+
+/**
+ * Graph permissions are requested by their short name in the global cloud. National clouds need
+ * them qualified with their own Graph resource, as short names resolve to the global one. A
+ * --graph-url override, such as a local mock, changes where requests go but not whose permissions
+ * the token carries.
+ */
+export function qualifyScope(scope: string): string {
+  if (endpoints.cloud === 'global' || OIDC_SCOPES.includes(scope) || scope.includes('://')) {
+    return scope;
+  }
+  return `${CLOUDS[endpoints.cloud].graphUrl}/${scope}`;
+}
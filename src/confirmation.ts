@@ -0,0 +1,270 @@
+import crypto from 'crypto';
+import { z } from 'zod';
+import type { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import type { RequestHandlerExtra } from '@modelcontextprotocol/sdk/shared/protocol.js';
+import type { ServerNotification, ServerRequest } from '@modelcontextprotocol/sdk/types.js';
+import logger from './logger.js';
+import { categorizeTool, type ToolCategory } from './tool-categories.js';
+import { extractRecipients, parseRequestBody } from './policy.js';
+
+// How long a preview can be confirmed
+export const CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+
+// Longest string shown in a body preview
+const MAX_PREVIEW_STRING = 200;
+
+// What the user is asked to approve, shown to them as JSON
+export interface ConfirmationPreview {
+  tool: string;
+  [key: string]: unknown;
+}
+
+export interface WritePreview extends ConfirmationPreview {
+  category: ToolCategory;
+  method: string;
+  url: string;
+  recipients?: string[];
+  body?: unknown;
+}
+
+interface PendingConfirmation {
+  tool: string;
+  fingerprint: string;
+  expiresAt: number;
+}
+
+interface ConfirmationResult {
+  content: Array<{ type: 'text'; text: string }>;
+  isError?: boolean;
+  [key: string]: unknown;
+}
+
+export interface ConfirmationGateOptions {
+  // Whether the transport can carry a request to the client in the middle of a tool call
+  allowElicitation?: boolean;
+  ttlMs?: number;
+}
+
+type ToolCallExtra = RequestHandlerExtra<ServerRequest, ServerNotification>;
+
+// elicitation/create is newer than the SDK, so its result is validated here
+export const ElicitResultSchema = z
+  .object({
+    action: z.enum(['accept', 'decline', 'cancel']),
+    content: z.record(z.unknown()).optional(),
+  })
+  .passthrough();
+
+function summarize(value: unknown): unknown {
+  if (typeof value === 'string') {
+    return value.length > MAX_PREVIEW_STRING
+      ? `${value.slice(0, MAX_PREVIEW_STRING)}... (${value.length} characters)`
+      : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(summarize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, summarize(item)]));
+  }
+  return value;
+}
+
+/**
+ * Describes a write before it runs: where it goes, who receives it and a shortened body.
+ */
+export function buildWritePreview(
+  tool: string,
+  method: string,
+  url: string,
+  body?: unknown
+): WritePreview {
+  const preview: WritePreview = {
+    tool,
+    category: categorizeTool(tool, method),
+    method: method.toUpperCase(),
+    url,
+  };
+
+  const parsedBody = parseRequestBody(body);
+  const recipients = extractRecipients(parsedBody);
+  if (recipients.length > 0) {
+    preview.recipients = recipients;
+  }
+  if (parsedBody !== undefined && parsedBody !== null) {
+    preview.body = summarize(parsedBody);
+  }
+  return preview;
+}
+
+function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map(
+        (key) => `${JSON.stringify(key)}:${canonicalJson((value as Record<string, unknown>)[key])}`
+      )
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function fingerprint(tool: string, params: Record<string, unknown>): string {
+  const previewed = { ...params };
+  delete previewed.confirmationToken;
+  return crypto
+    .createHash('sha256')
+    .update(canonicalJson({ tool, params: previewed }))
+    .digest('hex');
+}
+
+function textResult(body: Record<string, unknown>, isError = false): ConfirmationResult {
+  return {
+    content: [{ type: 'text', text: JSON.stringify(body) }],
+    ...(isError && { isError: true }),
+  };
+}
+
+/**
+ * Holds back writes of the configured categories until they are confirmed, either by the user
+ * through MCP elicitation or by calling the tool again with the token of its preview. Tokens are
+ * single use and bound to the exact parameters of the previewed call.
+ */
+export default class ConfirmationGate {
+  private categories: ToolCategory[];
+  private allowElicitation: boolean;
+  private ttlMs: number;
+  private pending = new Map<string, PendingConfirmation>();
+
+  constructor(categories: ToolCategory[], options: ConfirmationGateOptions = {}) {
+    this.categories = categories;
+    this.allowElicitation = options.allowElicitation ?? true;
+    this.ttlMs = options.ttlMs ?? CONFIRMATION_TTL_MS;
+  }
+
+  requiresConfirmation(toolName: string, method: string): boolean {
+    return this.categories.includes(categorizeTool(toolName, method));
+  }
+
+  /**
+   * Returns undefined when the call may run, otherwise the result to return instead: the
+   * preview with a confirmation token, a refusal, or an error for an unusable token.
+   */
+  async confirm(
+    server: McpServer,
+    extra: ToolCallExtra,
+    preview: ConfirmationPreview,
+    params: Record<string, unknown>
+  ): Promise<ConfirmationResult | undefined> {
+    if (typeof params.confirmationToken === 'string' && params.confirmationToken) {
+      return this.redeem(params.confirmationToken, preview.tool, params);
+    }
+
+    if (this.allowElicitation && server.server.getClientCapabilities()?.elicitation) {
+      try {
+        return await this.elicit(extra, preview);
+      } catch (error) {
+        logger.warn(
+          `Elicitation for ${preview.tool} failed, falling back to a confirmation token: ${(error as Error).message}`
+        );
+      }
+    }
+
+    return this.issue(preview, params);
+  }
+
+  private issue(preview: ConfirmationPreview, params: Record<string, unknown>): ConfirmationResult {
+    this.purgeExpired();
+    const token = crypto.randomBytes(16).toString('base64url');
+    const expiresAt = Date.now() + this.ttlMs;
+    this.pending.set(token, {
+      tool: preview.tool,
+      fingerprint: fingerprint(preview.tool, params),
+      expiresAt,
+    });
+
+    logger.info(`Holding ${preview.tool} until it is confirmed`);
+    return textResult({
+      confirmationRequired: true,
+      message: `Nothing was done yet. Show this preview to the user and, once they approve it, call ${preview.tool} again with the same parameters and confirmationToken.`,
+      preview,
+      confirmationToken: token,
+      expiresAt: new Date(expiresAt).toISOString(),
+    });
+  }
+
+  private redeem(
+    token: string,
+    tool: string,
+    params: Record<string, unknown>
+  ): ConfirmationResult | undefined {
+    this.purgeExpired();
+    const pending = this.pending.get(token);
+    if (!pending || pending.tool !== tool) {
+      return textResult(
+        {
+          error: `The confirmation token is unknown or expired. Call ${tool} without confirmationToken to get a new preview.`,
+        },
+        true
+      );
+    }
+    if (pending.fingerprint !== fingerprint(tool, params)) {
+      return textResult(
+        {
+          error: `The parameters differ from the previewed call. Call ${tool} without confirmationToken to preview the changed call.`,
+        },
+        true
+      );
+    }
+
+    this.pending.delete(token);
+    logger.info(`${tool} was confirmed with a token`);
+    return undefined;
+  }
+
+  private async elicit(
+    extra: ToolCallExtra,
+    preview: ConfirmationPreview
+  ): Promise<ConfirmationResult | undefined> {
+    const result = await extra.sendRequest(
+      {
+        method: 'elicitation/create',
+        params: {
+          message: `Allow ${preview.tool} to run?\n\n${JSON.stringify(preview, null, 2)}`,
+          requestedSchema: {
+            type: 'object',
+            properties: {
+              confirm: { type: 'boolean', title: `Run ${preview.tool}` },
+            },
+            required: ['confirm'],
+          },
+        },
+      } as unknown as ServerRequest,
+      ElicitResultSchema
+    );
+
+    if (result.action === 'accept' && result.content?.confirm === true) {
+      logger.info(`${preview.tool} was confirmed by the user`);
+      return undefined;
+    }
+
+    logger.info(`${preview.tool} was not confirmed by the user (${result.action})`);
+    return textResult({
+      cancelled: true,
+      message: `The user did not approve ${preview.tool}, nothing was done.`,
+      preview,
+    });
+  }
+
+  private purgeExpired(): void {
+    const now = Date.now();
+    for (const [token, pending] of this.pending) {
+      if (pending.expiresAt <= now) {
+        this.pending.delete(token);
+      }
+    }
+  }
+}
@@ -0,0 +1,250 @@
+import type { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import type { RequestHandlerExtra } from '@modelcontextprotocol/sdk/shared/protocol.js';
+import type { ServerNotification, ServerRequest } from '@modelcontextprotocol/sdk/types.js';
+import logger from './logger.js';
+import type AuthManager from './auth.js';
+import { hasScope } from './auth.js';
+import { ElicitResultSchema } from './confirmation.js';
+
+// Requested at login with incremental consent; the rest is asked for when a tool needs it
+export const INCREMENTAL_CONSENT_BASE_SCOPES = ['User.Read'];
+
+// Device codes expire after 15 minutes, so an elicitation can wait that long for the user
+const CONSENT_TIMEOUT_MS = 15 * 60 * 1000;
+
+// How long a tool call waits for a sign-in that is already in progress
+const CONSENT_WAIT_MS = 60 * 1000;
+
+type ToolCallExtra = RequestHandlerExtra<ServerRequest, ServerNotification>;
+
+interface ConsentResult {
+  content: Array<{ type: 'text'; text: string }>;
+  isError?: boolean;
+  [key: string]: unknown;
+}
+
+interface ConsentFlow {
+  scopes: string[];
+  // Sign-in instructions of the device code
+  message: Promise<string>;
+  completion: Promise<void>;
+}
+
+export interface ToolPermissions {
+  tool: string;
+  requiredScopes: string[];
+  missingScopes: string[];
+  ready: boolean;
+}
+
+export interface ConsentManagerOptions {
+  // Whether the transport can carry a request to the client in the middle of a tool call
+  allowElicitation?: boolean;
+  waitMs?: number;
+}
+
+function textResult(body: Record<string, unknown>, isError = false): ConsentResult {
+  return {
+    content: [{ type: 'text', text: JSON.stringify(body) }],
+    ...(isError && { isError: true }),
+  };
+}
+
+/**
+ * Whether a tool result is a Graph error that a missing permission caused.
+ */
+export function isConsentError(result: {
+  isError?: boolean;
+  content?: Array<{ type: string; text?: string }>;
+}): boolean {
+  const first = result.content?.[0];
+  if (!result.isError || first?.type !== 'text' || !first.text) {
+    return false;
+  }
+  try {
+    return JSON.parse(first.text).category === 'consent';
+  } catch {
+    return false;
+  }
+}
+
+// Resolves to whether the promise settled in time, and rejects if it failed
+function settlesWithin(promise: Promise<void>, ms: number): Promise<boolean> {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  const timeout = new Promise<boolean>((resolve) => {
+    timer = setTimeout(() => resolve(false), ms);
+    timer.unref?.();
+  });
+  return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Asks for the permissions of a tool when it is first used instead of at login. When Graph
+ * rejects a call for a missing permission, the scopes the tool needs are requested with a device
+ * code, shown to the user through MCP elicitation or returned to the model, and the call is
+ * retried once the user has consented. Calls needing the same scopes share one sign-in.
+ */
+class ConsentManager {
+  private authManager: AuthManager;
+  private allowElicitation: boolean;
+  private waitMs: number;
+  private toolScopes = new Map<string, string[]>();
+  private flows = new Map<string, ConsentFlow>();
+
+  constructor(authManager: AuthManager, options: ConsentManagerOptions = {}) {
+    this.authManager = authManager;
+    this.allowElicitation = options.allowElicitation ?? true;
+    this.waitMs = options.waitMs ?? CONSENT_WAIT_MS;
+  }
+
+  registerTool(tool: string, requiredScopes: string[]): void {
+    this.toolScopes.set(tool, requiredScopes);
+  }
+
+  async missingScopes(requiredScopes: string[]): Promise<string[]> {
+    const granted = await this.authManager.getGrantedScopes();
+    return requiredScopes.filter((scope) => !hasScope(granted, scope));
+  }
+
+  /**
+   * The granted scopes and, for the given tools or every registered one, whether they can be used
+   * without asking for more permissions.
+   */
+  async getPermissions(
+    tools: string[] = [...this.toolScopes.keys()]
+  ): Promise<{ grantedScopes: string[]; tools: ToolPermissions[] }> {
+    const grantedScopes = await this.authManager.getGrantedScopes();
+    return {
+      grantedScopes,
+      tools: tools
+        .filter((tool) => this.toolScopes.has(tool))
+        .map((tool) => {
+          const requiredScopes = this.toolScopes.get(tool) ?? [];
+          const missingScopes = requiredScopes.filter((scope) => !hasScope(grantedScopes, scope));
+          return { tool, requiredScopes, missingScopes, ready: missingScopes.length === 0 };
+        }),
+    };
+  }
+
+  /**
+   * Returns undefined once the missing scopes were granted and the call can be retried, otherwise
+   * the result to return instead: the sign-in instructions, a refusal or the reason it failed.
+   */
+  async requestConsent(
+    server: McpServer,
+    extra: ToolCallExtra,
+    tool: string,
+    missingScopes: string[]
+  ): Promise<ConsentResult | undefined> {
+    const key = [...missingScopes].sort().join(' ');
+    try {
+      const running = this.flows.get(key);
+      if (running) {
+        // Called again while the user signs in: wait a while for them to finish
+        if (await settlesWithin(running.completion, this.waitMs)) {
+          return undefined;
+        }
+        return this.pendingResult(tool, running.scopes, await running.message);
+      }
+
+      const flow = this.start(key, missingScopes);
+      const message = await flow.message;
+
+      if (this.allowElicitation && server.server.getClientCapabilities()?.elicitation) {
+        let signedIn: boolean | undefined;
+        try {
+          signedIn = await this.elicit(extra, tool, missingScopes, message);
+        } catch (error) {
+          logger.warn(
+            `Elicitation for the consent of ${tool} failed, returning the sign-in instructions: ${(error as Error).message}`
+          );
+        }
+        if (signedIn === false) {
+          return textResult({
+            cancelled: true,
+            message: `The user did not grant the permissions ${tool} needs, nothing was done.`,
+            missingScopes,
+          });
+        }
+        if (signedIn && (await settlesWithin(flow.completion, this.waitMs))) {
+          return undefined;
+        }
+      }
+
+      return this.pendingResult(tool, missingScopes, message);
+    } catch (error) {
+      logger.error(`Consent for ${tool} failed: ${(error as Error).message}`);
+      return textResult(
+        {
+          error: `The permissions ${missingScopes.join(', ')} needed by ${tool} were not granted: ${(error as Error).message}`,
+          missingScopes,
+        },
+        true
+      );
+    }
+  }
+
+  private start(key: string, scopes: string[]): ConsentFlow {
+    let onMessage: (message: string) => void = () => {};
+    const message = new Promise<string>((resolve) => {
+      onMessage = resolve;
+    });
+    const completion = this.authManager.requestAdditionalScopes(scopes, onMessage).finally(() => {
+      this.flows.delete(key);
+    });
+    // Failures are reported to the calls waiting for it
+    completion.catch(() => undefined);
+
+    const flow: ConsentFlow = {
+      scopes,
+      // A flow that fails before it has a device code never sends instructions
+      message: Promise.race([
+        message,
+        completion.then(() => {
+          throw new Error('The sign-in ended without a device code');
+        }),
+      ]),
+      completion,
+    };
+    this.flows.set(key, flow);
+    return flow;
+  }
+
+  private pendingResult(tool: string, missingScopes: string[], signIn: string): ConsentResult {
+    logger.info(`Holding ${tool} until ${missingScopes.join(', ')} are granted`);
+    return textResult({
+      consentRequired: true,
+      message: `Nothing was done yet. ${tool} needs permissions the account has not granted. Show the sign-in instructions to the user and, once they have signed in, call ${tool} again with the same parameters.`,
+      missingScopes,
+      signIn,
+    });
+  }
+
+  private async elicit(
+    extra: ToolCallExtra,
+    tool: string,
+    missingScopes: string[],
+    signIn: string
+  ): Promise<boolean> {
+    const result = await extra.sendRequest(
+      {
+        method: 'elicitation/create',
+        params: {
+          message: `${tool} needs the permissions ${missingScopes.join(', ')}.\n\n${signIn}\n\nConfirm once you have signed in.`,
+          requestedSchema: {
+            type: 'object',
+            properties: {
+              signedIn: { type: 'boolean', title: 'I have signed in' },
+            },
+            required: ['signedIn'],
+          },
+        },
+      } as unknown as ServerRequest,
+      ElicitResultSchema,
+      { timeout: CONSENT_TIMEOUT_MS }
+    );
+    return result.action === 'accept' && result.content?.signedIn === true;
+  }
+}
+
+export default ConsentManager;
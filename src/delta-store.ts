@@ -0,0 +1,61 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+type DeltaLinks = Record<string, Record<string, string>>;
+
+/**
+ * Persists the Graph delta (or resumable next) link of every synced resource, keyed by account
+ * and resource, so that a later sync only returns what changed in between.
+ */
+export class DeltaTokenStore {
+  private filePath: string;
+  private links: DeltaLinks | null = null;
+
+  constructor(filePath: string) {
+    this.filePath = filePath;
+  }
+
+  get(accountKey: string, resourceKey: string): string | undefined {
+    return this.load()[accountKey]?.[resourceKey];
+  }
+
+  set(accountKey: string, resourceKey: string, link: string): void {
+    const links = this.load();
+    links[accountKey] = { ...links[accountKey], [resourceKey]: link };
+    this.save();
+  }
+
+  delete(accountKey: string, resourceKey: string): void {
+    const links = this.load();
+    if (links[accountKey]?.[resourceKey]) {
+      delete links[accountKey][resourceKey];
+      this.save();
+    }
+  }
+
+  private load(): DeltaLinks {
+    if (this.links) {
+      return this.links;
+    }
+
+    try {
+      this.links = fs.existsSync(this.filePath)
+        ? (JSON.parse(fs.readFileSync(this.filePath, 'utf8')) as DeltaLinks)
+        : {};
+    } catch (error) {
+      logger.error(`Error loading delta links, starting over: ${(error as Error).message}`);
+      this.links = {};
+    }
+    return this.links;
+  }
+
+  private save(): void {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.links, null, 2), { mode: 0o600 });
+    } catch (error) {
+      logger.error(`Error saving delta links: ${(error as Error).message}`);
+    }
+  }
+}
@@ -0,0 +1,264 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { z } from 'zod';
+import logger from './logger.js';
+import GraphClient from './graph-client.js';
+import { GraphError } from './graph-error.js';
+import { DeltaTokenStore } from './delta-store.js';
+import { isToolEnabled, matchesToolFilter } from './tool-request.js';
+import type ToolSet from './tool-set.js';
+import { getPolicy } from './policy.js';
+
+// Upper bound of pages per call; a sync that needs more resumes from where it stopped
+const MAX_DELTA_PAGES = 50;
+
+interface DeltaPage {
+  value?: Array<Record<string, unknown>>;
+  '@odata.nextLink'?: string;
+  '@odata.deltaLink'?: string;
+}
+
+export interface DeltaSyncResult {
+  initialSync: boolean;
+  resynced: boolean;
+  hasMore: boolean;
+  changed: Array<Record<string, unknown>>;
+  deleted: Array<{ id: unknown; reason?: unknown }>;
+}
+
+/**
+ * The changes of a sync and how to record its sync point. The point is only recorded once the
+ * caller has the changes in hand, so a sync that fails before returning them is repeated in full.
+ */
+export interface DeltaSync {
+  result: DeltaSyncResult;
+  commit(): void;
+}
+
+interface DeltaResource {
+  key: string;
+  path: string;
+}
+
+export interface DeltaSyncOptions {
+  graphClient: GraphClient;
+  store: DeltaTokenStore;
+  accountKey: string;
+  resource: DeltaResource;
+  reset?: boolean;
+}
+
+function isResyncRequired(error: unknown): boolean {
+  // Graph answers 410 Gone when a delta token expired or the sync state was lost
+  return error instanceof GraphError && error.status === 410;
+}
+
+// Collects the changes into result and returns the link the next sync starts from
+async function followDelta(
+  options: DeltaSyncOptions,
+  startUrl: string,
+  result: DeltaSyncResult
+): Promise<string | undefined> {
+  const { graphClient, resource } = options;
+  let url = startUrl;
+
+  for (let page = 0; page < MAX_DELTA_PAGES; page++) {
+    const data = (await graphClient.makeRequest(url)) as DeltaPage;
+
+    for (const item of data.value || []) {
+      const removed = (item['@removed'] || item.deleted) as { reason?: unknown } | undefined;
+      if (removed) {
+        result.deleted.push({ id: item.id, reason: removed.reason ?? 'deleted' });
+      } else {
+        result.changed.push(item);
+      }
+    }
+
+    if (data['@odata.deltaLink']) {
+      return data['@odata.deltaLink'];
+    }
+
+    if (!data['@odata.nextLink']) {
+      return undefined;
+    }
+
+    url = data['@odata.nextLink'];
+  }
+
+  // Graph accepts a nextLink as a resume point just like a delta link
+  logger.warn(`Delta sync of ${resource.key} stopped after ${MAX_DELTA_PAGES} pages`);
+  result.hasMore = true;
+  return url;
+}
+
+function emptyResult(initialSync: boolean): DeltaSyncResult {
+  return { initialSync, resynced: false, hasMore: false, changed: [], deleted: [] };
+}
+
+/**
+ * Follows a delta query from the stored link (or from scratch) until Graph hands out a new
+ * delta link, and returns only the items that were added, changed or deleted. The new link is
+ * saved by commit().
+ */
+export async function syncDelta(options: DeltaSyncOptions): Promise<DeltaSync> {
+  const { store, accountKey, resource } = options;
+
+  if (options.reset) {
+    store.delete(accountKey, resource.key);
+  }
+
+  let result: DeltaSyncResult;
+  let link: string | undefined;
+  const storedLink = store.get(accountKey, resource.key);
+  if (!storedLink) {
+    result = emptyResult(true);
+    link = await followDelta(options, resource.path, result);
+  } else {
+    try {
+      result = emptyResult(false);
+      link = await followDelta(options, storedLink, result);
+    } catch (error) {
+      if (!isResyncRequired(error)) {
+        throw error;
+      }
+      logger.warn(`Delta link for ${resource.key} expired, starting a full sync`);
+      store.delete(accountKey, resource.key);
+      result = { ...emptyResult(true), resynced: true };
+      link = await followDelta(options, resource.path, result);
+    }
+  }
+
+  return {
+    result,
+    commit: () => {
+      if (link) {
+        store.set(accountKey, resource.key, link);
+      }
+    },
+  };
+}
+
+export function registerDeltaTools(
+  server: McpServer,
+  graphClient: GraphClient,
+  store: DeltaTokenStore,
+  getAccountKey: () => string | Promise<string>,
+  enabledToolsPattern?: string,
+  toolSet?: ToolSet
+): void {
+  const resetParam = z
+    .boolean()
+    .default(false)
+    .describe('Forget the stored sync state and return the full current state');
+
+  const registerSyncTool = (
+    name: string,
+    description: string,
+    paramSchema: z.ZodRawShape,
+    resolveResource: (params: Record<string, string>) => DeltaResource
+  ): void => {
+    const enabled = toolSet
+      ? matchesToolFilter(name, enabledToolsPattern)
+      : isToolEnabled(name, 'GET', false, enabledToolsPattern);
+    if (!enabled) {
+      return;
+    }
+
+    const handle = server.tool(
+      name,
+      `${description} The first call returns everything and records a sync point; later calls return only what was added, changed or deleted since the previous call.`,
+      { ...paramSchema, reset: resetParam },
+      {
+        title: name,
+        readOnlyHint: true,
+      },
+      async ({ reset, ...params }) => {
+        try {
+          const resource = resolveResource(params as Record<string, string>);
+          getPolicy()?.checkRequest({ tool: name, method: 'GET', path: resource.path });
+          const sync = await syncDelta({
+            graphClient,
+            store,
+            accountKey: await getAccountKey(),
+            resource,
+            reset,
+          });
+          const response = graphClient.formatJsonResponse(sync.result);
+          sync.commit();
+          return response;
+        } catch (error) {
+          logger.error(`Error in tool ${name}: ${(error as Error).message}`);
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify({
+                  error: `Error in tool ${name}: ${(error as Error).message}`,
+                }),
+              },
+            ],
+            isError: true,
+          };
+        }
+      }
+    );
+    toolSet?.add(name, 'GET', false, handle);
+  };
+
+  registerSyncTool(
+    'sync-mail-folder-changes',
+    'Track changes to the messages in a mail folder.',
+    {
+      mailFolderId: z
+        .string()
+        .default('inbox')
+        .describe('ID or well-known name (inbox, sentitems, ...) of the mail folder'),
+    },
+    ({ mailFolderId }) => ({
+      key: `messages:${mailFolderId}`,
+      path: `/me/mailFolders/${encodeURIComponent(mailFolderId)}/messages/delta`,
+    })
+  );
+
+  registerSyncTool(
+    'sync-calendar-changes',
+    'Track changes to the events of the default calendar within a date range.',
+    {
+      startDateTime: z
+        .string()
+        .describe('Start of the range, ISO 8601 (e.g. 2025-01-01T00:00:00Z)'),
+      endDateTime: z.string().describe('End of the range, ISO 8601 (e.g. 2025-02-01T00:00:00Z)'),
+    },
+    ({ startDateTime, endDateTime }) => ({
+      // The range is part of the delta link, so each range is tracked separately
+      key: `calendarView:${startDateTime}/${endDateTime}`,
+      path: `/me/calendarView/delta?startDateTime=${encodeURIComponent(startDateTime)}&endDateTime=${encodeURIComponent(endDateTime)}`,
+    })
+  );
+
+  registerSyncTool(
+    'sync-contact-changes',
+    'Track changes to Outlook contacts.',
+    {
+      contactFolderId: z
+        .string()
+        .optional()
+        .describe('ID of a contact folder, defaults to the default contacts folder'),
+    },
+    ({ contactFolderId }) => ({
+      key: `contacts:${contactFolderId ?? 'default'}`,
+      path: contactFolderId
+        ? `/me/contactFolders/${encodeURIComponent(contactFolderId)}/contacts/delta`
+        : '/me/contacts/delta',
+    })
+  );
+
+  registerSyncTool(
+    'sync-drive-changes',
+    'Track changes to files and folders in OneDrive, starting at the drive root.',
+    {},
+    () => ({
+      key: 'drive:root',
+      path: '/me/drive/root/delta',
+    })
+  );
+}
@@ -0,0 +1,168 @@
+import fs from 'fs/promises';
+import path from 'path';
+import type {
+  EventId,
+  EventStore,
+  StreamId,
+} from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import type { JSONRPCMessage } from '@modelcontextprotocol/sdk/types.js';
+import logger from './logger.js';
+
+export type EventStoreKind = 'memory' | 'file';
+
+export const EVENT_STORE_KINDS: EventStoreKind[] = ['memory', 'file'];
+
+// Events kept in memory per session; older events can no longer be replayed
+const MAX_EVENTS = 1000;
+
+interface StoredEvent {
+  eventId: EventId;
+  streamId: StreamId;
+  message: JSONRPCMessage;
+}
+
+/**
+ * Event store of a single HTTP session. Clients that reconnect with `Last-Event-ID` get every
+ * later message of the same stream replayed.
+ */
+export interface SessionEventStore extends EventStore {
+  /** Drops all stored events once the session is gone. */
+  clear(): Promise<void>;
+}
+
+async function replay(
+  events: StoredEvent[],
+  lastEventId: EventId,
+  send: (eventId: EventId, message: JSONRPCMessage) => Promise<void>
+): Promise<StreamId> {
+  const index = events.findIndex((event) => event.eventId === lastEventId);
+  if (index === -1) {
+    logger.warn(`Cannot replay events after unknown event ID ${lastEventId}`);
+    return '';
+  }
+
+  const { streamId } = events[index];
+  for (const event of events.slice(index + 1)) {
+    if (event.streamId === streamId) {
+      await send(event.eventId, event.message);
+    }
+  }
+  return streamId;
+}
+
+export class InMemoryEventStore implements SessionEventStore {
+  private events: StoredEvent[] = [];
+  private counter = 0;
+
+  async storeEvent(streamId: StreamId, message: JSONRPCMessage): Promise<EventId> {
+    const eventId = `${streamId}_${++this.counter}`;
+    this.events.push({ eventId, streamId, message });
+    if (this.events.length > MAX_EVENTS) {
+      this.events.shift();
+    }
+    return eventId;
+  }
+
+  async replayEventsAfter(
+    lastEventId: EventId,
+    { send }: { send: (eventId: EventId, message: JSONRPCMessage) => Promise<void> }
+  ): Promise<StreamId> {
+    return replay(this.events, lastEventId, send);
+  }
+
+  async clear(): Promise<void> {
+    this.events = [];
+  }
+}
+
+/**
+ * Appends the events of a session to a JSONL file instead of keeping them in memory, so long-lived
+ * sessions can be resumed from any point without growing the process. The events are the JSON-RPC
+ * messages sent to the client, tool results included, so the file is readable by its owner only
+ * and removed when the session ends.
+ */
+export class FileEventStore implements SessionEventStore {
+  private filePath: string;
+  private counter = 0;
+  private pending: Promise<void> = Promise.resolve();
+
+  constructor(filePath: string) {
+    this.filePath = filePath;
+  }
+
+  async storeEvent(streamId: StreamId, message: JSONRPCMessage): Promise<EventId> {
+    const eventId = `${streamId}_${++this.counter}`;
+    const line = JSON.stringify({ eventId, streamId, message }) + '\n';
+
+    // Appends are chained so events land in the file in the order they were sent
+    const write = this.pending.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+      await fs.appendFile(this.filePath, line, { mode: 0o600 });
+    });
+    this.pending = write.catch(() => undefined);
+    await write;
+    return eventId;
+  }
+
+  async replayEventsAfter(
+    lastEventId: EventId,
+    { send }: { send: (eventId: EventId, message: JSONRPCMessage) => Promise<void> }
+  ): Promise<StreamId> {
+    await this.pending;
+    return replay(await this.readEvents(), lastEventId, send);
+  }
+
+  async clear(): Promise<void> {
+    await this.pending;
+    await fs.rm(this.filePath, { force: true });
+  }
+
+  private async readEvents(): Promise<StoredEvent[]> {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      return content
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line) as StoredEvent);
+    } catch (error) {
+      if ((error as { code?: string }).code !== 'ENOENT') {
+        logger.error(`Error reading event store ${this.filePath}: ${(error as Error).message}`);
+      }
+      return [];
+    }
+  }
+}
+
+/**
+ * Removes the event files left behind by sessions of an earlier run, which cannot be resumed as
+ * sessions do not survive a restart, and makes the directory private to its owner.
+ */
+export async function purgeEventFiles(directory: string): Promise<void> {
+  let files: string[];
+  try {
+    files = await fs.readdir(directory);
+  } catch (error) {
+    if ((error as { code?: string }).code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  await fs.chmod(directory, 0o700);
+  const stale = files.filter((file) => file.endsWith('.jsonl'));
+  await Promise.all(stale.map((file) => fs.rm(path.join(directory, file), { force: true })));
+  if (stale.length > 0) {
+    logger.info(`Removed ${stale.length} event files of earlier HTTP sessions`);
+  }
+}
+
+export function createEventStore(
+  kind: EventStoreKind,
+  sessionId: string,
+  directory: string
+): SessionEventStore {
+  if (kind === 'file') {
+    return new FileEventStore(path.join(directory, `${sessionId}.jsonl`));
+  }
+  return new InMemoryEventStore();
+}
@@ -1,8 +1,96 @@
+import crypto from 'crypto';
 import logger from './logger.js';
+import { isPayloadLoggingEnabled } from './log-redaction.js';
 import AuthManager from './auth.js';
-import { refreshAccessToken } from './lib/microsoft-auth.js';
+import { accountNameForToken, refreshAccessToken } from './lib/microsoft-auth.js';
+import { getCloudEndpoints } from './cloud-config.js';
+import {
+  formatGraphError,
+  GraphError,
+  readGraphError,
+  type GraphErrorContext,
+} from './graph-error.js';
+
+export interface RetryPolicy {
+  maxRetries: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+  maxTotalWaitMs: number;
+}
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxTotalWaitMs: 60000,
+};
+
+// Graph signals transient service trouble with these 5xx codes
+const TRANSIENT_STATUS_CODES = [500, 502, 503, 504];
+
+/**
+ * Whether sending a request twice has the same effect as sending it once. A 5xx or network error
+ * may come after Graph carried out the request, so only these are retried after one; a POST such
+ * as sending mail or a $batch could otherwise go out twice.
+ */
+function isIdempotent(options: GraphRequestOptions): boolean {
+  const method = (options.method || 'GET').toUpperCase();
+  if (method === 'PATCH') {
+    // Conditional updates fail with 412 instead of applying twice
+    return Object.keys(options.headers ?? {}).some((name) => name.toLowerCase() === 'if-match');
+  }
+  return ['GET', 'HEAD', 'PUT', 'DELETE'].includes(method);
+}
+
+/**
+ * Throttled requests (429) and 503s with Retry-After were refused before being processed, so any
+ * request can be retried after them. Other failures are only retried for idempotent requests.
+ */
+function isRetryable(response: Response | undefined, idempotent: boolean): boolean {
+  if (!response) {
+    return idempotent;
+  }
+  if (response.status === 429 || (response.status === 503 && response.headers.has('Retry-After'))) {
+    return true;
+  }
+  return idempotent && TRANSIENT_STATUS_CODES.includes(response.status);
+}
+
+// Downloads above this size are not inlined into tool results
+export const DEFAULT_MAX_BINARY_SIZE = 10 * 1024 * 1024;
+
+export interface GraphClientOptions {
+  retryPolicy?: Partial<RetryPolicy>;
+  maxBinarySize?: number;
+}
+
+/**
+ * Body of a rawResponse request that is not JSON. Kept as bytes so that binary files survive
+ * until formatJsonResponse decides how to present them.
+ */
+export interface RawContent {
+  kind: 'raw-content';
+  uri: string;
+  mimeType: string;
+  size: number;
+  data?: Buffer;
+}
+
+export type GraphApiVersion = 'v1.0' | 'beta';
 
-interface GraphRequestOptions {
+export interface GraphResponseInfo {
+  status: number;
+  requestId?: string;
+  clientRequestId?: string;
+  // UPN, or app name in app-only mode, of the identity the request was sent as
+  account?: string;
+}
+
+interface RequestStats {
+  retries: number;
+}
+
+export interface GraphRequestOptions {
   headers?: Record<string, string>;
   method?: string;
   body?: string;
@@ -10,18 +98,46 @@ interface GraphRequestOptions {
   includeHeaders?: boolean;
   accessToken?: string;
   refreshToken?: string;
+  // homeAccountId or username of a cached account to use instead of the selected one
+  account?: string;
+  apiVersion?: GraphApiVersion;
+  // Tool details added to the result when Graph reports an error
+  errorContext?: GraphErrorContext;
+  // Called with the final response of the request, e.g. to record it in the audit log
+  onResponse?: (info: GraphResponseInfo) => void;
 
   [key: string]: unknown;
 }
 
-interface ContentItem {
+interface TextContent {
   type: 'text';
   text: string;
 
   [key: string]: unknown;
 }
 
-interface McpResponse {
+interface ImageContent {
+  type: 'image';
+  data: string;
+  mimeType: string;
+
+  [key: string]: unknown;
+}
+
+interface ResourceBlobContent {
+  type: 'resource';
+  resource: {
+    uri: string;
+    blob: string;
+    mimeType?: string;
+  };
+
+  [key: string]: unknown;
+}
+
+type ContentItem = TextContent | ImageContent | ResourceBlobContent;
+
+export interface McpResponse {
   content: ContentItem[];
   _meta?: Record<string, unknown>;
   isError?: boolean;
@@ -33,9 +149,13 @@ class GraphClient {
   private authManager: AuthManager;
   private accessToken: string | null = null;
   private refreshToken: string | null = null;
+  private retryPolicy: RetryPolicy;
+  private maxBinarySize: number;
 
-  constructor(authManager: AuthManager) {
+  constructor(authManager: AuthManager, options: GraphClientOptions = {}) {
     this.authManager = authManager;
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...stripUndefined(options.retryPolicy) };
+    this.maxBinarySize = options.maxBinarySize ?? DEFAULT_MAX_BINARY_SIZE;
   }
 
   setOAuthTokens(accessToken: string, refreshToken?: string): void {
@@ -43,10 +163,17 @@ class GraphClient {
     this.refreshToken = refreshToken || null;
   }
 
-  async makeRequest(endpoint: string, options: GraphRequestOptions = {}): Promise<unknown> {
+  async makeRequest(
+    endpoint: string,
+    options: GraphRequestOptions = {},
+    stats: RequestStats = { retries: 0 }
+  ): Promise<unknown> {
     // Use OAuth tokens if available, otherwise fall back to authManager
     let accessToken =
-      options.accessToken || this.accessToken || (await this.authManager.getToken());
+      options.accessToken ||
+      (options.account
+        ? await this.authManager.getTokenForAccount(options.account)
+        : this.accessToken || (await this.authManager.getToken()));
     let refreshToken = options.refreshToken || this.refreshToken;
 
     if (!accessToken) {
@@ -54,7 +181,7 @@ class GraphClient {
     }
 
     try {
-      const response = await this.performRequest(endpoint, accessToken, options);
+      let response = await this.performRequestWithRetry(endpoint, accessToken, options, stats);
 
       if (response.status === 401 && refreshToken) {
         // Token expired, try to refresh
@@ -67,25 +194,28 @@ class GraphClient {
         }
 
         // Retry the request with new token
-        return this.performRequest(endpoint, accessToken, options);
+        response = await this.performRequestWithRetry(endpoint, accessToken, options, stats);
       }
 
-      if (response.status === 403) {
-        const errorText = await response.text();
-        if (errorText.includes('scope') || errorText.includes('permission')) {
-          throw new Error(
-            `Microsoft Graph API scope error: ${response.status} ${response.statusText} - ${errorText}. This tool requires organization mode. Please restart with --org-mode flag.`
-          );
-        }
-        throw new Error(
-          `Microsoft Graph API error: ${response.status} ${response.statusText} - ${errorText}`
-        );
+      if (options.onResponse) {
+        options.onResponse({
+          status: response.status,
+          requestId: response.headers.get('request-id') ?? undefined,
+          clientRequestId: response.headers.get('client-request-id') ?? undefined,
+          account: await this.accountName(accessToken, options),
+        });
       }
 
       if (!response.ok) {
-        throw new Error(
-          `Microsoft Graph API error: ${response.status} ${response.statusText} - ${await response.text()}`
-        );
+        throw await readGraphError(response);
+      }
+
+      if (
+        options.rawResponse &&
+        response.status !== 204 &&
+        !isJsonContentType(response.headers.get('Content-Type'))
+      ) {
+        return this.readRawContent(resolveGraphUrl(endpoint, options.apiVersion), response);
       }
 
       const text = await response.text();
@@ -121,6 +251,25 @@ class GraphClient {
     }
   }
 
+  private async readRawContent(uri: string, response: Response): Promise<RawContent> {
+    const mimeType =
+      response.headers.get('Content-Type')?.split(';')[0].trim() || 'application/octet-stream';
+    const declaredSize = Number(response.headers.get('Content-Length'));
+
+    // Skip the download entirely when Graph already tells us it is too large
+    if (declaredSize > this.maxBinarySize) {
+      await response.body?.cancel();
+      return { kind: 'raw-content', uri, mimeType, size: declaredSize };
+    }
+
+    const data = Buffer.from(await response.arrayBuffer());
+    if (data.length > this.maxBinarySize) {
+      return { kind: 'raw-content', uri, mimeType, size: data.length };
+    }
+
+    return { kind: 'raw-content', uri, mimeType, size: data.length, data };
+  }
+
   private async refreshAccessToken(refreshToken: string): Promise<void> {
     const tenantId = process.env.MS365_MCP_TENANT_ID || 'common';
     const clientId = process.env.MS365_MCP_CLIENT_ID || '084a3e9f-a9f4-43f7-89f9-d229cf97853e';
@@ -137,17 +286,94 @@ class GraphClient {
     }
   }
 
+  private async performRequestWithRetry(
+    endpoint: string,
+    accessToken: string,
+    options: GraphRequestOptions,
+    stats: RequestStats
+  ): Promise<Response> {
+    const policy = this.retryPolicy;
+    const idempotent = isIdempotent(options);
+    let totalWaitMs = 0;
+
+    for (let attempt = 0; ; attempt++) {
+      let response: Response | undefined;
+      let networkError: unknown;
+
+      try {
+        response = await this.performRequest(endpoint, accessToken, options);
+      } catch (error) {
+        // fetch reports network failures as TypeError, anything else is not worth retrying
+        if (!(error instanceof TypeError)) {
+          throw error;
+        }
+        networkError = error;
+      }
+
+      const retryable = isRetryable(response, idempotent);
+
+      if (!retryable || attempt >= policy.maxRetries) {
+        if (networkError !== undefined) {
+          throw networkError;
+        }
+        return response!;
+      }
+
+      const delayMs = computeRetryDelay(
+        attempt,
+        policy,
+        response?.headers.get('Retry-After') ?? null
+      );
+
+      if (totalWaitMs + delayMs > policy.maxTotalWaitMs) {
+        logger.warn(
+          `Not retrying ${endpoint}: waiting ${delayMs}ms would exceed the total retry budget of ${policy.maxTotalWaitMs}ms`
+        );
+        if (networkError !== undefined) {
+          throw networkError;
+        }
+        return response!;
+      }
+
+      logger.warn(
+        `Retrying ${endpoint} in ${delayMs}ms (attempt ${attempt + 1} of ${policy.maxRetries}): ${
+          response ? `${response.status} ${response.statusText}` : (networkError as Error).message
+        }`
+      );
+
+      totalWaitMs += delayMs;
+      stats.retries++;
+      await sleep(delayMs);
+    }
+  }
+
+  private async accountName(
+    accessToken: string,
+    options: GraphRequestOptions
+  ): Promise<string | undefined> {
+    const name = accountNameForToken(accessToken) ?? options.account;
+    if (name || options.accessToken || this.accessToken) {
+      return name;
+    }
+    // Tokens of personal accounts are opaque, so the signed-in account is looked up instead
+    const account = await this.authManager.getCurrentAccount().catch(() => null);
+    return account?.username;
+  }
+
   private async performRequest(
     endpoint: string,
     accessToken: string,
     options: GraphRequestOptions
   ): Promise<Response> {
-    const url = `https://graph.microsoft.com/v1.0${endpoint}`;
+    const url = resolveGraphUrl(endpoint, options.apiVersion);
 
     const headers: Record<string, string> = {
-      Authorization: `Bearer ${accessToken}`,
       'Content-Type': 'application/json',
+      // Echoed back by Graph, so a failed call can be traced in its logs
+      'client-request-id': crypto.randomUUID(),
       ...options.headers,
+      // Last, so that no header passed in can replace the token
+      Authorization: `Bearer ${accessToken}`,
     };
 
     return fetch(url, {
@@ -158,23 +384,83 @@ class GraphClient {
   }
 
   async graphRequest(endpoint: string, options: GraphRequestOptions = {}): Promise<McpResponse> {
+    const stats: RequestStats = { retries: 0 };
     try {
-      logger.info(`Calling ${endpoint} with options: ${JSON.stringify(options)}`);
+      logger.info(
+        isPayloadLoggingEnabled()
+          ? `Calling ${endpoint} with options: ${JSON.stringify(options)}`
+          : `Calling ${options.method || 'GET'} ${endpoint}`
+      );
 
       // Use new OAuth-aware request method
-      const result = await this.makeRequest(endpoint, options);
+      const result = await this.makeRequest(endpoint, options, stats);
 
-      return this.formatJsonResponse(result, options.rawResponse);
+      return withRetryMeta(this.formatJsonResponse(result, options.rawResponse), stats);
     } catch (error) {
       logger.error(`Error in Graph API request: ${error}`);
+      const body =
+        error instanceof GraphError
+          ? formatGraphError(error, options.errorContext)
+          : { error: (error as Error).message };
+      return withRetryMeta(
+        {
+          content: [{ type: 'text', text: JSON.stringify(body) }],
+          isError: true,
+        },
+        stats
+      );
+    }
+  }
+
+  formatRawContent(raw: RawContent): McpResponse {
+    if (!raw.data) {
       return {
-        content: [{ type: 'text', text: JSON.stringify({ error: (error as Error).message }) }],
-        isError: true,
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              truncated: true,
+              uri: raw.uri,
+              mimeType: raw.mimeType,
+              size: raw.size,
+              maxSize: this.maxBinarySize,
+              message: `Content of ${raw.size} bytes exceeds the ${this.maxBinarySize} byte limit and was not returned. Raise --max-binary-size to include it.`,
+            }),
+          },
+        ],
+        _meta: { mimeType: raw.mimeType, size: raw.size, truncated: true },
       };
     }
+
+    const meta = { mimeType: raw.mimeType, size: raw.size };
+
+    if (isTextContentType(raw.mimeType)) {
+      return { content: [{ type: 'text', text: raw.data.toString('utf8') }], _meta: meta };
+    }
+
+    if (raw.mimeType.startsWith('image/')) {
+      return {
+        content: [{ type: 'image', data: raw.data.toString('base64'), mimeType: raw.mimeType }],
+        _meta: meta,
+      };
+    }
+
+    return {
+      content: [
+        {
+          type: 'resource',
+          resource: { uri: raw.uri, blob: raw.data.toString('base64'), mimeType: raw.mimeType },
+        },
+      ],
+      _meta: meta,
+    };
   }
 
   formatJsonResponse(data: unknown, rawResponse = false): McpResponse {
+    if (isRawContent(data)) {
+      return this.formatRawContent(data);
+    }
+
     // Handle the case where data includes headers metadata
     if (data && typeof data === 'object' && '_headers' in data) {
       const responseData = data as {
@@ -218,6 +504,10 @@ class GraphClient {
         }
       };
 
+      const nextLink = (responseData.data as Record<string, unknown>)['@odata.nextLink'];
+      if (typeof nextLink === 'string') {
+        meta.nextLink = nextLink;
+      }
       removeODataProps(responseData.data as Record<string, unknown>);
 
       return {
@@ -252,12 +542,91 @@ class GraphClient {
       }
     };
 
+    // The nextLink is stripped with the other OData properties, but list tools need it to continue
+    const nextLink = (data as Record<string, unknown>)['@odata.nextLink'];
     removeODataProps(data as Record<string, unknown>);
 
     return {
       content: [{ type: 'text', text: JSON.stringify(data, null, 2) }],
+      ...(typeof nextLink === 'string' && { _meta: { nextLink } }),
     };
   }
 }
 
+/**
+ * Computes how long to wait before the next attempt. A Retry-After header from Graph always
+ * wins (capped at maxDelayMs); otherwise exponential backoff with full jitter is used.
+ */
+export function computeRetryDelay(
+  attempt: number,
+  policy: RetryPolicy,
+  retryAfter: string | null,
+  random: () => number = Math.random
+): number {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return Math.min(Math.max(0, seconds * 1000), policy.maxDelayMs);
+    }
+
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.min(Math.max(0, date - Date.now()), policy.maxDelayMs);
+    }
+  }
+
+  const exponential = Math.min(policy.baseDelayMs * 2 ** attempt, policy.maxDelayMs);
+  return Math.floor(random() * exponential);
+}
+
+/**
+ * Resolves an endpoint to a Graph URL of the given API version. Absolute URLs are accepted so
+ * that nextLink and deltaLink values, which already carry their version, can be followed, but
+ * only when they point at Graph: the request carries the user's access token.
+ */
+export function resolveGraphUrl(endpoint: string, apiVersion: GraphApiVersion = 'v1.0'): string {
+  const { graphUrl } = getCloudEndpoints();
+  if (/^https?:\/\//i.test(endpoint)) {
+    if (!endpoint.startsWith(`${graphUrl}/`)) {
+      throw new Error(`Refusing to send a Graph request to ${new URL(endpoint).origin}`);
+    }
+    return endpoint;
+  }
+  return `${graphUrl}/${apiVersion}${endpoint}`;
+}
+
+export function isRawContent(data: unknown): data is RawContent {
+  return typeof data === 'object' && data !== null && (data as RawContent).kind === 'raw-content';
+}
+
+function isJsonContentType(contentType: string | null): boolean {
+  return !!contentType && /[/+]json\b/i.test(contentType);
+}
+
+export function isTextContentType(mimeType: string): boolean {
+  return (
+    mimeType.startsWith('text/') ||
+    /[/+]xml$/i.test(mimeType) ||
+    mimeType === 'application/javascript' ||
+    mimeType === 'application/x-www-form-urlencoded'
+  );
+}
+
+function withRetryMeta(response: McpResponse, stats: RequestStats): McpResponse {
+  if (stats.retries > 0) {
+    response._meta = { ...response._meta, retries: stats.retries };
+  }
+  return response;
+}
+
+function stripUndefined<T extends object>(value: T | undefined): Partial<T> {
+  return Object.fromEntries(
+    Object.entries(value || {}).filter(([, v]) => v !== undefined)
+  ) as Partial<T>;
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 export default GraphClient;
@@ -0,0 +1,196 @@
+export type GraphErrorCategory =
+  | 'auth'
+  | 'consent'
+  | 'not-found'
+  | 'throttled'
+  | 'conflict'
+  | 'validation'
+  | 'server'
+  | 'unknown';
+
+/**
+ * What the caller knows about the failed request beyond the HTTP response, used to make the
+ * remediation specific to the tool.
+ */
+export interface GraphErrorContext {
+  tool?: string;
+  requiredScopes?: string[];
+  appOnly?: boolean;
+}
+
+interface GraphErrorInit {
+  status: number;
+  statusText: string;
+  code?: string;
+  message: string;
+  innerError?: Record<string, unknown>;
+  requestId?: string;
+  clientRequestId?: string;
+  retryAfter?: string;
+}
+
+// Graph error codes that say more than their status code
+const CATEGORY_BY_CODE: Record<string, GraphErrorCategory> = {
+  InvalidAuthenticationToken: 'auth',
+  Authorization_RequestDenied: 'consent',
+  ErrorAccessDenied: 'consent',
+  accessDenied: 'consent',
+  ErrorItemNotFound: 'not-found',
+  itemNotFound: 'not-found',
+  Request_ResourceNotFound: 'not-found',
+  activityLimitReached: 'throttled',
+  nameAlreadyExists: 'conflict',
+  resourceModified: 'conflict',
+  ErrorIrresolvableConflict: 'conflict',
+  ErrorInvalidIdMalformed: 'validation',
+};
+
+const CATEGORY_BY_STATUS: Record<number, GraphErrorCategory> = {
+  401: 'auth',
+  403: 'consent',
+  404: 'not-found',
+  410: 'not-found',
+  409: 'conflict',
+  412: 'conflict',
+  429: 'throttled',
+};
+
+export function classifyGraphError(status: number, code?: string): GraphErrorCategory {
+  const category = (code && CATEGORY_BY_CODE[code]) || CATEGORY_BY_STATUS[status];
+  if (category) {
+    return category;
+  }
+  if (status >= 500) {
+    return 'server';
+  }
+  return status >= 400 ? 'validation' : 'unknown';
+}
+
+/**
+ * A non-2xx Graph response, parsed from the error envelope
+ * (https://learn.microsoft.com/graph/errors). The message keeps the status code so callers can
+ * still match on it.
+ */
+export class GraphError extends Error {
+  readonly status: number;
+  readonly statusText: string;
+  readonly code?: string;
+  readonly graphMessage: string;
+  readonly innerError?: Record<string, unknown>;
+  readonly requestId?: string;
+  readonly clientRequestId?: string;
+  readonly retryAfter?: string;
+  readonly category: GraphErrorCategory;
+
+  constructor(init: GraphErrorInit) {
+    super(
+      `Microsoft Graph API error: ${init.status} ${init.statusText} - ${
+        init.code ? `${init.code}: ` : ''
+      }${init.message}`
+    );
+    this.name = 'GraphError';
+    this.status = init.status;
+    this.statusText = init.statusText;
+    this.code = init.code;
+    this.graphMessage = init.message;
+    this.innerError = init.innerError;
+    this.requestId = init.requestId;
+    this.clientRequestId = init.clientRequestId;
+    this.retryAfter = init.retryAfter;
+    this.category = classifyGraphError(init.status, init.code);
+  }
+}
+
+export async function readGraphError(response: Response): Promise<GraphError> {
+  const text = await response.text();
+  let envelope: { code?: string; message?: string; innerError?: Record<string, unknown> } = {};
+  try {
+    const parsed = JSON.parse(text);
+    envelope = parsed?.error && typeof parsed.error === 'object' ? parsed.error : {};
+  } catch {
+    // Not every failure comes from Graph itself, e.g. a proxy answering with HTML
+  }
+
+  // Graph spells it innerError or innererror depending on the workload
+  const innerError = (envelope.innerError ?? (envelope as Record<string, unknown>).innererror) as
+    | Record<string, unknown>
+    | undefined;
+
+  return new GraphError({
+    status: response.status,
+    statusText: response.statusText,
+    code: envelope.code,
+    message: envelope.message || text || response.statusText,
+    innerError,
+    requestId:
+      stringValue(innerError?.['request-id']) ?? response.headers.get('request-id') ?? undefined,
+    clientRequestId:
+      stringValue(innerError?.['client-request-id']) ??
+      response.headers.get('client-request-id') ??
+      undefined,
+    retryAfter: response.headers.get('Retry-After') ?? undefined,
+  });
+}
+
+function stringValue(value: unknown): string | undefined {
+  return typeof value === 'string' ? value : undefined;
+}
+
+function scopeList(context: GraphErrorContext): string {
+  return context.requiredScopes?.length ? context.requiredScopes.join(', ') : 'its permissions';
+}
+
+export function remediationFor(error: GraphError, context: GraphErrorContext = {}): string {
+  switch (error.category) {
+    case 'auth':
+      return context.appOnly
+        ? 'The app token was rejected. Check the client secret or certificate and the tenant ID of the app registration.'
+        : 'The access token was rejected or has expired. Sign in again with the login tool (or --login), or reconnect the client in HTTP mode.';
+    case 'consent':
+      return context.appOnly
+        ? `Grant the application permissions ${scopeList(context)} to the app registration and have an administrator consent to them.`
+        : `The account has not consented to ${scopeList(context)} or cannot access this resource. Sign in again to grant the missing permissions; if the tenant blocks user consent, an administrator must grant admin consent.`;
+    case 'not-found':
+      return error.status === 410
+        ? 'The resource or sync state expired. Start over without the previous token or link.'
+        : 'The resource does not exist or is not visible to this account. Check the IDs passed to the tool, for example by listing the parent collection first.';
+    case 'throttled':
+      return `Graph is throttling requests. Wait ${
+        error.retryAfter ? `${error.retryAfter} seconds` : 'a moment'
+      } before retrying and make fewer or smaller calls, for example with select, top or maxItems.`;
+    case 'conflict':
+      return error.status === 412
+        ? 'The item changed since it was read. Fetch it again with includeHeaders to get the current ETag and retry.'
+        : 'The request conflicts with the current state of the resource, for example an item with the same name exists. Fetch the current state and change the request.';
+    case 'validation':
+      return 'Graph rejected the request. Check the message for the invalid parameter and the parameter descriptions of the tool before retrying.';
+    case 'server':
+      return 'Microsoft Graph had an internal problem. Retry later, and quote the requestId if the problem persists.';
+    default:
+      return 'Check the message and the requestId for details.';
+  }
+}
+
+/**
+ * The JSON body of the tool result for a failed Graph request. `error` keeps the one-line
+ * message that tool results always carried.
+ */
+export function formatGraphError(
+  error: GraphError,
+  context: GraphErrorContext = {}
+): Record<string, unknown> {
+  return {
+    error: error.message,
+    category: error.category,
+    status: error.status,
+    code: error.code,
+    message: error.graphMessage,
+    remediation: remediationFor(error, context),
+    tool: context.tool,
+    requiredScopes: context.requiredScopes?.length ? context.requiredScopes : undefined,
+    requestId: error.requestId,
+    clientRequestId: error.clientRequestId,
+    retryAfter: error.retryAfter,
+    innerError: error.innerError,
+  };
+}
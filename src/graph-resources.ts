@@ -0,0 +1,357 @@
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { UriTemplate, type Variables } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
+import {
+  ErrorCode,
+  McpError,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  type ReadResourceResult,
+} from '@modelcontextprotocol/sdk/types.js';
+import logger from './logger.js';
+import GraphClient, { isRawContent, isTextContentType, type RawContent } from './graph-client.js';
+import { isToolEnabled } from './tool-request.js';
+import { getPolicy } from './policy.js';
+
+// Items returned when a client lists the resources of a template
+export const RESOURCE_LIST_LIMIT = 50;
+
+// How often subscribed resources are checked for changes
+export const RESOURCE_POLL_INTERVAL_MS = 60 * 1000;
+
+type ResourceContents = ReadResourceResult['contents'];
+
+interface GraphItem {
+  id: string;
+  [key: string]: unknown;
+}
+
+interface GraphCollection {
+  value?: GraphItem[];
+  '@odata.nextLink'?: string;
+}
+
+/**
+ * A kind of Graph item offered as resources. `tool` is the tool that reads the same data: the
+ * resources are only offered while that tool is enabled, and every Graph call made for them is
+ * checked against the policy as a call of it.
+ */
+interface GraphResourceType {
+  name: string;
+  uriTemplate: string;
+  description: string;
+  mimeType?: string;
+  tool: string;
+  itemPath(variables: Variables): string;
+  // Reads the item at the path returned by itemPath
+  read(graphClient: GraphClient, uri: string, path: string): Promise<ResourceContents>;
+  listPath: string;
+  toResource(item: GraphItem): { uri: string; name: string; mimeType?: string } | undefined;
+}
+
+export interface GraphResourceOptions {
+  // Whether clients can subscribe to updates, which needs a connection that outlives a request
+  subscriptions?: boolean;
+  pollIntervalMs?: number;
+  enabledToolsPattern?: string;
+  // Whether a tool is currently enabled, as it can change while the server runs
+  isToolEnabled?: (toolName: string) => boolean;
+}
+
+// Template variables are matched on the URI as sent, so they arrive percent-encoded
+function variable(variables: Variables, name: string): string {
+  const value = variables[name];
+  return encodeURIComponent(decodeURIComponent(Array.isArray(value) ? value[0] : value));
+}
+
+function jsonContents(uri: string, data: unknown): ResourceContents {
+  return [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }];
+}
+
+function rawContents(uri: string, raw: RawContent): ResourceContents {
+  if (!raw.data) {
+    return jsonContents(uri, {
+      truncated: true,
+      mimeType: raw.mimeType,
+      size: raw.size,
+      message: `Content of ${raw.size} bytes exceeds the size limit and was not returned. Raise --max-binary-size to include it.`,
+    });
+  }
+  if (isTextContentType(raw.mimeType)) {
+    return [{ uri, mimeType: raw.mimeType, text: raw.data.toString('utf8') }];
+  }
+  return [{ uri, mimeType: raw.mimeType, blob: raw.data.toString('base64') }];
+}
+
+async function readContent(
+  graphClient: GraphClient,
+  uri: string,
+  path: string
+): Promise<ResourceContents> {
+  const content = await graphClient.makeRequest(path, { rawResponse: true });
+  return isRawContent(content) ? rawContents(uri, content) : jsonContents(uri, content);
+}
+
+export const GRAPH_RESOURCE_TYPES: GraphResourceType[] = [
+  {
+    name: 'mail-message',
+    uriTemplate: 'ms365://mail/messages/{id}',
+    description: 'An email message of the signed-in user, with its body as text',
+    mimeType: 'application/json',
+    tool: 'get-mail-message',
+    itemPath: (variables) => `/me/messages/${variable(variables, 'id')}`,
+    read: async (graphClient, uri, path) =>
+      jsonContents(
+        uri,
+        await graphClient.makeRequest(path, {
+          headers: { Prefer: 'outlook.body-content-type="text"' },
+        })
+      ),
+    listPath:
+      '/me/messages?$top=25&$select=id,subject,receivedDateTime&$orderby=receivedDateTime desc',
+    toResource: (item) => ({
+      uri: `ms365://mail/messages/${encodeURIComponent(item.id)}`,
+      name: (item.subject as string) || '(no subject)',
+      mimeType: 'application/json',
+    }),
+  },
+  {
+    name: 'drive-item',
+    uriTemplate: 'ms365://drive/{driveId}/items/{itemId}',
+    description:
+      'A OneDrive or SharePoint file, with its content as text or a blob; folders are described as JSON',
+    tool: 'download-onedrive-file-content',
+    itemPath: (variables) =>
+      `/drives/${variable(variables, 'driveId')}/items/${variable(variables, 'itemId')}`,
+    read: async (graphClient, uri, path) => {
+      const item = (await graphClient.makeRequest(path)) as GraphItem;
+      return item.folder
+        ? jsonContents(uri, item)
+        : readContent(graphClient, uri, `${path}/content`);
+    },
+    // /me/drive/recent is deprecated, so the files at the top of the user's drive are listed
+    listPath:
+      '/me/drive/root/children?$top=25&$select=id,name,file,folder,remoteItem,parentReference',
+    toResource: (item) => {
+      // Shortcuts to items of other drives are described by their remoteItem
+      const target = (item.remoteItem as GraphItem | undefined) ?? item;
+      const driveId = (target.parentReference as { driveId?: string } | undefined)?.driveId;
+      if (!driveId) {
+        return undefined;
+      }
+      return {
+        uri: `ms365://drive/${encodeURIComponent(driveId)}/items/${encodeURIComponent(target.id)}`,
+        name: (item.name as string) || target.id,
+        mimeType: (item.file as { mimeType?: string } | undefined)?.mimeType,
+      };
+    },
+  },
+  {
+    name: 'onenote-page',
+    uriTemplate: 'ms365://onenote/pages/{id}',
+    description: 'A OneNote page as HTML',
+    mimeType: 'text/html',
+    tool: 'get-onenote-page-content',
+    itemPath: (variables) => `/me/onenote/pages/${variable(variables, 'id')}`,
+    read: (graphClient, uri, path) => readContent(graphClient, uri, `${path}/content`),
+    listPath:
+      '/me/onenote/pages?$top=25&$select=id,title,lastModifiedDateTime&$orderby=lastModifiedDateTime desc',
+    toResource: (item) => ({
+      uri: `ms365://onenote/pages/${encodeURIComponent(item.id)}`,
+      name: (item.title as string) || '(untitled)',
+      mimeType: 'text/html',
+    }),
+  },
+];
+
+async function listRecentItems(graphClient: GraphClient, listPath: string): Promise<GraphItem[]> {
+  const items: GraphItem[] = [];
+  let url: string | undefined = listPath;
+  while (url && items.length < RESOURCE_LIST_LIMIT) {
+    const page = (await graphClient.makeRequest(url)) as GraphCollection;
+    items.push(...(page.value ?? []));
+    url = page['@odata.nextLink'];
+  }
+  return items.slice(0, RESOURCE_LIST_LIMIT);
+}
+
+/**
+ * Polls subscribed resources and notifies the client when their lastModifiedDateTime changes.
+ * Graph change notifications would need a public webhook endpoint, which a local server lacks.
+ */
+class ResourceSubscriptions {
+  private server: McpServer;
+  private graphClient: GraphClient;
+  private pollIntervalMs: number;
+  private checkAccess: (type: GraphResourceType, path: string) => void;
+  private polls = new Map<string, { timer: ReturnType<typeof setInterval>; version?: string }>();
+
+  constructor(
+    server: McpServer,
+    graphClient: GraphClient,
+    pollIntervalMs: number,
+    checkAccess: (type: GraphResourceType, path: string) => void
+  ) {
+    this.server = server;
+    this.graphClient = graphClient;
+    this.pollIntervalMs = pollIntervalMs;
+    this.checkAccess = checkAccess;
+  }
+
+  async subscribe(uri: string, type: GraphResourceType, itemPath: string): Promise<void> {
+    this.unsubscribe(uri);
+
+    const version = await this.fetchVersion(itemPath);
+    const timer = setInterval(() => {
+      this.poll(uri, type, itemPath).catch((error) => {
+        logger.warn(`Checking ${uri} for updates failed: ${(error as Error).message}`);
+      });
+    }, this.pollIntervalMs);
+    timer.unref();
+    this.polls.set(uri, { timer, version });
+    logger.info(`Subscribed to updates of ${uri}`);
+  }
+
+  unsubscribe(uri: string): void {
+    const poll = this.polls.get(uri);
+    if (poll) {
+      clearInterval(poll.timer);
+      this.polls.delete(uri);
+    }
+  }
+
+  close(): void {
+    for (const uri of [...this.polls.keys()]) {
+      this.unsubscribe(uri);
+    }
+  }
+
+  private async poll(uri: string, type: GraphResourceType, itemPath: string): Promise<void> {
+    // The tool may have been disabled or the policy changed since the client subscribed
+    try {
+      this.checkAccess(type, itemPath);
+    } catch (error) {
+      logger.info(`Stopped checking ${uri} for updates: ${(error as Error).message}`);
+      this.unsubscribe(uri);
+      return;
+    }
+
+    const poll = this.polls.get(uri);
+    const version = await this.fetchVersion(itemPath);
+    if (poll && version !== poll.version) {
+      poll.version = version;
+      await this.server.server.sendResourceUpdated({ uri });
+    }
+  }
+
+  private async fetchVersion(itemPath: string): Promise<string | undefined> {
+    const item = (await this.graphClient.makeRequest(
+      `${itemPath}?$select=id,lastModifiedDateTime`
+    )) as { lastModifiedDateTime?: string };
+    return item.lastModifiedDateTime;
+  }
+}
+
+function findResourceType(
+  types: GraphResourceType[],
+  uri: string
+): { type: GraphResourceType; variables: Variables } | undefined {
+  for (const type of types) {
+    const variables = new UriTemplate(type.uriTemplate).match(uri);
+    if (variables) {
+      return { type, variables };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Offers mail messages, drive items and OneNote pages of the signed-in user as MCP resource
+ * templates. Listing returns recent messages and pages and the files at the top of the drive;
+ * subscriptions are served by polling.
+ */
+export function registerGraphResources(
+  server: McpServer,
+  graphClient: GraphClient,
+  options: GraphResourceOptions = {}
+): void {
+  const types = GRAPH_RESOURCE_TYPES.filter((type) =>
+    isToolEnabled(type.tool, 'GET', false, options.enabledToolsPattern)
+  );
+  if (types.length === 0) {
+    return;
+  }
+
+  const checkAccess = (type: GraphResourceType, path: string): void => {
+    if (options.isToolEnabled && !options.isToolEnabled(type.tool)) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `${type.name} resources are not available while ${type.tool} is disabled`
+      );
+    }
+    getPolicy()?.checkRequest({ tool: type.tool, method: 'GET', path });
+  };
+
+  for (const type of types) {
+    const template = new ResourceTemplate(type.uriTemplate, {
+      list: async () => {
+        try {
+          checkAccess(type, type.listPath);
+          const items = await listRecentItems(graphClient, type.listPath);
+          return {
+            resources: items
+              .map(type.toResource)
+              .filter((resource): resource is NonNullable<typeof resource> => !!resource),
+          };
+        } catch (error) {
+          logger.warn(`Listing ${type.name} resources failed: ${(error as Error).message}`);
+          return { resources: [] };
+        }
+      },
+    });
+
+    server.resource(
+      type.name,
+      template,
+      { description: type.description, ...(type.mimeType && { mimeType: type.mimeType }) },
+      async (uri, variables) => {
+        const path = type.itemPath(variables);
+        checkAccess(type, path);
+        logger.info(`Reading resource ${uri.href}`);
+        return { contents: await type.read(graphClient, uri.href, path) };
+      }
+    );
+  }
+
+  if (!options.subscriptions) {
+    return;
+  }
+
+  const subscriptions = new ResourceSubscriptions(
+    server,
+    graphClient,
+    options.pollIntervalMs ?? RESOURCE_POLL_INTERVAL_MS,
+    checkAccess
+  );
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const match = findResourceType(types, uri);
+    if (!match) {
+      throw new McpError(ErrorCode.InvalidParams, `Resource ${uri} not found`);
+    }
+    const path = match.type.itemPath(match.variables);
+    checkAccess(match.type, path);
+    await subscriptions.subscribe(uri, match.type, path);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.unsubscribe(request.params.uri);
+    return {};
+  });
+
+  const onclose = server.server.onclose;
+  server.server.onclose = () => {
+    subscriptions.close();
+    onclose?.();
+  };
+}
@@ -1,7 +1,26 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import logger from './logger.js';
-import GraphClient from './graph-client.js';
+import { isPayloadLoggingEnabled } from './log-redaction.js';
+import GraphClient, { resolveGraphUrl, type GraphApiVersion } from './graph-client.js';
 import { api } from './generated/client.js';
+import type { Endpoint } from './generated/endpoint-types.js';
+import { buildToolRequest, type ToolRequestOptions } from './tool-request.js';
+import { toAppOnlyEndpoint } from './app-only.js';
+import type { GraphErrorContext } from './graph-error.js';
+import ConfirmationGate, { buildWritePreview } from './confirmation.js';
+import { getPolicy, PolicyError } from './policy.js';
+import { beginAudit, type AuditCall } from './audit-log.js';
+import { categorizeTool } from './tool-categories.js';
+import type ToolSet from './tool-set.js';
+import type ConsentManager from './consent.js';
+import { isConsentError } from './consent.js';
+import {
+  decodeCursor,
+  encodeCursor,
+  fetchPages,
+  isCollectionResponse,
+  MAX_PAGES,
+} from './pagination.js';
 import { z } from 'zod';
 import { readFileSync } from 'fs';
 import path from 'path';
@@ -16,6 +35,8 @@ interface EndpointConfig {
   toolName: string;
   scopes?: string[];
   workScopes?: string[];
+  appScopes?: string[];
+  apiVersion?: GraphApiVersion;
 }
 
 const endpointsData = JSON.parse(
@@ -76,13 +97,73 @@ interface CallToolResult {
   [key: string]: unknown;
 }
 
+/**
+ * Runs a list call, or continues one from its cursor, and adds a nextCursor to the result when
+ * Graph has more data. Without fetchAllPages or maxItems a single page is returned.
+ */
+async function listPages(
+  graphClient: GraphClient,
+  toolName: string,
+  path: string,
+  options: ToolRequestOptions,
+  params: Record<string, unknown>
+) {
+  let url = path;
+  let offset = 0;
+
+  if (typeof params.cursor === 'string' && params.cursor) {
+    // The page URL carries the query of the original call; everything else is this call's
+    const cursor = decodeCursor(params.cursor, toolName);
+    getPolicy()?.checkRequest({ tool: toolName, method: 'GET', path: cursor.url });
+    url = cursor.url;
+    offset = cursor.offset;
+  }
+
+  let maxItems = typeof params.maxItems === 'number' ? params.maxItems : undefined;
+  const maxPages = params.fetchAllPages === true || maxItems !== undefined ? MAX_PAGES : 1;
+  const policyLimit = getPolicy()?.maxItemsPerCall;
+  if (policyLimit !== undefined) {
+    maxItems = Math.min(maxItems ?? policyLimit, policyLimit);
+  }
+
+  logger.info(`Making paged graph request to ${url}`);
+  const { response, next } = await fetchPages(
+    graphClient,
+    url,
+    {
+      headers: options.headers,
+      includeHeaders: options.includeHeaders,
+      account: options.account,
+      apiVersion: options.apiVersion,
+      method: 'GET',
+      errorContext: options.errorContext,
+    },
+    { maxItems, maxPages, offset }
+  );
+
+  const firstContent = response.content[0];
+  if (next && firstContent?.type === 'text') {
+    const nextCursor = encodeCursor({ tool: toolName, ...next });
+    firstContent.text = JSON.stringify({ ...JSON.parse(firstContent.text), nextCursor }, null, 2);
+  }
+  return response;
+}
+
 export function registerGraphTools(
   server: McpServer,
   graphClient: GraphClient,
   readOnly: boolean = false,
   enabledToolsPattern?: string,
-  orgMode: boolean = false
-): void {
+  orgMode: boolean = false,
+  appOnly: boolean = false,
+  accountSelection: boolean = false,
+  excludeBeta: boolean = false,
+  confirmation?: ConfirmationGate,
+  toolSet?: ToolSet,
+  consent?: ConsentManager
+): Endpoint[] {
+  const registeredTools: Endpoint[] = [];
+
   let enabledToolsRegex: RegExp | undefined;
   if (enabledToolsPattern) {
     try {
@@ -93,14 +174,31 @@ export function registerGraphTools(
     }
   }
 
-  for (const tool of api.endpoints) {
-    const endpointConfig = endpointsData.find((e) => e.toolName === tool.alias);
-    if (!orgMode && endpointConfig && !endpointConfig.scopes && endpointConfig.workScopes) {
+  for (const endpoint of api.endpoints) {
+    const endpointConfig = endpointsData.find((e) => e.toolName === endpoint.alias);
+    if (appOnly && !endpointConfig?.appScopes) {
+      logger.info(`Skipping tool ${endpoint.alias} - not available with application permissions`);
+      continue;
+    }
+    const tool = appOnly ? toAppOnlyEndpoint(endpoint) : endpoint;
+    const apiVersion = endpointConfig?.apiVersion ?? 'v1.0';
+
+    if (excludeBeta && apiVersion === 'beta') {
+      logger.info(`Skipping beta tool ${tool.alias}`);
+      continue;
+    }
+
+    const workOnly =
+      !appOnly && !!endpointConfig && !endpointConfig.scopes && !!endpointConfig.workScopes;
+
+    // With a tool set, org mode, read-only mode and the policy are applied by enabling and
+    // disabling the registered tool, so that they can change while the server runs
+    if (!toolSet && workOnly && !orgMode) {
       logger.info(`Skipping work account tool ${tool.alias} - not in org mode`);
       continue;
     }
 
-    if (readOnly && tool.method.toUpperCase() !== 'GET') {
+    if (!toolSet && readOnly && tool.method.toUpperCase() !== 'GET') {
       logger.info(`Skipping write operation ${tool.alias} in read-only mode`);
       continue;
     }
@@ -110,6 +208,16 @@ export function registerGraphTools(
       continue;
     }
 
+    if (!toolSet && getPolicy()?.isToolAllowed(tool.alias, tool.method) === false) {
+      logger.info(`Skipping tool ${tool.alias} - not allowed by the policy`);
+      continue;
+    }
+
+    // The returned tools back the batch tool, and a $batch only reaches a single API version
+    if (apiVersion === 'v1.0') {
+      registeredTools.push(tool);
+    }
+
     const paramSchema: Record<string, unknown> = {};
     if (tool.parameters && tool.parameters.length > 0) {
       for (const param of tool.parameters) {
@@ -117,10 +225,23 @@ export function registerGraphTools(
       }
     }
 
-    if (tool.method.toUpperCase() === 'GET' && tool.path.includes('/')) {
+    const pageable = tool.method.toUpperCase() === 'GET' && isCollectionResponse(tool.response);
+    if (pageable) {
       paramSchema['fetchAllPages'] = z
         .boolean()
-        .describe('Automatically fetch all pages of results')
+        .describe(`Automatically fetch all pages of results (up to ${MAX_PAGES} pages)`)
+        .optional();
+      paramSchema['maxItems'] = z
+        .number()
+        .int()
+        .positive()
+        .describe('Maximum number of items to return, fetching further pages as needed')
+        .optional();
+      paramSchema['cursor'] = z
+        .string()
+        .describe(
+          'nextCursor of a previous call of this tool, to get the items that follow. The query is taken from that call; pass its other parameters, such as the account, again'
+        )
         .optional();
     }
 
@@ -130,176 +251,121 @@ export function registerGraphTools(
       .describe('Include response headers (including ETag) in the response metadata')
       .optional();
 
-    server.tool(
+    if (accountSelection) {
+      paramSchema['account'] = z
+        .string()
+        .describe(
+          'homeAccountId or username of a signed-in account to use for this call only (defaults to the selected account)'
+        )
+        .optional();
+    }
+
+    const needsConfirmation = confirmation?.requiresConfirmation(tool.alias, tool.method) === true;
+    if (needsConfirmation) {
+      paramSchema['confirmationToken'] = z
+        .string()
+        .describe(
+          'Token from the preview of this call, to run it after the user approved it. Omit it to get the preview'
+        )
+        .optional();
+    }
+
+    const errorContext: GraphErrorContext = {
+      tool: tool.alias,
+      requiredScopes: appOnly
+        ? endpointConfig?.appScopes
+        : [
+            ...(endpointConfig?.scopes ?? []),
+            ...(((orgMode || workOnly) && endpointConfig?.workScopes) || []),
+          ],
+      appOnly,
+    };
+    consent?.registerTool(tool.alias, errorContext.requiredScopes ?? []);
+
+    const description =
+      tool.description || `Execute ${tool.method.toUpperCase()} request to ${tool.path}`;
+
+    const handle = server.tool(
       tool.alias,
-      tool.description || `Execute ${tool.method.toUpperCase()} request to ${tool.path}`,
+      // Beta APIs may change without notice, so make that visible to the model
+      apiVersion === 'beta' ? `[beta] ${description}` : description,
       paramSchema,
       {
         title: tool.alias,
         readOnlyHint: tool.method.toUpperCase() === 'GET',
       },
-      async (params) => {
-        logger.info(`Tool ${tool.alias} called with params: ${JSON.stringify(params)}`);
+      async (params, extra) => {
+        logger.info(
+          isPayloadLoggingEnabled()
+            ? `Tool ${tool.alias} called with params: ${JSON.stringify(params)}`
+            : `Tool ${tool.alias} called`
+        );
+        let audit: AuditCall | undefined;
         try {
-          logger.info(`params: ${JSON.stringify(params)}`);
-
-          const parameterDefinitions = tool.parameters || [];
-
-          let path = tool.path;
-          const queryParams: Record<string, string> = {};
-          const headers: Record<string, string> = {};
-          let body: unknown = null;
-
-          for (let [paramName, paramValue] of Object.entries(params)) {
-            // Skip pagination control parameter - it's not part of the Microsoft Graph API - I think 🤷
-            if (paramName === 'fetchAllPages') {
-              continue;
-            }
-
-            // Skip headers control parameter - it's not part of the Microsoft Graph API
-            if (paramName === 'includeHeaders') {
-              continue;
-            }
-
-            // Ok, so, MCP clients (such as claude code) doesn't support $ in parameter names,
-            // and others might not support __, so we strip them in hack.ts and restore them here
-            const odataParams = [
-              'filter',
-              'select',
-              'expand',
-              'orderby',
-              'skip',
-              'top',
-              'count',
-              'search',
-              'format',
-            ];
-            const fixedParamName = odataParams.includes(paramName.toLowerCase())
-              ? `$${paramName.toLowerCase()}`
-              : paramName;
-            const paramDef = parameterDefinitions.find((p) => p.name === paramName);
-
-            if (paramDef) {
-              switch (paramDef.type) {
-                case 'Path':
-                  path = path
-                    .replace(`{${paramName}}`, encodeURIComponent(paramValue as string))
-                    .replace(`:${paramName}`, encodeURIComponent(paramValue as string));
-                  break;
-
-                case 'Query':
-                  queryParams[fixedParamName] = `${paramValue}`;
-                  break;
-
-                case 'Body':
-                  body = paramValue;
-                  break;
-
-                case 'Header':
-                  headers[fixedParamName] = `${paramValue}`;
-                  break;
-              }
-            } else if (paramName === 'body') {
-              body = paramValue;
-              logger.info(`Set body param: ${JSON.stringify(body)}`);
+          const { path, options, body } = buildToolRequest(tool, params);
+          if (apiVersion !== 'v1.0') {
+            options.apiVersion = apiVersion;
+          }
+          options.errorContext = errorContext;
+
+          audit = beginAudit(
+            tool.alias,
+            options.method,
+            resolveGraphUrl(path, options.apiVersion),
+            options.body
+          );
+          options.onResponse = audit?.onResponse;
+
+          const policy = getPolicy();
+          if (policy) {
+            policy.checkRequest({ tool: tool.alias, method: options.method, path, body });
+            if (categorizeTool(tool.alias, tool.method) === 'send') {
+              await policy.checkChatMembers(graphClient, path);
             }
           }
 
-          if (Object.keys(queryParams).length > 0) {
-            const queryString = Object.entries(queryParams)
-              .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
-              .join('&');
-            path = `${path}${path.includes('?') ? '&' : '?'}${queryString}`;
+          if (confirmation && needsConfirmation) {
+            const preview = buildWritePreview(
+              tool.alias,
+              options.method,
+              resolveGraphUrl(path, options.apiVersion),
+              body
+            );
+            const held = await confirmation.confirm(server, extra, preview, params);
+            if (held) {
+              return held;
+            }
           }
 
-          const options: {
-            method: string;
-            headers: Record<string, string>;
-            body?: string;
-            rawResponse?: boolean;
-            includeHeaders?: boolean;
-          } = {
-            method: tool.method.toUpperCase(),
-            headers,
+          const send = () => {
+            if (pageable && !options.rawResponse) {
+              return listPages(graphClient, tool.alias, path, options, params);
+            }
+            logger.info(`Making graph request to ${path}`);
+            return graphClient.graphRequest(path, options);
           };
 
-          if (options.method !== 'GET' && body) {
-            options.body = typeof body === 'string' ? body : JSON.stringify(body);
-          }
-
-          const isProbablyMediaContent =
-            tool.errors?.some((error) => error.description === 'Retrieved media content') ||
-            path.endsWith('/content');
-
-          if (isProbablyMediaContent) {
-            options.rawResponse = true;
-          }
-
-          // Set includeHeaders if requested
-          if (params.includeHeaders === true) {
-            options.includeHeaders = true;
-          }
-
-          logger.info(`Making graph request to ${path} with options: ${JSON.stringify(options)}`);
-          let response = await graphClient.graphRequest(path, options);
-
-          const fetchAllPages = params.fetchAllPages === true;
-          if (fetchAllPages && response && response.content && response.content.length > 0) {
-            try {
-              let combinedResponse = JSON.parse(response.content[0].text);
-              let allItems = combinedResponse.value || [];
-              let nextLink = combinedResponse['@odata.nextLink'];
-              let pageCount = 1;
-
-              while (nextLink) {
-                logger.info(`Fetching page ${pageCount + 1} from: ${nextLink}`);
-
-                const url = new URL(nextLink);
-                const nextPath = url.pathname.replace('/v1.0', '');
-                const nextOptions = { ...options };
-
-                const nextQueryParams: Record<string, string> = {};
-                for (const [key, value] of url.searchParams.entries()) {
-                  nextQueryParams[key] = value;
-                }
-                nextOptions.queryParams = nextQueryParams;
-
-                const nextResponse = await graphClient.graphRequest(nextPath, nextOptions);
-                if (nextResponse && nextResponse.content && nextResponse.content.length > 0) {
-                  const nextJsonResponse = JSON.parse(nextResponse.content[0].text);
-                  if (nextJsonResponse.value && Array.isArray(nextJsonResponse.value)) {
-                    allItems = allItems.concat(nextJsonResponse.value);
-                  }
-                  nextLink = nextJsonResponse['@odata.nextLink'];
-                  pageCount++;
-
-                  if (pageCount > 100) {
-                    logger.warn(`Reached maximum page limit (100) for pagination`);
-                    break;
-                  }
-                } else {
-                  break;
-                }
+          let response = await send();
+          // Calls for another account use its own tokens, so only the selected one is asked
+          if (consent && !params.account && isConsentError(response)) {
+            const missingScopes = await consent.missingScopes(errorContext.requiredScopes ?? []);
+            if (missingScopes.length > 0) {
+              const held = await consent.requestConsent(server, extra, tool.alias, missingScopes);
+              if (held) {
+                audit?.finishWithResult(response);
+                return held;
               }
-
-              combinedResponse.value = allItems;
-              if (combinedResponse['@odata.count']) {
-                combinedResponse['@odata.count'] = allItems.length;
-              }
-              delete combinedResponse['@odata.nextLink'];
-
-              response.content[0].text = JSON.stringify(combinedResponse);
-
-              logger.info(
-                `Pagination complete: collected ${allItems.length} items across ${pageCount} pages`
-              );
-            } catch (e) {
-              logger.error(`Error during pagination: ${e}`);
+              logger.info(`Retrying ${tool.alias} with the granted permissions`);
+              response = await send();
             }
           }
+          audit?.finishWithResult(response);
 
-          if (response && response.content && response.content.length > 0) {
-            const responseText = response.content[0].text;
+          const firstContent = response?.content?.[0];
+          if (firstContent && firstContent.type !== 'text') {
+            logger.info(`Response contains ${firstContent.type} content`);
+          } else if (firstContent) {
+            const responseText = firstContent.text;
             const responseSize = responseText.length;
             logger.info(`Response size: ${responseSize} characters`);
 
@@ -313,22 +379,31 @@ export function registerGraphTools(
                   );
                 }
               }
-              if (jsonResponse['@odata.nextLink']) {
-                logger.info(`Response has pagination nextLink: ${jsonResponse['@odata.nextLink']}`);
+              if (jsonResponse.nextCursor) {
+                logger.info('Response has more pages, returning nextCursor');
+              }
+              if (isPayloadLoggingEnabled()) {
+                const preview = responseText.substring(0, 500);
+                logger.info(
+                  `Response preview: ${preview}${responseText.length > 500 ? '...' : ''}`
+                );
               }
-              const preview = responseText.substring(0, 500);
-              logger.info(`Response preview: ${preview}${responseText.length > 500 ? '...' : ''}`);
             } catch {
-              const preview = responseText.substring(0, 500);
-              logger.info(
-                `Response preview (non-JSON): ${preview}${responseText.length > 500 ? '...' : ''}`
-              );
+              if (isPayloadLoggingEnabled()) {
+                const preview = responseText.substring(0, 500);
+                logger.info(
+                  `Response preview (non-JSON): ${preview}${responseText.length > 500 ? '...' : ''}`
+                );
+              }
             }
           }
 
           // Convert McpResponse to CallToolResult with the correct structure
           const content: ContentItem[] = response.content.map((item) => {
-            // GraphClient only returns text content items, so create proper TextContent items
+            // Binary downloads already come back as image or resource content
+            if (item.type !== 'text') {
+              return item;
+            }
             const textContent: TextContent = {
               type: 'text',
               text: item.text,
@@ -345,10 +420,12 @@ export function registerGraphTools(
           return result;
         } catch (error) {
           logger.error(`Error in tool ${tool.alias}: ${(error as Error).message}`);
+          audit?.finish({ error: (error as Error).message });
           const errorContent: TextContent = {
             type: 'text',
             text: JSON.stringify({
               error: `Error in tool ${tool.alias}: ${(error as Error).message}`,
+              ...(error instanceof PolicyError && { policyRule: error.rule }),
             }),
           };
 
@@ -359,5 +436,8 @@ export function registerGraphTools(
         }
       }
     );
+    toolSet?.add(tool.alias, tool.method, workOnly, handle);
   }
+
+  return registeredTools;
 }
@@ -0,0 +1,223 @@
+import type { Response } from 'express';
+import crypto from 'crypto';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import logger from './logger.js';
+import GraphClient from './graph-client.js';
+import { createEventStore, purgeEventFiles, type EventStoreKind } from './event-store.js';
+import { resolveTokenOwner, type MicrosoftAuthRequest } from './lib/microsoft-auth.js';
+
+export const DEFAULT_SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Shorter timeouts would have the sweep run continuously
+const MIN_SESSION_IDLE_TIMEOUT_MS = 1000;
+
+export interface HttpSessionOptions {
+  idleTimeoutMs?: number;
+  eventStore?: EventStoreKind;
+  eventStoreDir: string;
+}
+
+export interface SessionContext {
+  server: McpServer;
+  graphClient: GraphClient;
+}
+
+interface HttpSession extends SessionContext {
+  transport: StreamableHTTPServerTransport;
+  owner: string;
+  // Hashes of the bearer tokens already confirmed to belong to the owner
+  tokenHashes: Set<string>;
+  lastActivity: number;
+}
+
+function hashToken(accessToken: string): string {
+  return crypto.createHash('sha256').update(accessToken).digest('hex');
+}
+
+function sendError(res: Response, status: number, message: string): void {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: {
+      code: -32000,
+      message,
+    },
+    id: null,
+  });
+}
+
+/**
+ * Keeps one McpServer, GraphClient and transport per MCP session in HTTP mode, so tools can stream
+ * progress and clients can resume interrupted streams with `Last-Event-ID`. Sessions end on
+ * DELETE /mcp or after being idle for longer than the idle timeout.
+ */
+export default class HttpSessionManager {
+  private sessions = new Map<string, HttpSession>();
+  private createSession: (owner: string) => Promise<SessionContext>;
+  private idleTimeoutMs: number;
+  private eventStoreKind: EventStoreKind;
+  private eventStoreDir: string;
+  private sweepTimer: ReturnType<typeof setInterval>;
+  // Settles once the event files of an earlier run are gone
+  private purged: Promise<void>;
+
+  constructor(
+    createSession: (owner: string) => Promise<SessionContext>,
+    options: HttpSessionOptions
+  ) {
+    this.createSession = createSession;
+    this.idleTimeoutMs = options.idleTimeoutMs ?? DEFAULT_SESSION_IDLE_TIMEOUT_MS;
+    if (this.idleTimeoutMs < MIN_SESSION_IDLE_TIMEOUT_MS) {
+      throw new Error(
+        `The session idle timeout must be at least ${MIN_SESSION_IDLE_TIMEOUT_MS}ms, got ${this.idleTimeoutMs}ms`
+      );
+    }
+    this.eventStoreKind = options.eventStore ?? 'memory';
+    this.eventStoreDir = options.eventStoreDir;
+    this.purged =
+      this.eventStoreKind === 'file'
+        ? purgeEventFiles(this.eventStoreDir).catch((error) => {
+            logger.error(`Error removing event files of earlier sessions: ${error.message}`);
+          })
+        : Promise.resolve();
+
+    this.sweepTimer = setInterval(
+      () => this.expireIdleSessions(),
+      Math.min(this.idleTimeoutMs, 60 * 1000)
+    );
+    this.sweepTimer.unref();
+  }
+
+  get size(): number {
+    return this.sessions.size;
+  }
+
+  async handleRequest(req: MicrosoftAuthRequest, res: Response, body?: unknown): Promise<void> {
+    const auth = req.microsoftAuth;
+    const sessionId = req.headers['mcp-session-id'] as string | undefined;
+
+    if (!sessionId) {
+      if (req.method === 'POST' && isInitializeRequest(body)) {
+        let owner = 'default';
+        if (auth) {
+          try {
+            owner = await resolveTokenOwner(auth.accessToken);
+          } catch (error) {
+            logger.warn(`Refused to start a session: ${(error as Error).message}`);
+            sendError(res, 401, 'The access token was not accepted by Microsoft Graph');
+            return;
+          }
+        }
+        await this.startSession(owner, req, res, body);
+      } else {
+        sendError(res, 400, 'Bad Request: No valid session ID provided');
+      }
+      return;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      // 404 tells the client to start over with a new initialize request
+      sendError(res, 404, 'Session not found');
+      return;
+    }
+    if (!(await this.belongsToOwner(session, auth?.accessToken))) {
+      logger.warn(`Rejected request for session ${sessionId} with another user's token`);
+      sendError(res, 403, 'Session belongs to a different user');
+      return;
+    }
+
+    session.lastActivity = Date.now();
+    if (auth) {
+      session.graphClient.setOAuthTokens(auth.accessToken, auth.refreshToken);
+    }
+    await session.transport.handleRequest(req, res, body);
+  }
+
+  async closeAll(): Promise<void> {
+    clearInterval(this.sweepTimer);
+    await Promise.all([...this.sessions.values()].map((session) => session.transport.close()));
+  }
+
+  private async startSession(
+    owner: string,
+    req: MicrosoftAuthRequest,
+    res: Response,
+    body: unknown
+  ): Promise<void> {
+    await this.purged;
+    const sessionId = crypto.randomUUID();
+    const context = await this.createSession(owner);
+    const auth = req.microsoftAuth;
+    if (auth) {
+      context.graphClient.setOAuthTokens(auth.accessToken, auth.refreshToken);
+    }
+
+    const eventStore = createEventStore(this.eventStoreKind, sessionId, this.eventStoreDir);
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => sessionId,
+      eventStore,
+      onsessioninitialized: (id) => {
+        this.sessions.set(id, {
+          ...context,
+          transport,
+          owner,
+          tokenHashes: new Set(auth ? [hashToken(auth.accessToken)] : []),
+          lastActivity: Date.now(),
+        });
+        logger.info(`HTTP session ${id} started`);
+      },
+    });
+
+    // The server takes over the transport's onclose callback when connecting, and calls its own
+    // onclose once the transport is closed
+    const onclose = context.server.server.onclose;
+    context.server.server.onclose = () => {
+      onclose?.();
+      if (this.sessions.delete(sessionId)) {
+        logger.info(`HTTP session ${sessionId} closed`);
+      }
+      eventStore.clear().catch((error) => {
+        logger.error(`Error clearing events of session ${sessionId}: ${error.message}`);
+      });
+    };
+
+    await context.server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * Whether a request comes from the user who started the session. The claims of a token could be
+   * forged, so each new token, for example after a refresh, is checked with Graph once.
+   */
+  private async belongsToOwner(session: HttpSession, accessToken?: string): Promise<boolean> {
+    if (!accessToken) {
+      return session.owner === 'default';
+    }
+    const hash = hashToken(accessToken);
+    if (session.tokenHashes.has(hash)) {
+      return true;
+    }
+    try {
+      if ((await resolveTokenOwner(accessToken)) !== session.owner) {
+        return false;
+      }
+    } catch (error) {
+      logger.warn(`Could not check the token of a session request: ${(error as Error).message}`);
+      return false;
+    }
+    session.tokenHashes.add(hash);
+    return true;
+  }
+
+  private expireIdleSessions(): void {
+    const cutoff = Date.now() - this.idleTimeoutMs;
+    for (const [sessionId, session] of this.sessions) {
+      if (session.lastActivity < cutoff) {
+        logger.info(`HTTP session ${sessionId} expired after being idle`);
+        session.transport.close();
+      }
+    }
+  }
+}
@@ -2,26 +2,145 @@
 
 import 'dotenv/config';
 import { parseArgs } from './cli.js';
-import logger from './logger.js';
+import logger, { configureLogging, type LogFormat } from './logger.js';
+import path from 'path';
 import AuthManager, { buildScopesFromEndpoints } from './auth.js';
+import { buildAppOnlyConfig } from './app-only.js';
+import { configureCloud } from './cloud-config.js';
+import { configurePolicy, loadPolicy, validatePolicyFile } from './policy.js';
+import AuditLog, { configureAuditLog, readAuditEntries, type AuditBodyMode } from './audit-log.js';
+import {
+  createTokenStorage,
+  migrateLegacyTokenFiles,
+  resolveStorageDir,
+  type TokenStorageKind,
+} from './token-storage.js';
+import ClientRegistry, { OAUTH_CLIENTS_FILE } from './client-registry.js';
 import MicrosoftGraphServer from './server.js';
+import { canOpenBrowser, openBrowser } from './browser.js';
+import { INCREMENTAL_CONSENT_BASE_SCOPES } from './consent.js';
 import { version } from './version.js';
 
 async function main(): Promise<void> {
   try {
     const args = parseArgs();
 
+    configureLogging({
+      logsDir: args.logsDir ?? path.join(resolveStorageDir(args), 'logs'),
+      format: args.logFormat as LogFormat | undefined,
+      logPayloads: args.logPayloads,
+    });
+    if (args.logPayloads) {
+      logger.warn(
+        'Payload logging is enabled, logs will contain email addresses and message bodies'
+      );
+    }
+
     const includeWorkScopes = args.orgMode || false;
     if (includeWorkScopes) {
       logger.info('Organization mode enabled - including work account scopes');
     }
 
-    const scopes = buildScopesFromEndpoints(includeWorkScopes);
-    const authManager = new AuthManager(undefined, scopes);
-    await authManager.loadTokenCache();
+    if (args.validatePolicy) {
+      const result = validatePolicyFile(args.validatePolicy);
+      console.log(JSON.stringify(result));
+      process.exit(result.valid ? 0 : 1);
+    }
+
+    if (args.policy) {
+      const policyFile = args.policy;
+      configurePolicy(loadPolicy(policyFile));
+      logger.info(`Enforcing policy ${policyFile}`);
+      // The tools of running sessions follow the reloaded policy
+      process.on('SIGHUP', () => {
+        try {
+          configurePolicy(loadPolicy(policyFile));
+          logger.info(`Reloaded policy ${policyFile}`);
+        } catch (error) {
+          logger.error(`Keeping the current policy: ${(error as Error).message}`);
+        }
+      });
+    }
+
+    const cloud = configureCloud(args);
+    if (cloud.cloud !== 'global' || args.graphUrl || args.authorityUrl) {
+      logger.info(`Using Graph at ${cloud.graphUrl} and login at ${cloud.authorityUrl}`);
+    }
+
+    const storageDir = resolveStorageDir(args);
+    if (args.profile) {
+      logger.info(`Using profile ${args.profile}`);
+    }
+
+    const auditFile =
+      typeof args.auditLog === 'string' ? args.auditLog : path.join(storageDir, 'audit.jsonl');
+    if (args.auditTail !== undefined) {
+      console.log(JSON.stringify({ entries: readAuditEntries(auditFile, args.auditTail) }));
+      process.exit(0);
+    }
+
+    if (args.auditLog) {
+      configureAuditLog(
+        new AuditLog(auditFile, {
+          bodyMode: args.auditBody as AuditBodyMode | undefined,
+          maxSizeBytes: args.auditMaxSize,
+          maxFiles: args.auditMaxFiles,
+        })
+      );
+      logger.info(`Recording write tool calls in ${auditFile}`);
+    }
+
+    let authManager: AuthManager;
+    if (args.appOnly) {
+      if (args.login || args.logout) {
+        console.log(
+          JSON.stringify({ error: 'App-only mode uses client credentials and has no user login' })
+        );
+        process.exit(1);
+      }
+      logger.info('App-only mode enabled - authenticating with client credentials');
+      // Only tools with application permissions are registered, whatever the org mode
+      const appScopes = buildScopesFromEndpoints(true, true);
+      authManager = new AuthManager(buildAppOnlyConfig(), appScopes, true);
+    } else {
+      const storage = createTokenStorage({
+        kind: args.tokenStorage as TokenStorageKind | undefined,
+        dir: storageDir,
+        profile: args.profile,
+        passphrase: process.env.MS365_MCP_TOKEN_PASSPHRASE,
+        keyFile: process.env.MS365_MCP_TOKEN_KEY_FILE,
+      });
+      logger.info(`Storing tokens in the ${storage.description}`);
+      // Files of older releases belong to the default profile
+      if (!args.profile) {
+        await migrateLegacyTokenFiles(storage, storageDir);
+      }
+
+      // With incremental consent, tools ask for their permissions when they are first used
+      const scopes = args.incrementalConsent
+        ? INCREMENTAL_CONSENT_BASE_SCOPES
+        : buildScopesFromEndpoints(includeWorkScopes);
+      authManager = new AuthManager(undefined, scopes, false, storage);
+      await authManager.loadTokenCache();
+    }
 
     if (args.login) {
-      await authManager.acquireTokenByDeviceCode();
+      let signedIn = false;
+      if (args.browser && canOpenBrowser()) {
+        try {
+          await authManager.acquireTokenInteractive(openBrowser);
+          signedIn = true;
+        } catch (error) {
+          console.log(
+            `Browser sign-in failed (${(error as Error).message}), signing in with a device code instead`
+          );
+        }
+      } else if (args.browser) {
+        console.log('No browser is available here, signing in with a device code instead');
+      }
+      if (!signedIn) {
+        await authManager.acquireTokenByDeviceCode();
+      }
       logger.info('Login completed, testing connection with Graph API...');
       const result = await authManager.testLogin();
       console.log(JSON.stringify(result));
@@ -76,6 +195,27 @@ async function main(): Promise<void> {
       process.exit(0);
     }
 
+    if (args.listClients || args.revokeClient) {
+      const registry = new ClientRegistry(path.join(storageDir, OAUTH_CLIENTS_FILE));
+      if (args.revokeClient) {
+        if (registry.revoke(args.revokeClient)) {
+          console.log(JSON.stringify({ message: `Revoked client: ${args.revokeClient}` }));
+        } else {
+          console.log(JSON.stringify({ error: `Client not found: ${args.revokeClient}` }));
+          process.exit(1);
+        }
+      } else {
+        const clients = registry.list().map((client) => ({
+          id: client.client_id,
+          name: client.client_name,
+          redirectUris: client.redirect_uris,
+          registeredAt: new Date((client.client_id_issued_at ?? 0) * 1000).toISOString(),
+        }));
+        console.log(JSON.stringify({ clients }));
+      }
+      process.exit(0);
+    }
+
     const server = new MicrosoftGraphServer(authManager, args);
     await server.initialize(version);
     await server.start();
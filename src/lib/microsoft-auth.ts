@@ -1,12 +1,17 @@
 import { Request, Response, NextFunction } from 'express';
 import logger from '../logger.js';
+import { authorityFor, getCloudEndpoints } from '../cloud-config.js';
+
+export type MicrosoftAuthRequest = Request & {
+  microsoftAuth?: { accessToken: string; refreshToken: string };
+};
 
 /**
  * Microsoft Bearer Token Auth Middleware validates that the request has a valid Microsoft access token
  * The token is passed in the Authorization header as a Bearer token
  */
 export const microsoftBearerTokenAuthMiddleware = (
-  req: Request & { microsoftAuth?: { accessToken: string; refreshToken: string } },
+  req: MicrosoftAuthRequest,
   res: Response,
   next: NextFunction
 ): void => {
@@ -34,6 +39,43 @@ export const microsoftBearerTokenAuthMiddleware = (
   next();
 };
 
+/**
+ * Object ID of the user behind a bearer token, as Graph reports it for /me. Unlike the claims in
+ * the token, whose signature is not checked here, this cannot be forged.
+ */
+export async function resolveTokenOwner(accessToken: string): Promise<string> {
+  const response = await fetch(`${getCloudEndpoints().graphUrl}/v1.0/me?$select=id`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  if (!response.ok) {
+    throw new Error(`Graph rejected the token with status ${response.status}`);
+  }
+  const me = (await response.json()) as { id?: string };
+  if (!me.id) {
+    throw new Error('Graph returned no user for the token');
+  }
+  return me.id;
+}
+
+/**
+ * Name of the identity behind a bearer token for logs: the user's UPN, or the app's name for
+ * app-only tokens. Undefined for tokens that are not JWTs.
+ */
+export function accountNameForToken(accessToken: string): string | undefined {
+  try {
+    const payload = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64url').toString());
+    return (
+      payload.upn ??
+      payload.preferred_username ??
+      payload.unique_name ??
+      payload.app_displayname ??
+      payload.appid
+    );
+  } catch {
+    return undefined;
+  }
+}
+
 /**
  * Exchange authorization code for access token
  */
@@ -64,7 +106,7 @@ export async function exchangeCodeForToken(
     params.append('code_verifier', codeVerifier);
   }
 
-  const response = await fetch(`https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`, {
+  const response = await fetch(`${authorityFor(tenantId)}/oauth2/v2.0/token`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/x-www-form-urlencoded',
@@ -96,7 +138,7 @@ export async function refreshAccessToken(
   expires_in: number;
   refresh_token?: string;
 }> {
-  const response = await fetch(`https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`, {
+  const response = await fetch(`${authorityFor(tenantId)}/oauth2/v2.0/token`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/x-www-form-urlencoded',
@@ -0,0 +1,88 @@
+// Keys whose values are credentials, in metadata objects, JSON text and form or query strings
+const SECRET_KEYS = [
+  'access_token',
+  'refresh_token',
+  'id_token',
+  'client_secret',
+  'code',
+  'code_verifier',
+  'password',
+  'authorization',
+  'accessToken',
+  'refreshToken',
+  'confirmationToken',
+  'contentBytes',
+];
+
+// Keys of Graph payloads that hold the text of messages, posts and events
+const CONTENT_KEYS = ['content', 'bodyPreview', 'uniqueBody'];
+
+const secretKeyPattern = new RegExp(`^(${SECRET_KEYS.join('|')})$`, 'i');
+const contentKeyPattern = new RegExp(`^(${CONTENT_KEYS.join('|')})$`);
+
+function jsonValuePattern(keys: string[]): RegExp {
+  // The "code" of a Graph error is useful and no secret, so JSON keys leave it out
+  const jsonKeys = keys.filter((key) => key !== 'code');
+  return new RegExp(`("(?:${jsonKeys.join('|')})"\\s*:\\s*)"(?:[^"\\\\]|\\\\.)*"`, 'gi');
+}
+
+const CREDENTIAL_PATTERNS: Array<[RegExp, string]> = [
+  [/(Bearer\s+)[\w\-.~+/]+=*/gi, '$1[redacted]'],
+  [/eyJ[\w-]+\.[\w-]+\.[\w-]*/g, '[redacted-jwt]'],
+  [jsonValuePattern(SECRET_KEYS), '$1"[redacted]"'],
+  [new RegExp(`\\b(${SECRET_KEYS.join('|')})=[^&\\s"]+`, 'gi'), '$1=[redacted]'],
+];
+
+const PERSONAL_PATTERNS: Array<[RegExp, string]> = [
+  [jsonValuePattern(CONTENT_KEYS), '$1"[redacted]"'],
+  [/[\w.%+-]+@[\w-]+(?:\.[\w-]+)+/g, '[email]'],
+];
+
+let logPayloads = false;
+
+/**
+ * Keeps request parameters, response previews, email addresses and message bodies in the logs,
+ * for debugging. Credentials are scrubbed either way.
+ */
+export function setPayloadLogging(enabled: boolean): void {
+  logPayloads = enabled;
+}
+
+export function isPayloadLoggingEnabled(): boolean {
+  return logPayloads;
+}
+
+/**
+ * Scrubs credentials from a log message, and unless payload logging is enabled also email
+ * addresses and message bodies.
+ */
+export function redactText(text: string): string {
+  const patterns = logPayloads
+    ? CREDENTIAL_PATTERNS
+    : [...CREDENTIAL_PATTERNS, ...PERSONAL_PATTERNS];
+  return patterns.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    text
+  );
+}
+
+/**
+ * Redacts a log message or metadata value. `key` is the name the value is stored under.
+ */
+export function redactValue(value: unknown, key?: string): unknown {
+  if (key && (secretKeyPattern.test(key) || (!logPayloads && contentKeyPattern.test(key)))) {
+    return '[redacted]';
+  }
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Error)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([itemKey, item]) => [itemKey, redactValue(item, itemKey)])
+    );
+  }
+  return value;
+}
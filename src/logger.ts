@@ -1,36 +1,71 @@
 import winston from 'winston';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { redactValue, setPayloadLogging } from './log-redaction.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const logsDir = path.join(__dirname, '..', 'logs');
+export type LogFormat = 'text' | 'json';
 
-if (!fs.existsSync(logsDir)) {
-  fs.mkdirSync(logsDir);
+export const LOG_FORMATS: LogFormat[] = ['text', 'json'];
+
+export interface LoggingOptions {
+  logsDir: string;
+  format?: LogFormat;
+  // Keep request parameters, response previews, email addresses and message bodies in the logs
+  logPayloads?: boolean;
 }
 
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
+const redact = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    if (key !== 'level') {
+      info[key] = key === 'message' ? redactValue(info[key]) : redactValue(info[key], key);
+    }
+  }
+  return info;
+});
+
+function buildFormat(format: LogFormat): winston.Logform.Format {
+  if (format === 'json') {
+    return winston.format.combine(redact(), winston.format.timestamp(), winston.format.json());
+  }
+  return winston.format.combine(
+    redact(),
     winston.format.timestamp({
       format: 'YYYY-MM-DD HH:mm:ss',
     }),
     winston.format.printf(({ level, message, timestamp }) => {
       return `${timestamp} ${level.toUpperCase()}: ${message}`;
     })
-  ),
-  transports: [
-    new winston.transports.File({
-      filename: path.join(logsDir, 'error.log'),
-      level: 'error',
-    }),
-    new winston.transports.File({
-      filename: path.join(logsDir, 'mcp-server.log'),
-    }),
-  ],
+  );
+}
+
+// Until configureLogging runs, only errors are written, to stderr so that stdio stays clean
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: buildFormat('text'),
+  transports: [new winston.transports.Console({ level: 'error', stderrLevels: ['error'] })],
 });
 
+/**
+ * Sends the logs to error.log and mcp-server.log in the logs directory, called once at startup.
+ */
+export const configureLogging = (options: LoggingOptions): void => {
+  fs.mkdirSync(options.logsDir, { recursive: true, mode: 0o700 });
+  setPayloadLogging(options.logPayloads ?? false);
+  logger.configure({
+    level: process.env.LOG_LEVEL || 'info',
+    format: buildFormat(options.format ?? 'text'),
+    transports: [
+      new winston.transports.File({
+        filename: path.join(options.logsDir, 'error.log'),
+        level: 'error',
+      }),
+      new winston.transports.File({
+        filename: path.join(options.logsDir, 'mcp-server.log'),
+      }),
+    ],
+  });
+};
+
 export const enableConsoleLogging = (): void => {
   logger.add(
     new winston.transports.Console({
@@ -2,23 +2,27 @@ import { ProxyOAuthServerProvider } from '@modelcontextprotocol/sdk/server/auth/
 import type { AuthInfo } from '@modelcontextprotocol/sdk/server/auth/types.js';
 import logger from './logger.js';
 import AuthManager from './auth.js';
+import ClientRegistry from './client-registry.js';
+import { authorityFor, getCloudEndpoints } from './cloud-config.js';
 
 export class MicrosoftOAuthProvider extends ProxyOAuthServerProvider {
   private authManager: AuthManager;
 
-  constructor(authManager: AuthManager) {
+  constructor(authManager: AuthManager, clientRegistry: ClientRegistry) {
     const tenantId = process.env.MS365_MCP_TENANT_ID || 'common';
     const clientId = process.env.MS365_MCP_CLIENT_ID || '084a3e9f-a9f4-43f7-89f9-d229cf97853e';
 
+    const authority = authorityFor(tenantId);
+
     super({
       endpoints: {
-        authorizationUrl: `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/authorize`,
-        tokenUrl: `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`,
-        revocationUrl: `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/logout`,
+        authorizationUrl: `${authority}/oauth2/v2.0/authorize`,
+        tokenUrl: `${authority}/oauth2/v2.0/token`,
+        revocationUrl: `${authority}/oauth2/v2.0/logout`,
       },
       verifyAccessToken: async (token: string): Promise<AuthInfo> => {
         try {
-          const response = await fetch('https://graph.microsoft.com/v1.0/me', {
+          const response = await fetch(`${getCloudEndpoints().graphUrl}/v1.0/me`, {
             headers: {
               Authorization: `Bearer ${token}`,
             },
@@ -28,7 +32,8 @@ export class MicrosoftOAuthProvider extends ProxyOAuthServerProvider {
             const userData = await response.json();
             logger.info(`OAuth token verified for user: ${userData.userPrincipalName}`);
 
-            await authManager.setOAuthToken(token);
+            // The token is only returned as AuthInfo; storing it on the shared AuthManager would
+            // let concurrent requests pick up each other's token
 
             return {
               token,
@@ -44,10 +49,7 @@ export class MicrosoftOAuthProvider extends ProxyOAuthServerProvider {
         }
       },
       getClient: async (client_id: string) => {
-        return {
-          client_id,
-          redirect_uris: ['http://localhost:3000/callback'],
-        };
+        return clientRegistry.get(client_id);
       },
     });
 
@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import { z } from 'zod';
+import logger from './logger.js';
+import type GraphClient from './graph-client.js';
+import type { GraphRequestOptions, McpResponse } from './graph-client.js';
+
+// Upper bound on the pages fetched by a single tool call
+export const MAX_PAGES = 100;
+
+// Signs the cursors handed out by this process, so a client cannot make up the URL of one
+const CURSOR_KEY = crypto.randomBytes(32);
+
+const INVALID_CURSOR = 'Invalid cursor, pass the nextCursor value of a previous call unchanged';
+
+/**
+ * Where the next call of a list tool resumes: a page URL and the number of items of that page
+ * that were already returned, as maxItems can stop in the middle of a page. Headers, account and
+ * API version are not part of it; they always come from the call that passes the cursor.
+ */
+export interface PageCursor {
+  tool: string;
+  url: string;
+  offset: number;
+}
+
+export interface PageLimits {
+  maxItems?: number;
+  maxPages: number;
+  offset?: number;
+}
+
+export interface PagedResponse {
+  response: McpResponse;
+  next?: { url: string; offset: number };
+  items: number;
+  pages: number;
+}
+
+function signCursor(payload: string): Buffer {
+  return crypto.createHmac('sha256', CURSOR_KEY).update(payload).digest();
+}
+
+export function encodeCursor({ tool, url, offset }: PageCursor): string {
+  const payload = Buffer.from(JSON.stringify({ tool, url, offset }), 'utf8').toString('base64url');
+  return `${payload}.${signCursor(payload).toString('base64url')}`;
+}
+
+/**
+ * Decodes a cursor returned by a previous call of the same tool. Cursors are signed with a key of
+ * this process, so the URL in one is a nextLink Graph returned to that tool, and cursors of an
+ * earlier run are refused.
+ */
+export function decodeCursor(cursor: string, tool: string): PageCursor {
+  const [payload, signature, ...rest] = cursor.split('.');
+  const expected = signCursor(payload);
+  const given = Buffer.from(signature ?? '', 'base64url');
+  if (
+    rest.length > 0 ||
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    throw new Error(INVALID_CURSOR);
+  }
+
+  let decoded: PageCursor;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error(INVALID_CURSOR);
+  }
+
+  if (
+    !decoded ||
+    typeof decoded.url !== 'string' ||
+    !Number.isInteger(decoded.offset) ||
+    decoded.offset < 0
+  ) {
+    throw new Error(INVALID_CURSOR);
+  }
+  if (decoded.tool !== tool) {
+    throw new Error(`This cursor was returned by ${decoded.tool} and cannot be used with ${tool}`);
+  }
+  return { tool, url: decoded.url, offset: decoded.offset };
+}
+
+/**
+ * Whether a response schema describes a Graph collection, an object with a `value` array. Only
+ * those are paged; other GET responses have no nextLink to follow.
+ */
+export function isCollectionResponse(schema: z.ZodTypeAny): boolean {
+  if (schema instanceof z.ZodOptional || schema instanceof z.ZodNullable) {
+    return isCollectionResponse(schema.unwrap());
+  }
+  if (schema instanceof z.ZodEffects) {
+    return isCollectionResponse(schema.innerType());
+  }
+  if (schema instanceof z.ZodLazy) {
+    return isCollectionResponse(schema.schema);
+  }
+  if (schema instanceof z.ZodIntersection) {
+    return isCollectionResponse(schema._def.left) || isCollectionResponse(schema._def.right);
+  }
+  if (schema instanceof z.ZodObject) {
+    let value: z.ZodTypeAny | undefined = schema.shape.value;
+    while (value instanceof z.ZodOptional || value instanceof z.ZodNullable) {
+      value = value.unwrap();
+    }
+    return value instanceof z.ZodArray;
+  }
+  return false;
+}
+
+/**
+ * Requests a collection page by page until maxItems items or maxPages pages have been read, and
+ * merges the items into the first page. Responses that are not collections are returned as they
+ * are. When more data exists, `next` tells where the following call should resume.
+ */
+export async function fetchPages(
+  graphClient: GraphClient,
+  url: string,
+  options: GraphRequestOptions,
+  limits: PageLimits
+): Promise<PagedResponse> {
+  const maxItems = limits.maxItems ?? Infinity;
+  let response = await graphClient.graphRequest(url, options);
+  const first = parsePage(response);
+  if (!first || !Array.isArray(first.data.value)) {
+    return { response: withoutNextLink(response), items: 0, pages: 1 };
+  }
+
+  const items: unknown[] = [];
+  let page = first;
+  let pageUrl = url;
+  let skip = limits.offset ?? 0;
+  let pages = 1;
+  let next: PagedResponse['next'];
+
+  for (;;) {
+    const value = (page.data.value as unknown[]).slice(skip);
+    const room = maxItems - items.length;
+    if (value.length > room) {
+      items.push(...value.slice(0, room));
+      next = { url: pageUrl, offset: skip + room };
+      break;
+    }
+    items.push(...value);
+    skip = 0;
+
+    if (!page.nextLink) {
+      break;
+    }
+    if (items.length >= maxItems || pages >= limits.maxPages) {
+      if (pages >= MAX_PAGES) {
+        logger.warn(`Reached maximum page limit (${MAX_PAGES}) for pagination`);
+      }
+      next = { url: page.nextLink, offset: 0 };
+      break;
+    }
+
+    // nextLinks are absolute and already carry the API version and query
+    logger.info(`Fetching page ${pages + 1} from: ${page.nextLink}`);
+    pageUrl = page.nextLink;
+    response = await graphClient.graphRequest(pageUrl, options);
+    const nextPage = parsePage(response);
+    if (!nextPage) {
+      return { response: withoutNextLink(response), items: items.length, pages: pages + 1 };
+    }
+    page = nextPage;
+    pages++;
+  }
+
+  first.data.value = items;
+  logger.info(`Pagination complete: collected ${items.length} items across ${pages} pages`);
+
+  return {
+    response: {
+      ...withoutNextLink(response),
+      content: [{ type: 'text', text: JSON.stringify(first.data, null, 2) }],
+    },
+    next,
+    items: items.length,
+    pages,
+  };
+}
+
+function parsePage(
+  response: McpResponse
+): { data: Record<string, unknown>; nextLink?: string } | undefined {
+  const content = response.content?.[0];
+  if (response.isError || content?.type !== 'text') {
+    return undefined;
+  }
+
+  try {
+    const data = JSON.parse(content.text);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return undefined;
+    }
+    return { data, nextLink: response._meta?.nextLink as string | undefined };
+  } catch {
+    return undefined;
+  }
+}
+
+function withoutNextLink(response: McpResponse): McpResponse {
+  if (!response._meta || !('nextLink' in response._meta)) {
+    return response;
+  }
+  const meta = { ...response._meta };
+  delete meta.nextLink;
+  return { ...response, _meta: Object.keys(meta).length > 0 ? meta : undefined };
+}
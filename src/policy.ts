@@ -0,0 +1,394 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { z } from 'zod';
+import { categorizeTool, TOOL_CATEGORIES, type ToolCategory } from './tool-categories.js';
+import type GraphClient from './graph-client.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Body fields listing the people a message or event is sent to
+const RECIPIENT_FIELDS = ['toRecipients', 'ccRecipients', 'bccRecipients', 'attendees'];
+
+// Path segments followed by the ID of a resource that a policy can restrict
+const RESOURCE_SEGMENTS: Array<{ segment: string; rule: keyof ResourceRules; label: string }> = [
+  { segment: 'drives', rule: 'driveIds', label: 'Drive' },
+  { segment: 'sites', rule: 'siteIds', label: 'Site' },
+  { segment: 'teams', rule: 'teamIds', label: 'Team' },
+];
+
+// Drives addressed through their owner (/me/drive, /users/{id}/drive, ...) rather than by ID
+const OWNED_DRIVE_PATH = /(^|\/)drive(\/|$)/;
+
+const idList = z.array(z.string().min(1)).optional();
+
+const PolicySchema = z
+  .object({
+    tools: z
+      .object({
+        allow: z.array(z.string().min(1)).optional(),
+        deny: z.array(z.string().min(1)).optional(),
+      })
+      .strict()
+      .optional(),
+    resources: z.object({ driveIds: idList, siteIds: idList, teamIds: idList }).strict().optional(),
+    recipients: z
+      .object({ allowedDomains: z.array(z.string().min(1)).min(1) })
+      .strict()
+      .optional(),
+    limits: z
+      .object({
+        maxAttachmentBytes: z.number().int().positive().optional(),
+        maxItemsPerCall: z.number().int().positive().optional(),
+      })
+      .strict()
+      .optional(),
+  })
+  .strict();
+
+export type PolicyDocument = z.infer<typeof PolicySchema>;
+
+type ResourceRules = NonNullable<PolicyDocument['resources']>;
+
+/**
+ * A call refused by the policy. `rule` names the setting of the policy file that refused it.
+ */
+export class PolicyError extends Error {
+  readonly rule: string;
+
+  constructor(rule: string, message: string) {
+    super(`Policy violation (${rule}): ${message}`);
+    this.name = 'PolicyError';
+    this.rule = rule;
+  }
+}
+
+export interface PolicyRequest {
+  tool: string;
+  method: string;
+  path: string;
+  body?: unknown;
+  // Size of a file upload whose content is not in `body`
+  uploadBytes?: number;
+}
+
+export interface PolicyValidationResult {
+  valid: boolean;
+  errors: string[];
+  warnings: string[];
+  allowedTools: number;
+  deniedTools: string[];
+}
+
+function collectRecipients(value: unknown, recipients: Set<string>): void {
+  if (!value || typeof value !== 'object') {
+    return;
+  }
+  for (const [key, item] of Object.entries(value)) {
+    if (RECIPIENT_FIELDS.includes(key) && Array.isArray(item)) {
+      for (const recipient of item) {
+        const address = recipient?.emailAddress?.address;
+        if (typeof address === 'string') {
+          recipients.add(address);
+        }
+      }
+    } else if (typeof item === 'object') {
+      collectRecipients(item, recipients);
+    }
+  }
+}
+
+/**
+ * Parses a request body that may still be serialized, leaving plain text as it is.
+ */
+export function parseRequestBody(body: unknown): unknown {
+  if (typeof body !== 'string') {
+    return body;
+  }
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * Email addresses of the recipients and attendees in a message or event body.
+ */
+export function extractRecipients(body: unknown): string[] {
+  const recipients = new Set<string>();
+  collectRecipients(parseRequestBody(body), recipients);
+  return [...recipients];
+}
+
+// Decoded sizes of the base64 attachments in a message or attachment body
+function attachmentSizes(value: unknown, sizes: number[] = []): number[] {
+  if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      if (key === 'contentBytes' && typeof item === 'string') {
+        sizes.push(Buffer.byteLength(item, 'base64'));
+      } else {
+        attachmentSizes(item, sizes);
+      }
+    }
+  }
+  return sizes;
+}
+
+/**
+ * A PUT to a `/content` path sends the body as the content of the file.
+ */
+function contentUploadSize(request: PolicyRequest, requestPath: string): number | undefined {
+  if (request.method.toUpperCase() !== 'PUT' || !requestPath.endsWith('/content')) {
+    return undefined;
+  }
+  if (typeof request.body === 'string') {
+    return Buffer.byteLength(request.body);
+  }
+  return request.body ? Buffer.byteLength(JSON.stringify(request.body)) : 0;
+}
+
+/**
+ * Tool patterns are tool names, globs such as `list-*`, or `category:<name>` for every tool of a
+ * category.
+ */
+function matchesPattern(pattern: string, toolName: string, category: ToolCategory): boolean {
+  if (pattern.startsWith('category:')) {
+    return pattern.slice('category:'.length) === category;
+  }
+  const regex = new RegExp(
+    `^${pattern
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')}$`
+  );
+  return regex.test(toolName);
+}
+
+export class Policy {
+  readonly document: PolicyDocument;
+
+  constructor(document: PolicyDocument) {
+    this.document = document;
+  }
+
+  get maxItemsPerCall(): number | undefined {
+    return this.document.limits?.maxItemsPerCall;
+  }
+
+  get restrictsRecipients(): boolean {
+    return this.document.recipients !== undefined;
+  }
+
+  /**
+   * Deny rules win over allow rules. Without allow rules every tool that is not denied is
+   * allowed.
+   */
+  isToolAllowed(toolName: string, method: string): boolean {
+    const category = categorizeTool(toolName, method);
+    const { allow, deny } = this.document.tools ?? {};
+    if (deny?.some((pattern) => matchesPattern(pattern, toolName, category))) {
+      return false;
+    }
+    return !allow || allow.some((pattern) => matchesPattern(pattern, toolName, category));
+  }
+
+  /**
+   * Checks the resources, recipients and attachments of a request before it is sent.
+   */
+  checkRequest(request: PolicyRequest): void {
+    if (!this.isToolAllowed(request.tool, request.method)) {
+      throw new PolicyError('tools', `${request.tool} is not allowed`);
+    }
+
+    const resources = this.document.resources ?? {};
+    const requestPath = request.path.split('?')[0];
+    for (const { segment, rule, label } of RESOURCE_SEGMENTS) {
+      const allowed = resources[rule];
+      const match = requestPath.match(new RegExp(`/${segment}/([^/:]+)`));
+      if (allowed && match && !allowed.includes(decodeURIComponent(match[1]))) {
+        throw new PolicyError(
+          `resources.${rule}`,
+          `${label} ${decodeURIComponent(match[1])} is not in the allowed list`
+        );
+      }
+    }
+    // The ID of such a drive is not part of the path, so it cannot be checked
+    if (resources.driveIds && OWNED_DRIVE_PATH.test(requestPath)) {
+      throw new PolicyError(
+        'resources.driveIds',
+        `${requestPath} does not name its drive; only /drives/{drive-id} paths can be checked against the allowed list`
+      );
+    }
+
+    const body = parseRequestBody(request.body);
+    if (this.restrictsRecipients) {
+      this.checkRecipients(extractRecipients(body));
+    }
+
+    const maxAttachmentBytes = this.document.limits?.maxAttachmentBytes;
+    if (maxAttachmentBytes !== undefined) {
+      const uploadBytes = request.uploadBytes ?? contentUploadSize(request, requestPath);
+      if (uploadBytes !== undefined && uploadBytes > maxAttachmentBytes) {
+        throw new PolicyError(
+          'limits.maxAttachmentBytes',
+          `An upload of ${uploadBytes} bytes exceeds the limit of ${maxAttachmentBytes} bytes`
+        );
+      }
+      const tooLarge = attachmentSizes(body).find((size) => size > maxAttachmentBytes);
+      if (tooLarge !== undefined) {
+        throw new PolicyError(
+          'limits.maxAttachmentBytes',
+          `An attachment of ${tooLarge} bytes exceeds the limit of ${maxAttachmentBytes} bytes`
+        );
+      }
+    }
+  }
+
+  /**
+   * Chat messages carry no recipients in their body, so the members of the chat are checked.
+   */
+  async checkChatMembers(graphClient: GraphClient, requestPath: string): Promise<void> {
+    const chatId = requestPath.match(/\/chats\/([^/?]+)/)?.[1];
+    if (!this.restrictsRecipients || !chatId) {
+      return;
+    }
+
+    const members = (await graphClient.makeRequest(`/chats/${chatId}/members`)) as {
+      value?: Array<{ email?: string | null }>;
+    };
+    this.checkRecipients(
+      (members.value ?? [])
+        .map((member) => member.email)
+        .filter((email): email is string => !!email)
+    );
+  }
+
+  checkRecipients(addresses: string[]): void {
+    const allowedDomains = this.document.recipients?.allowedDomains;
+    if (!allowedDomains) {
+      return;
+    }
+
+    const domains = allowedDomains.map((domain) => domain.toLowerCase());
+    const refused = addresses.filter((address) => {
+      const domain = address.split('@').pop()?.toLowerCase() ?? '';
+      return !domains.some((allowed) => domain === allowed || domain.endsWith(`.${allowed}`));
+    });
+    if (refused.length > 0) {
+      throw new PolicyError(
+        'recipients.allowedDomains',
+        `${refused.join(', ')} ${refused.length === 1 ? 'is' : 'are'} outside the allowed domains (${allowedDomains.join(', ')})`
+      );
+    }
+  }
+}
+
+/**
+ * Parses a YAML or JSON policy document, reporting every schema problem at once.
+ */
+export function parsePolicy(text: string): PolicyDocument {
+  const result = PolicySchema.safeParse(yaml.load(text) ?? {});
+  if (!result.success) {
+    const problems = result.error.issues.map(
+      (issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`
+    );
+    throw new Error(`Invalid policy: ${problems.join('; ')}`);
+  }
+
+  const categoryPatterns = [
+    ...(result.data.tools?.allow ?? []),
+    ...(result.data.tools?.deny ?? []),
+  ].filter((pattern) => pattern.startsWith('category:'));
+  for (const pattern of categoryPatterns) {
+    if (!TOOL_CATEGORIES.includes(pattern.slice('category:'.length) as ToolCategory)) {
+      throw new Error(
+        `Invalid policy: unknown tool category in ${pattern} (expected ${TOOL_CATEGORIES.join(', ')})`
+      );
+    }
+  }
+  return result.data;
+}
+
+export function loadPolicy(file: string): Policy {
+  return new Policy(parsePolicy(readFileSync(file, 'utf8')));
+}
+
+/**
+ * Checks a policy file and the tool patterns in it against the tools of endpoints.json.
+ */
+export function validatePolicyFile(file: string): PolicyValidationResult {
+  const result: PolicyValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    allowedTools: 0,
+    deniedTools: [],
+  };
+
+  let policy: Policy;
+  try {
+    policy = loadPolicy(file);
+  } catch (error) {
+    return { ...result, valid: false, errors: [(error as Error).message] };
+  }
+
+  const endpoints = JSON.parse(readFileSync(path.join(__dirname, 'endpoints.json'), 'utf8')) as {
+    toolName: string;
+    method: string;
+  }[];
+
+  const { allow = [], deny = [] } = policy.document.tools ?? {};
+  for (const pattern of [...allow, ...deny]) {
+    if (pattern.startsWith('category:')) {
+      continue;
+    }
+    const matched = endpoints.some((endpoint) =>
+      matchesPattern(pattern, endpoint.toolName, categorizeTool(endpoint.toolName, endpoint.method))
+    );
+    if (!matched) {
+      result.warnings.push(`${pattern} does not match any tool in endpoints.json`);
+    }
+  }
+
+  for (const endpoint of endpoints) {
+    if (policy.isToolAllowed(endpoint.toolName, endpoint.method)) {
+      result.allowedTools++;
+    } else {
+      result.deniedTools.push(endpoint.toolName);
+    }
+  }
+  if (result.allowedTools === 0) {
+    result.warnings.push('The policy does not allow any tool of endpoints.json');
+  }
+  return result;
+}
+
+let activePolicy: Policy | undefined;
+const policyListeners = new Set<() => void>();
+
+/**
+ * Sets the policy that every tool registration and request is checked against, at startup and
+ * whenever the policy file is reloaded.
+ */
+export function configurePolicy(policy: Policy | undefined): void {
+  activePolicy = policy;
+  for (const listener of policyListeners) {
+    listener();
+  }
+}
+
+/**
+ * Calls the listener after each later configurePolicy, returns a function that removes it.
+ */
+export function onPolicyChange(listener: () => void): () => void {
+  policyListeners.add(listener);
+  return () => {
+    policyListeners.delete(listener);
+  };
+}
+
+export function getPolicy(): Policy | undefined {
+  return activePolicy;
+}
@@ -0,0 +1,265 @@
+import { readdirSync, readFileSync } from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { z } from 'zod';
+import { McpServer, RegisteredPrompt } from '@modelcontextprotocol/sdk/server/mcp.js';
+import logger from './logger.js';
+
+const PromptSchema = z
+  .object({
+    name: z.string().regex(/^[a-z0-9][a-z0-9-]*$/, 'must be lowercase letters, digits and dashes'),
+    description: z.string().min(1),
+    arguments: z
+      .array(
+        z
+          .object({
+            name: z.string().regex(/^[A-Za-z][A-Za-z0-9]*$/),
+            description: z.string().min(1),
+            required: z.boolean().optional(),
+            // Used in place of an optional argument the client leaves out
+            default: z.string().optional(),
+          })
+          .strict()
+      )
+      .optional(),
+    // Tools the prompt cannot do without; it is not offered unless all of them are enabled
+    requiredTools: z.array(z.string().min(1)).optional(),
+    template: z.string().min(1),
+  })
+  .strict();
+
+export type PromptDefinition = z.infer<typeof PromptSchema>;
+
+export const BUILT_IN_PROMPTS: PromptDefinition[] = [
+  {
+    name: 'triage-inbox',
+    description: 'Sort recent inbox messages by what they need from me, with drafts and tasks',
+    arguments: [
+      {
+        name: 'count',
+        description: 'Number of recent messages to go through',
+        default: '25',
+      },
+    ],
+    requiredTools: ['list-mail-messages'],
+    template: `Triage my inbox, working through the {{count}} most recent messages.
+
+- List them with \`list-mail-messages\`, newest first, selecting the sender, subject, received time, importance and whether they are read.
+- Read the messages whose subject and sender are not enough to judge them with \`get-mail-message\`.
+- Sort every message into: needs a reply today, needs action later, FYI, or can be archived.
+- For messages that need action later, create a task with \`create-todo-task\` after \`list-todo-task-lists\` shows which list to use.
+- Draft replies to the messages that need one today with \`create-draft-email\`. Do not send anything.
+- List the messages that can be archived and, once I approve, move them with \`move-mail-message\`.
+
+Finish with a short summary grouped by category, most urgent first.`,
+  },
+  {
+    name: 'daily-agenda',
+    description: 'My meetings and due tasks for a day, with conflicts and free time',
+    arguments: [
+      {
+        name: 'date',
+        description: 'Day to plan, e.g. 2025-03-14 or tomorrow',
+        default: 'today',
+      },
+    ],
+    requiredTools: ['get-calendar-view'],
+    template: `Prepare my agenda for {{date}}.
+
+- Get the events of that day with \`get-calendar-view\`, from the start to the end of the day in my time zone.
+- Find the To Do tasks due that day with \`list-todo-task-lists\` and \`list-todo-tasks\`.
+- Find the Planner tasks assigned to me that are due with \`list-planner-tasks\`.
+
+Present the day in time order. Flag overlapping events, meetings without an agenda, and gaps of an hour or more that are free for focus work. End with the tasks that are due.`,
+  },
+  {
+    name: 'meeting-prep',
+    description: 'A briefing for an upcoming meeting: attendees, open points and documents',
+    arguments: [
+      {
+        name: 'eventId',
+        description: 'ID of the calendar event',
+        required: true,
+      },
+    ],
+    requiredTools: ['get-calendar-event'],
+    template: `Help me prepare for the meeting with the event ID {{eventId}}.
+
+- Get the event with \`get-calendar-event\`, including the attendees, the body with the agenda and the online meeting details.
+- Find recent emails with the attendees or about the subject with \`list-mail-messages\` and a $search query.
+- Find documents related to the subject with \`search-query\`.
+- Look up the job titles and departments of attendees with \`list-users\`.
+
+Summarize the purpose of the meeting, who attends and in what role, the open points from recent conversations, and the documents worth reading beforehand.`,
+  },
+  {
+    name: 'weekly-onedrive-summary',
+    description: 'What changed in my OneDrive over the last days',
+    arguments: [
+      {
+        name: 'days',
+        description: 'Number of days to look back',
+        default: '7',
+      },
+    ],
+    template: `Summarize the activity in my OneDrive over the last {{days}} days.
+
+- Get the changed files and folders with \`sync-drive-changes\`. Its first call returns every item, so keep only the items whose lastModifiedDateTime falls within the period.
+- Find recently modified files with \`search-query\` on driveItem, filtered by lastModifiedDateTime.
+- Look into the folders where most changes happened with \`list-folder-files\`.
+
+Group the changes by folder, name who made them where the data shows it, and call out new, deleted and shared files.`,
+  },
+  {
+    name: 'teams-channel-catch-up',
+    description: 'What I missed in a Teams channel: decisions, questions for me and open threads',
+    arguments: [
+      {
+        name: 'team',
+        description: 'Name or ID of the team',
+        required: true,
+      },
+      {
+        name: 'channel',
+        description: 'Name or ID of the channel',
+        required: true,
+      },
+      {
+        name: 'since',
+        description: 'Start of the period to catch up on',
+        default: 'the last 3 days',
+      },
+    ],
+    requiredTools: ['list-channel-messages'],
+    template: `Catch me up on the channel "{{channel}}" of the team "{{team}}" for {{since}}.
+
+- If you were given names, find the IDs with \`list-joined-teams\` and \`list-team-channels\`.
+- List the channel messages with \`list-channel-messages\` and keep the threads active in that period.
+- Open the threads that matter with \`get-channel-message\` to see their replies.
+- Get my own name with \`get-current-user\` to find the messages that mention me.
+
+Summarize the decisions that were made, the questions addressed to me, and the threads still waiting for an answer. Do not post anything in the channel.`,
+  },
+];
+
+/**
+ * Tools a template mentions: dashed lowercase names in backticks, like `list-mail-messages`.
+ */
+function mentionedTools(template: string): string[] {
+  return [...template.matchAll(/`([a-z0-9]+(?:-[a-z0-9]+)+)`/g)].map((match) => match[1]);
+}
+
+/**
+ * Drops the lines that mention a tool that is not enabled, so the prompt only points the model
+ * at tools it can call.
+ */
+export function renderPrompt(
+  prompt: PromptDefinition,
+  args: Record<string, string | undefined>,
+  enabledTools: Set<string>
+): string {
+  const lines = prompt.template
+    .split('\n')
+    .filter((line) => mentionedTools(line).every((tool) => enabledTools.has(tool)));
+
+  let text = lines.join('\n');
+  for (const argument of prompt.arguments ?? []) {
+    const value = args[argument.name] || argument.default || '';
+    text = text.split(`{{${argument.name}}}`).join(value);
+  }
+  return text;
+}
+
+/**
+ * Whether a prompt can be offered: all of its required tools and at least one tool it mentions
+ * must be enabled.
+ */
+export function isPromptAvailable(prompt: PromptDefinition, enabledTools: Set<string>): boolean {
+  if (!(prompt.requiredTools ?? []).every((tool) => enabledTools.has(tool))) {
+    return false;
+  }
+  const mentioned = mentionedTools(prompt.template);
+  return mentioned.length === 0 || mentioned.some((tool) => enabledTools.has(tool));
+}
+
+export function parsePrompt(text: string, source: string): PromptDefinition {
+  const result = PromptSchema.safeParse(yaml.load(text));
+  if (!result.success) {
+    const problems = result.error.issues.map(
+      (issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`
+    );
+    throw new Error(`Invalid prompt in ${source}: ${problems.join('; ')}`);
+  }
+  return result.data;
+}
+
+/**
+ * Loads the YAML or JSON prompt files of a directory, one prompt per file.
+ */
+export function loadPromptDirectory(dir: string): PromptDefinition[] {
+  return readdirSync(dir)
+    .filter((file) => /\.(ya?ml|json)$/i.test(file))
+    .sort()
+    .map((file) => parsePrompt(readFileSync(path.join(dir, file), 'utf8'), file));
+}
+
+/**
+ * Registers the built-in prompts and the custom ones, which replace built-in prompts of the same
+ * name. `enabledTools` are the tools enabled under the current settings. Returns a function to
+ * call with the enabled tools whenever they change: prompts are shown and hidden to match, and
+ * the client is told when the list changed.
+ */
+export function registerPrompts(
+  server: McpServer,
+  enabledTools: string[],
+  customPrompts: PromptDefinition[] = []
+): (enabledTools: string[]) => void {
+  let enabled = new Set(enabledTools);
+  const prompts = new Map(BUILT_IN_PROMPTS.map((prompt) => [prompt.name, prompt]));
+  for (const prompt of customPrompts) {
+    prompts.set(prompt.name, prompt);
+  }
+
+  const handles: Array<{ prompt: PromptDefinition; handle: RegisteredPrompt }> = [];
+  for (const prompt of prompts.values()) {
+    const argsSchema = Object.fromEntries(
+      (prompt.arguments ?? []).map((argument) => {
+        const schema = z.string().describe(argument.description);
+        return [argument.name, argument.required ? schema : schema.optional()];
+      })
+    );
+
+    const handle = server.prompt(prompt.name, prompt.description, argsSchema, (args) => ({
+      messages: [
+        {
+          role: 'user',
+          content: {
+            type: 'text',
+            text: renderPrompt(prompt, args as Record<string, string | undefined>, enabled),
+          },
+        },
+      ],
+    }));
+    handle.enabled = isPromptAvailable(prompt, enabled);
+    if (!handle.enabled) {
+      logger.info(`Hiding prompt ${prompt.name} - the tools it needs are not enabled`);
+    }
+    handles.push({ prompt, handle });
+  }
+
+  return (tools) => {
+    enabled = new Set(tools);
+    let changed = false;
+    for (const { prompt, handle } of handles) {
+      const available = isPromptAvailable(prompt, enabled);
+      if (available !== handle.enabled) {
+        // Set directly, as enable() and disable() would each notify the client
+        handle.enabled = available;
+        changed = true;
+      }
+    }
+    if (changed) {
+      server.sendPromptListChanged();
+    }
+  };
+}
@@ -2,412 +2,574 @@ import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import { mcpAuthRouter } from '@modelcontextprotocol/sdk/server/auth/router.js';
-import express, { Request, Response } from 'express';
-import crypto from 'crypto';
+import express, { Response } from 'express';
+import path from 'path';
 import logger, { enableConsoleLogging } from './logger.js';
 import { registerAuthTools } from './auth-tools.js';
 import { registerGraphTools } from './graph-tools.js';
+import { registerBatchTool } from './batch-tool.js';
+import { registerUploadTools } from './upload-tools.js';
+import { registerDeltaTools } from './delta-tools.js';
+import { registerGraphResources } from './graph-resources.js';
+import ToolCatalog, { registerDiscoveryTools } from './tool-discovery.js';
+import ToolSet from './tool-set.js';
+import { loadPromptDirectory, registerPrompts, type PromptDefinition } from './prompts.js';
+import { DeltaTokenStore } from './delta-store.js';
+import HttpSessionManager from './http-sessions.js';
+import type { EventStoreKind } from './event-store.js';
 import GraphClient from './graph-client.js';
 import AuthManager from './auth.js';
+import { resolveStorageDir } from './token-storage.js';
+import ConfirmationGate from './confirmation.js';
+import ConsentManager from './consent.js';
 import { MicrosoftOAuthProvider } from './oauth-provider.js';
 import {
   exchangeCodeForToken,
   microsoftBearerTokenAuthMiddleware,
   refreshAccessToken,
+  resolveTokenOwner,
+  type MicrosoftAuthRequest,
 } from './lib/microsoft-auth.js';
+import ClientRegistry, { ClientRegistrationError, OAUTH_CLIENTS_FILE } from './client-registry.js';
 import type { CommandOptions } from './cli.ts';
+import { authorityFor, qualifyScope } from './cloud-config.js';
 
-// Store registered clients in memory (in production, use a database)
-interface RegisteredClient {
-  client_id: string;
-  client_name: string;
-  redirect_uris: string[];
-  grant_types: string[];
-  response_types: string[];
-  scope?: string;
-  token_endpoint_auth_method: string;
-  created_at: number;
-}
-
-const registeredClients = new Map<string, RegisteredClient>();
+const DEFAULT_OAUTH_SCOPES = ['User.Read', 'Files.Read', 'Mail.Read'];
 
 class MicrosoftGraphServer {
   private authManager: AuthManager;
   private options: CommandOptions;
   private graphClient: GraphClient;
+  private deltaStore: DeltaTokenStore;
+  private clientRegistry: ClientRegistry;
+  private storageDir: string;
+  private confirmation?: ConfirmationGate;
+  private modeConfirmation?: ConfirmationGate;
+  private consent?: ConsentManager;
+  private customPrompts: PromptDefinition[];
   private server: McpServer | null;
+  private version = '';
 
   constructor(authManager: AuthManager, options: CommandOptions = {}) {
     this.authManager = authManager;
     this.options = options;
-    this.graphClient = new GraphClient(authManager);
+    this.graphClient = this.createGraphClient();
+    this.storageDir = resolveStorageDir(options);
+    this.deltaStore = new DeltaTokenStore(path.join(this.storageDir, '.delta-links.json'));
+    this.clientRegistry = new ClientRegistry(path.join(this.storageDir, OAUTH_CLIENTS_FILE));
+    if (options.confirmWrites) {
+      this.confirmation = new ConfirmationGate(options.confirmWrites, {
+        // Stateless HTTP requests cannot receive the answer of the client
+        allowElicitation: !options.http || options.httpSessions === true,
+      });
+    }
+    if (options.confirmModeChanges) {
+      // Mode changes belong to no tool category, so this gate is only used through confirm()
+      this.modeConfirmation = new ConfirmationGate([], {
+        allowElicitation: !options.http || options.httpSessions === true,
+      });
+    }
+    if (options.incrementalConsent) {
+      // Only allowed with stdio, where the client can always be asked during a tool call
+      this.consent = new ConsentManager(authManager);
+    }
+    this.customPrompts = [];
+    if (options.promptsDir) {
+      this.customPrompts = loadPromptDirectory(options.promptsDir);
+      logger.info(`Loaded ${this.customPrompts.length} prompts from ${options.promptsDir}`);
+    }
     this.server = null;
   }
 
-  async initialize(version: string): Promise<void> {
-    this.server = new McpServer({
+  private selectedAccountKey = (): string => this.authManager.getSelectedAccountId() ?? 'default';
+
+  private createGraphClient(): GraphClient {
+    return new GraphClient(this.authManager, {
+      retryPolicy: {
+        maxRetries: this.options.maxRetries,
+        baseDelayMs: this.options.retryBaseDelay,
+        maxDelayMs: this.options.retryMaxDelay,
+        maxTotalWaitMs: this.options.retryMaxWait,
+      },
+      maxBinarySize: this.options.maxBinarySize,
+    });
+  }
+
+  private async createMcpServer(
+    graphClient: GraphClient,
+    getAccountKey: () => string | Promise<string>
+  ): Promise<McpServer> {
+    const server = new McpServer({
       name: 'Microsoft365MCP',
-      version,
+      version: this.version,
     });
 
-    const shouldRegisterAuthTools = !this.options.http || this.options.enableAuthTools;
+    const appOnly = this.options.appOnly === true;
+    // Cached accounts only exist when signing in locally; HTTP requests bring their own token
+    const localAccounts = !appOnly && !this.options.http;
+    const toolSet = new ToolSet(
+      server,
+      {
+        orgMode: this.options.orgMode === true,
+        readOnly: this.options.readOnly === true,
+        personalAccount: false,
+      },
+      { readOnlyLocked: this.options.readOnly === true }
+    );
+    const shouldRegisterAuthTools =
+      !appOnly && (!this.options.http || this.options.enableAuthTools);
     if (shouldRegisterAuthTools) {
-      registerAuthTools(this.server, this.authManager);
+      // A stateless HTTP request gets a new server, so a mode switched in one would be forgotten
+      // by the next
+      const statelessHttp = this.options.http && !this.options.httpSessions;
+      registerAuthTools(
+        server,
+        this.authManager,
+        statelessHttp ? undefined : toolSet,
+        this.modeConfirmation,
+        this.consent,
+        !this.options.http
+      );
     }
-    registerGraphTools(
-      this.server,
-      this.graphClient,
+    // In discovery mode the Graph tools go into a catalog that is reached through invoke-tool
+    const catalog = this.options.discoveryMode ? new ToolCatalog() : undefined;
+    const toolServer = catalog ? catalog.collect(server) : server;
+    const enabledTools = registerGraphTools(
+      toolServer,
+      graphClient,
+      this.options.readOnly,
+      this.options.enabledTools,
+      this.options.orgMode,
+      appOnly,
+      localAccounts,
+      this.options.excludeBeta,
+      this.confirmation,
+      toolSet,
+      this.consent
+    );
+    // Batches cannot be previewed entry by entry, so they only offer tools that need no confirmation
+    registerBatchTool(
+      toolServer,
+      graphClient,
+      enabledTools.filter(
+        (tool) => !this.confirmation?.requiresConfirmation(tool.alias, tool.method)
+      ),
+      (toolName) => toolSet.isEnabled(toolName)
+    );
+    registerUploadTools(
+      toolServer,
+      graphClient,
       this.options.readOnly,
       this.options.enabledTools,
-      this.options.orgMode
+      !this.options.http,
+      this.confirmation,
+      toolSet
     );
+    // Delta queries and resources on /me have no meaning without a signed-in user
+    if (appOnly) {
+      logger.info('Skipping delta sync tools and resources in app-only mode');
+    } else {
+      registerDeltaTools(
+        toolServer,
+        graphClient,
+        this.deltaStore,
+        getAccountKey,
+        this.options.enabledTools,
+        toolSet
+      );
+      // Stateless HTTP requests end before a subscription could report anything
+      registerGraphResources(server, graphClient, {
+        subscriptions: !this.options.http || this.options.httpSessions === true,
+        enabledToolsPattern: this.options.enabledTools,
+        isToolEnabled: (toolName) => toolSet.isEnabled(toolName),
+      });
+    }
+    if (catalog) {
+      registerDiscoveryTools(server, catalog);
+      logger.info(`Discovery mode: ${catalog.size} tools available through invoke-tool`);
+    }
+    if (localAccounts) {
+      await toolSet.syncAccount(this.authManager);
+    }
+    // Prompts follow the tool set, so they only point at tools that are offered
+    const updatePrompts = registerPrompts(server, toolSet.enabledNames(), this.customPrompts);
+    toolSet.onChange(() => updatePrompts(toolSet.enabledNames()));
+
+    return server;
   }
 
-  async start(): Promise<void> {
-    if (this.options.v) {
-      enableConsoleLogging();
+  async initialize(version: string): Promise<void> {
+    this.version = version;
+    this.server = await this.createMcpServer(this.graphClient, this.selectedAccountKey);
+  }
+
+  /**
+   * Serves one MCP request over HTTP. Each request gets its own GraphClient and McpServer, so the
+   * bearer tokens of concurrent callers never end up in shared state.
+   */
+  private async handleMcpRequest(
+    req: MicrosoftAuthRequest,
+    res: Response,
+    body?: unknown
+  ): Promise<void> {
+    const auth = req.microsoftAuth;
+    const graphClient = this.createGraphClient();
+    let getAccountKey: () => string | Promise<string> = this.selectedAccountKey;
+    if (auth) {
+      graphClient.setOAuthTokens(auth.accessToken, auth.refreshToken);
+      // Graph confirms the owner, so the key holds across token refreshes and cannot be forged
+      getAccountKey = () => resolveTokenOwner(auth.accessToken);
     }
+    const server = await this.createMcpServer(graphClient, getAccountKey);
 
-    logger.info('Microsoft 365 MCP Server starting...');
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: undefined, // Stateless mode
+    });
 
-    // Debug: Check if environment variables are loaded
-    logger.info('Environment Variables Check:', {
-      CLIENT_ID: process.env.MS365_MCP_CLIENT_ID
-        ? `${process.env.MS365_MCP_CLIENT_ID.substring(0, 8)}...`
-        : 'NOT SET',
-      CLIENT_SECRET: process.env.MS365_MCP_CLIENT_SECRET
-        ? `${process.env.MS365_MCP_CLIENT_SECRET.substring(0, 8)}...`
-        : 'NOT SET',
-      TENANT_ID: process.env.MS365_MCP_TENANT_ID || 'NOT SET',
-      NODE_ENV: process.env.NODE_ENV || 'NOT SET',
+    res.on('close', () => {
+      transport.close();
+      server.close();
     });
 
-    if (this.options.readOnly) {
-      logger.info('Server running in READ-ONLY mode. Write operations are disabled.');
-    }
+    await server.connect(transport);
+    await transport.handleRequest(req as any, res as any, body);
+  }
 
-    if (this.options.http) {
-      const port = typeof this.options.http === 'string' ? parseInt(this.options.http) : 3000;
+  /**
+   * Builds the Express app with the OAuth endpoints and the MCP endpoint.
+   */
+  createHttpApp(port: number): express.Express {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+
+    // Add CORS headers for all routes
+    app.use((req, res, next) => {
+      res.header('Access-Control-Allow-Origin', '*');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.header(
+        'Access-Control-Allow-Headers',
+        'Origin, X-Requested-With, Content-Type, Accept, Authorization, mcp-protocol-version, mcp-session-id, last-event-id'
+      );
+      res.header('Access-Control-Expose-Headers', 'mcp-session-id');
 
-      const app = express();
-      app.use(express.json());
-      app.use(express.urlencoded({ extended: true }));
-
-      // Add CORS headers for all routes
-      app.use((req, res, next) => {
-        res.header('Access-Control-Allow-Origin', '*');
-        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        res.header(
-          'Access-Control-Allow-Headers',
-          'Origin, X-Requested-With, Content-Type, Accept, Authorization, mcp-protocol-version'
-        );
+      // Handle preflight requests
+      if (req.method === 'OPTIONS') {
+        res.sendStatus(200);
+        return;
+      }
 
-        // Handle preflight requests
-        if (req.method === 'OPTIONS') {
-          res.sendStatus(200);
-          return;
-        }
+      next();
+    });
 
-        next();
+    const oauthProvider = new MicrosoftOAuthProvider(this.authManager, this.clientRegistry);
+
+    // OAuth Authorization Server Discovery
+    app.get('/.well-known/oauth-authorization-server', async (req, res) => {
+      const url = new URL(`${req.protocol}://${req.get('host')}`);
+      res.json({
+        issuer: url.origin,
+        authorization_endpoint: `${url.origin}/authorize`,
+        token_endpoint: `${url.origin}/token`,
+        registration_endpoint: `${url.origin}/register`,
+        response_types_supported: ['code'],
+        response_modes_supported: ['query'],
+        grant_types_supported: ['authorization_code', 'refresh_token'],
+        token_endpoint_auth_methods_supported: ['none'],
+        code_challenge_methods_supported: ['S256'],
+        scopes_supported: DEFAULT_OAUTH_SCOPES.map(qualifyScope),
       });
+    });
 
-      const oauthProvider = new MicrosoftOAuthProvider(this.authManager);
-
-      // OAuth Authorization Server Discovery
-      app.get('/.well-known/oauth-authorization-server', async (req, res) => {
-        const url = new URL(`${req.protocol}://${req.get('host')}`);
-        res.json({
-          issuer: url.origin,
-          authorization_endpoint: `${url.origin}/authorize`,
-          token_endpoint: `${url.origin}/token`,
-          registration_endpoint: `${url.origin}/register`,
-          response_types_supported: ['code'],
-          response_modes_supported: ['query'],
-          grant_types_supported: ['authorization_code', 'refresh_token'],
-          token_endpoint_auth_methods_supported: ['none'],
-          code_challenge_methods_supported: ['S256'],
-          scopes_supported: ['User.Read', 'Files.Read', 'Mail.Read'],
-        });
+    // OAuth Protected Resource Discovery
+    app.get('/.well-known/oauth-protected-resource', async (req, res) => {
+      const url = new URL(`${req.protocol}://${req.get('host')}`);
+      res.json({
+        resource: `${url.origin}/mcp`,
+        authorization_servers: [url.origin],
+        scopes_supported: DEFAULT_OAUTH_SCOPES.map(qualifyScope),
+        bearer_methods_supported: ['header'],
+        resource_documentation: `${url.origin}`,
       });
+    });
 
-      // OAuth Protected Resource Discovery
-      app.get('/.well-known/oauth-protected-resource', async (req, res) => {
-        const url = new URL(`${req.protocol}://${req.get('host')}`);
-        res.json({
-          resource: `${url.origin}/mcp`,
-          authorization_servers: [url.origin],
-          scopes_supported: ['User.Read', 'Files.Read', 'Mail.Read'],
-          bearer_methods_supported: ['header'],
-          resource_documentation: `${url.origin}`,
+    // Dynamic Client Registration endpoint
+    app.post('/register', async (req, res) => {
+      try {
+        res.status(201).json(this.clientRegistry.register(req.body));
+      } catch (error) {
+        if (error instanceof ClientRegistrationError) {
+          res.status(400).json({ error: error.code, error_description: error.message });
+          return;
+        }
+        logger.error('Client registration error:', error);
+        res.status(500).json({
+          error: 'server_error',
+          error_description: 'Failed to store the client registration',
         });
-      });
-
-      // Dynamic Client Registration endpoint
-      app.post('/register', async (req, res) => {
-        const body = req.body;
+      }
+    });
 
-        // Generate a client ID
-        const clientId = crypto.randomUUID();
-
-        // Store the client registration
-        registeredClients.set(clientId, {
-          client_id: clientId,
-          client_name: body.client_name || 'MCP Client',
-          redirect_uris: body.redirect_uris || [],
-          grant_types: body.grant_types || ['authorization_code', 'refresh_token'],
-          response_types: body.response_types || ['code'],
-          scope: body.scope,
-          token_endpoint_auth_method: 'none',
-          created_at: Date.now(),
-        });
+    // Authorization endpoint - redirects to Microsoft
+    app.get('/authorize', async (req, res) => {
+      const url = new URL(req.url!, `${req.protocol}://${req.get('host')}`);
 
-        // Return the client registration response
-        res.status(201).json({
-          client_id: clientId,
-          client_name: body.client_name || 'MCP Client',
-          redirect_uris: body.redirect_uris || [],
-          grant_types: body.grant_types || ['authorization_code', 'refresh_token'],
-          response_types: body.response_types || ['code'],
-          scope: body.scope,
-          token_endpoint_auth_method: 'none',
+      // Never redirect to a URI that was not registered for the client
+      const check = this.clientRegistry.checkRedirectUri(
+        url.searchParams.get('client_id') ?? undefined,
+        url.searchParams.get('redirect_uri') ?? undefined
+      );
+      if ('error' in check) {
+        res.status(400).json({
+          error: check.error === 'invalid_client' ? 'invalid_client' : 'invalid_request',
+          error_description:
+            check.error === 'invalid_client'
+              ? 'Unknown client_id, register the client first'
+              : 'redirect_uri is not registered for this client',
         });
+        return;
+      }
+
+      const tenantId = process.env.MS365_MCP_TENANT_ID || 'common';
+      const clientId = process.env.MS365_MCP_CLIENT_ID || '084a3e9f-a9f4-43f7-89f9-d229cf97853e';
+      const microsoftAuthUrl = new URL(`${authorityFor(tenantId)}/oauth2/v2.0/authorize`);
+
+      // Only forward parameters that Microsoft OAuth 2.0 v2.0 supports
+      const allowedParams = [
+        'response_type',
+        'redirect_uri',
+        'scope',
+        'state',
+        'response_mode',
+        'code_challenge',
+        'code_challenge_method',
+        'prompt',
+        'login_hint',
+        'domain_hint',
+      ];
+
+      allowedParams.forEach((param) => {
+        const value = url.searchParams.get(param);
+        if (value) {
+          microsoftAuthUrl.searchParams.set(param, value);
+        }
       });
 
-      // Authorization endpoint - redirects to Microsoft
-      app.get('/authorize', async (req, res) => {
-        const url = new URL(req.url!, `${req.protocol}://${req.get('host')}`);
-        const tenantId = process.env.MS365_MCP_TENANT_ID || 'common';
-        const clientId = process.env.MS365_MCP_CLIENT_ID || '084a3e9f-a9f4-43f7-89f9-d229cf97853e';
-        const microsoftAuthUrl = new URL(
-          `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/authorize`
-        );
+      // Use our Microsoft app's client_id
+      microsoftAuthUrl.searchParams.set('client_id', clientId);
+      microsoftAuthUrl.searchParams.set('redirect_uri', check.redirectUri);
 
-        // Only forward parameters that Microsoft OAuth 2.0 v2.0 supports
-        const allowedParams = [
-          'response_type',
-          'redirect_uri',
+      // Ensure we have the minimal required scopes if none provided
+      if (!microsoftAuthUrl.searchParams.get('scope')) {
+        microsoftAuthUrl.searchParams.set(
           'scope',
-          'state',
-          'response_mode',
-          'code_challenge',
-          'code_challenge_method',
-          'prompt',
-          'login_hint',
-          'domain_hint',
-        ];
-
-        allowedParams.forEach((param) => {
-          const value = url.searchParams.get(param);
-          if (value) {
-            microsoftAuthUrl.searchParams.set(param, value);
-          }
-        });
+          DEFAULT_OAUTH_SCOPES.map(qualifyScope).join(' ')
+        );
+      }
 
-        // Use our Microsoft app's client_id
-        microsoftAuthUrl.searchParams.set('client_id', clientId);
+      // Redirect to Microsoft's authorization page
+      res.redirect(microsoftAuthUrl.toString());
+    });
 
-        // Ensure we have the minimal required scopes if none provided
-        if (!microsoftAuthUrl.searchParams.get('scope')) {
-          microsoftAuthUrl.searchParams.set('scope', 'User.Read Files.Read Mail.Read');
-        }
+    // Token exchange endpoint
+    app.post('/token', async (req, res) => {
+      try {
+        // The body carries authorization codes and refresh tokens, so only its grant type is logged
+        logger.info(
+          `Token endpoint called with grant_type ${req.body?.grant_type} (${req.get('Content-Type')})`
+        );
 
-        // Redirect to Microsoft's authorization page
-        res.redirect(microsoftAuthUrl.toString());
-      });
+        const body = req.body;
 
-      // Token exchange endpoint
-      app.post('/token', async (req, res) => {
-        try {
-          // Comprehensive debugging
-          logger.info('Token endpoint called', {
-            method: req.method,
-            url: req.url,
-            headers: req.headers,
-            bodyType: typeof req.body,
-            body: req.body,
-            rawBody: JSON.stringify(req.body),
-            contentType: req.get('Content-Type'),
+        // Add debugging and validation
+        if (!body) {
+          logger.error('Token endpoint: Request body is undefined');
+          res.status(400).json({
+            error: 'invalid_request',
+            error_description: 'Request body is required',
           });
+          return;
+        }
 
-          const body = req.body;
+        if (!body.grant_type) {
+          logger.error('Token endpoint: grant_type is missing');
+          res.status(400).json({
+            error: 'invalid_request',
+            error_description: 'grant_type parameter is required',
+          });
+          return;
+        }
+
+        // Only registered clients may redeem codes or refresh tokens
+        if (!body.client_id || !this.clientRegistry.get(body.client_id as string)) {
+          res.status(401).json({
+            error: 'invalid_client',
+            error_description: 'Unknown client_id',
+          });
+          return;
+        }
 
-          // Add debugging and validation
-          if (!body) {
-            logger.error('Token endpoint: Request body is undefined');
+        if (body.grant_type === 'authorization_code') {
+          const check = this.clientRegistry.checkRedirectUri(
+            body.client_id as string,
+            body.redirect_uri as string | undefined
+          );
+          if ('error' in check) {
             res.status(400).json({
-              error: 'invalid_request',
-              error_description: 'Request body is required',
+              error: 'invalid_grant',
+              error_description: 'redirect_uri is not registered for this client',
             });
             return;
           }
 
-          if (!body.grant_type) {
-            logger.error('Token endpoint: grant_type is missing', { body });
-            res.status(400).json({
-              error: 'invalid_request',
-              error_description: 'grant_type parameter is required',
+          const tenantId = process.env.MS365_MCP_TENANT_ID || 'common';
+          const clientId =
+            process.env.MS365_MCP_CLIENT_ID || '084a3e9f-a9f4-43f7-89f9-d229cf97853e';
+          const clientSecret = process.env.MS365_MCP_CLIENT_SECRET;
+
+          if (!clientSecret) {
+            logger.error('Token endpoint: MS365_MCP_CLIENT_SECRET is not configured');
+            res.status(500).json({
+              error: 'server_error',
+              error_description: 'Server configuration error',
             });
             return;
           }
 
-          if (body.grant_type === 'authorization_code') {
-            const tenantId = process.env.MS365_MCP_TENANT_ID || 'common';
-            const clientId =
-              process.env.MS365_MCP_CLIENT_ID || '084a3e9f-a9f4-43f7-89f9-d229cf97853e';
-            const clientSecret = process.env.MS365_MCP_CLIENT_SECRET;
-
-            if (!clientSecret) {
-              logger.error('Token endpoint: MS365_MCP_CLIENT_SECRET is not configured');
-              res.status(500).json({
-                error: 'server_error',
-                error_description: 'Server configuration error',
-              });
-              return;
-            }
-
-            const result = await exchangeCodeForToken(
-              body.code as string,
-              body.redirect_uri as string,
-              clientId,
-              clientSecret,
-              tenantId,
-              body.code_verifier as string | undefined
-            );
-            res.json(result);
-          } else if (body.grant_type === 'refresh_token') {
-            const tenantId = process.env.MS365_MCP_TENANT_ID || 'common';
-            const clientId =
-              process.env.MS365_MCP_CLIENT_ID || '084a3e9f-a9f4-43f7-89f9-d229cf97853e';
-            const clientSecret = process.env.MS365_MCP_CLIENT_SECRET;
-
-            if (!clientSecret) {
-              logger.error('Token endpoint: MS365_MCP_CLIENT_SECRET is not configured');
-              res.status(500).json({
-                error: 'server_error',
-                error_description: 'Server configuration error',
-              });
-              return;
-            }
-
-            const result = await refreshAccessToken(
-              body.refresh_token as string,
-              clientId,
-              clientSecret,
-              tenantId
-            );
-            res.json(result);
-          } else {
-            res.status(400).json({
-              error: 'unsupported_grant_type',
-              error_description: `Grant type '${body.grant_type}' is not supported`,
+          const result = await exchangeCodeForToken(
+            body.code as string,
+            check.redirectUri,
+            clientId,
+            clientSecret,
+            tenantId,
+            body.code_verifier as string | undefined
+          );
+          res.json(result);
+        } else if (body.grant_type === 'refresh_token') {
+          const tenantId = process.env.MS365_MCP_TENANT_ID || 'common';
+          const clientId =
+            process.env.MS365_MCP_CLIENT_ID || '084a3e9f-a9f4-43f7-89f9-d229cf97853e';
+          const clientSecret = process.env.MS365_MCP_CLIENT_SECRET;
+
+          if (!clientSecret) {
+            logger.error('Token endpoint: MS365_MCP_CLIENT_SECRET is not configured');
+            res.status(500).json({
+              error: 'server_error',
+              error_description: 'Server configuration error',
             });
+            return;
           }
-        } catch (error) {
-          logger.error('Token endpoint error:', error);
-          res.status(500).json({
-            error: 'server_error',
-            error_description: 'Internal server error during token exchange',
+
+          const result = await refreshAccessToken(
+            body.refresh_token as string,
+            clientId,
+            clientSecret,
+            tenantId
+          );
+          res.json(result);
+        } else {
+          res.status(400).json({
+            error: 'unsupported_grant_type',
+            error_description: `Grant type '${body.grant_type}' is not supported`,
           });
         }
-      });
+      } catch (error) {
+        logger.error('Token endpoint error:', error);
+        res.status(500).json({
+          error: 'server_error',
+          error_description: 'Internal server error during token exchange',
+        });
+      }
+    });
 
-      app.use(
-        mcpAuthRouter({
-          provider: oauthProvider,
-          issuerUrl: new URL(`http://localhost:${port}`),
-        })
-      );
+    app.use(
+      mcpAuthRouter({
+        provider: oauthProvider,
+        issuerUrl: new URL(`http://localhost:${port}`),
+      })
+    );
 
-      // Microsoft Graph MCP endpoints with bearer token auth
-      // Handle both GET and POST methods as required by MCP Streamable HTTP specification
-      app.get(
-        '/mcp',
-        microsoftBearerTokenAuthMiddleware,
-        async (
-          req: Request & { microsoftAuth?: { accessToken: string; refreshToken: string } },
-          res: Response
-        ) => {
-          try {
-            // Set OAuth tokens in the GraphClient if available
-            if (req.microsoftAuth) {
-              this.graphClient.setOAuthTokens(
-                req.microsoftAuth.accessToken,
-                req.microsoftAuth.refreshToken
-              );
-            }
-
-            const transport = new StreamableHTTPServerTransport({
-              sessionIdGenerator: undefined, // Stateless mode
-            });
+    const sessions = this.options.httpSessions
+      ? new HttpSessionManager(
+          async (owner) => {
+            const graphClient = this.createGraphClient();
+            return { graphClient, server: await this.createMcpServer(graphClient, () => owner) };
+          },
+          {
+            idleTimeoutMs:
+              this.options.sessionIdleTimeout !== undefined
+                ? this.options.sessionIdleTimeout * 60 * 1000
+                : undefined,
+            eventStore: this.options.eventStore as EventStoreKind | undefined,
+            eventStoreDir: path.join(this.storageDir, 'http-events'),
+          }
+        )
+      : null;
 
-            res.on('close', () => {
-              transport.close();
+    const handleMcp =
+      (method: string) =>
+      async (req: MicrosoftAuthRequest, res: Response): Promise<void> => {
+        const body = method === 'POST' ? req.body : undefined;
+        try {
+          if (sessions) {
+            await sessions.handleRequest(req, res, body);
+          } else {
+            await this.handleMcpRequest(req, res, body);
+          }
+        } catch (error) {
+          logger.error(`Error handling MCP ${method} request:`, error);
+          if (!res.headersSent) {
+            res.status(500).json({
+              jsonrpc: '2.0',
+              error: {
+                code: -32603,
+                message: 'Internal server error',
+              },
+              id: null,
             });
-
-            await this.server!.connect(transport);
-            await transport.handleRequest(req as any, res as any, undefined);
-          } catch (error) {
-            logger.error('Error handling MCP GET request:', error);
-            if (!res.headersSent) {
-              res.status(500).json({
-                jsonrpc: '2.0',
-                error: {
-                  code: -32603,
-                  message: 'Internal server error',
-                },
-                id: null,
-              });
-            }
           }
         }
-      );
+      };
 
-      app.post(
-        '/mcp',
-        microsoftBearerTokenAuthMiddleware,
-        async (
-          req: Request & { microsoftAuth?: { accessToken: string; refreshToken: string } },
-          res: Response
-        ) => {
-          try {
-            // Set OAuth tokens in the GraphClient if available
-            if (req.microsoftAuth) {
-              this.graphClient.setOAuthTokens(
-                req.microsoftAuth.accessToken,
-                req.microsoftAuth.refreshToken
-              );
-            }
-
-            const transport = new StreamableHTTPServerTransport({
-              sessionIdGenerator: undefined, // Stateless mode
-            });
+    // Microsoft Graph MCP endpoints with bearer token auth
+    // GET and POST as required by the MCP Streamable HTTP specification, DELETE ends a session
+    app.get('/mcp', microsoftBearerTokenAuthMiddleware, handleMcp('GET'));
+    app.post('/mcp', microsoftBearerTokenAuthMiddleware, handleMcp('POST'));
+    app.delete('/mcp', microsoftBearerTokenAuthMiddleware, handleMcp('DELETE'));
 
-            res.on('close', () => {
-              transport.close();
-            });
+    // Health check endpoint
+    app.get('/', (req, res) => {
+      res.send('Microsoft 365 MCP Server is running');
+    });
 
-            await this.server!.connect(transport);
-            await transport.handleRequest(req as any, res as any, req.body);
-          } catch (error) {
-            logger.error('Error handling MCP POST request:', error);
-            if (!res.headersSent) {
-              res.status(500).json({
-                jsonrpc: '2.0',
-                error: {
-                  code: -32603,
-                  message: 'Internal server error',
-                },
-                id: null,
-              });
-            }
-          }
-        }
-      );
+    return app;
+  }
 
-      // Health check endpoint
-      app.get('/', (req, res) => {
-        res.send('Microsoft 365 MCP Server is running');
-      });
+  async start(): Promise<void> {
+    if (this.options.v) {
+      enableConsoleLogging();
+    }
+
+    logger.info('Microsoft 365 MCP Server starting...');
+
+    // Debug: Check if environment variables are loaded
+    logger.info('Environment Variables Check:', {
+      CLIENT_ID: process.env.MS365_MCP_CLIENT_ID
+        ? `${process.env.MS365_MCP_CLIENT_ID.substring(0, 8)}...`
+        : 'NOT SET',
+      CLIENT_SECRET: process.env.MS365_MCP_CLIENT_SECRET ? 'SET' : 'NOT SET',
+      TENANT_ID: process.env.MS365_MCP_TENANT_ID || 'NOT SET',
+      NODE_ENV: process.env.NODE_ENV || 'NOT SET',
+    });
+
+    if (this.options.readOnly) {
+      logger.info('Server running in READ-ONLY mode. Write operations are disabled.');
+    }
+
+    if (this.options.http) {
+      const port = typeof this.options.http === 'string' ? parseInt(this.options.http) : 3000;
+
+      const app = this.createHttpApp(port);
 
       app.listen(port, () => {
         logger.info(`Server listening on HTTP port ${port}`);
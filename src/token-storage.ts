@@ -0,0 +1,323 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+export type TokenStorageKind = 'keytar' | 'encrypted-file' | 'file';
+
+export const TOKEN_STORAGE_KINDS: TokenStorageKind[] = ['keytar', 'encrypted-file', 'file'];
+
+export type StorageKey = 'token-cache' | 'selected-account';
+
+const SERVICE_NAME = 'ms-365-mcp-server';
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+// Names kept from the releases that only knew keytar and plaintext files
+const KEYTAR_ACCOUNTS: Record<StorageKey, string> = {
+  'token-cache': 'msal-token-cache',
+  'selected-account': 'selected-account',
+};
+const FILE_NAMES: Record<StorageKey, string> = {
+  'token-cache': '.token-cache',
+  'selected-account': '.selected-account',
+};
+
+// Older releases wrote their plaintext files next to the installed package
+const LEGACY_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Where the token cache and the secrets of an account are persisted.
+ */
+export interface TokenStorage {
+  readonly description: string;
+  load(key: StorageKey): Promise<string | null>;
+  save(key: StorageKey, data: string): Promise<void>;
+  remove(key: StorageKey): Promise<void>;
+}
+
+export interface TokenStorageOptions {
+  kind?: TokenStorageKind;
+  dir: string;
+  profile?: string;
+  passphrase?: string;
+  keyFile?: string;
+}
+
+export function validateProfileName(profile: string): void {
+  if (!PROFILE_NAME_PATTERN.test(profile)) {
+    throw new Error(
+      `Invalid profile name: ${profile} (use letters, digits, dots, dashes and underscores)`
+    );
+  }
+}
+
+/**
+ * Directory holding the token cache files and other persisted state. Defaults to
+ * `$XDG_DATA_HOME/ms-365-mcp-server`, and every profile other than the default one gets its own
+ * subdirectory.
+ */
+export function resolveStorageDir(
+  options: { storageDir?: string; profile?: string } = {},
+  env: Record<string, string | undefined> = process.env
+): string {
+  const dataHome = env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  const baseDir = options.storageDir
+    ? path.resolve(options.storageDir)
+    : path.join(dataHome, 'ms-365-mcp-server');
+  return options.profile ? path.join(baseDir, 'profiles', options.profile) : baseDir;
+}
+
+function writePrivateFile(filePath: string, data: string): void {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(filePath, data, { mode: 0o600 });
+}
+
+export class KeytarTokenStorage implements TokenStorage {
+  readonly description = 'OS credential store';
+  private service: string;
+
+  constructor(profile?: string) {
+    this.service = profile ? `${SERVICE_NAME}:${profile}` : SERVICE_NAME;
+  }
+
+  async load(key: StorageKey): Promise<string | null> {
+    return (await this.keytar()).getPassword(this.service, KEYTAR_ACCOUNTS[key]);
+  }
+
+  async save(key: StorageKey, data: string): Promise<void> {
+    await (await this.keytar()).setPassword(this.service, KEYTAR_ACCOUNTS[key], data);
+  }
+
+  async remove(key: StorageKey): Promise<void> {
+    await (await this.keytar()).deletePassword(this.service, KEYTAR_ACCOUNTS[key]);
+  }
+
+  // Loaded lazily, as the native module cannot be loaded on machines without a keyring
+  private async keytar() {
+    return (await import('keytar')).default;
+  }
+}
+
+export class FileTokenStorage implements TokenStorage {
+  protected dir: string;
+
+  constructor(dir: string) {
+    this.dir = dir;
+  }
+
+  get description(): string {
+    return `plaintext files in ${this.dir}`;
+  }
+
+  async load(key: StorageKey): Promise<string | null> {
+    const filePath = this.filePath(key);
+    return fs.existsSync(filePath) ? this.decode(fs.readFileSync(filePath, 'utf8')) : null;
+  }
+
+  async save(key: StorageKey, data: string): Promise<void> {
+    writePrivateFile(this.filePath(key), this.encode(data));
+  }
+
+  async remove(key: StorageKey): Promise<void> {
+    fs.rmSync(this.filePath(key), { force: true });
+  }
+
+  protected filePath(key: StorageKey): string {
+    return path.join(this.dir, `${FILE_NAMES[key]}.json`);
+  }
+
+  protected encode(data: string): string {
+    return data;
+  }
+
+  protected decode(contents: string): string {
+    return contents;
+  }
+}
+
+/**
+ * Files encrypted with AES-256-GCM, using a key derived with scrypt from a passphrase or from the
+ * contents of a key file. Every write uses a fresh salt and IV.
+ */
+export class EncryptedFileTokenStorage extends FileTokenStorage {
+  private secret: string;
+
+  constructor(dir: string, secret: string) {
+    super(dir);
+    this.secret = secret;
+  }
+
+  get description(): string {
+    return `encrypted files in ${this.dir}`;
+  }
+
+  protected filePath(key: StorageKey): string {
+    return path.join(this.dir, `${FILE_NAMES[key]}.enc`);
+  }
+
+  protected encode(data: string): string {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+    const encrypted = Buffer.concat([cipher.update(data, 'utf8'), cipher.final()]);
+
+    return JSON.stringify({
+      version: 1,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: encrypted.toString('base64'),
+    });
+  }
+
+  protected decode(contents: string): string {
+    const { salt, iv, tag, data } = JSON.parse(contents);
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      this.deriveKey(Buffer.from(salt, 'base64')),
+      Buffer.from(iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    try {
+      return Buffer.concat([
+        decipher.update(Buffer.from(data, 'base64')),
+        decipher.final(),
+      ]).toString('utf8');
+    } catch {
+      throw new Error('Unable to decrypt the token cache, check the passphrase or key file');
+    }
+  }
+
+  private deriveKey(salt: Buffer): Buffer {
+    return crypto.scryptSync(this.secret, salt, 32);
+  }
+}
+
+/**
+ * Prefers the OS credential store and falls back to files when it is unavailable, which is the
+ * default on machines without a keyring.
+ */
+export class FallbackTokenStorage implements TokenStorage {
+  readonly description: string;
+  private primary: TokenStorage;
+  private fallback: TokenStorage;
+
+  constructor(primary: TokenStorage, fallback: TokenStorage) {
+    this.primary = primary;
+    this.fallback = fallback;
+    this.description = `${primary.description}, falling back to ${fallback.description}`;
+  }
+
+  async load(key: StorageKey): Promise<string | null> {
+    try {
+      const data = await this.primary.load(key);
+      if (data) {
+        return data;
+      }
+    } catch (error) {
+      logger.warn(
+        `Loading ${key} from the ${this.primary.description} failed, falling back to ${this.fallback.description}: ${(error as Error).message}`
+      );
+    }
+    return this.fallback.load(key);
+  }
+
+  async save(key: StorageKey, data: string): Promise<void> {
+    try {
+      await this.primary.save(key, data);
+    } catch (error) {
+      logger.warn(
+        `Saving ${key} to the ${this.primary.description} failed, falling back to ${this.fallback.description}: ${(error as Error).message}`
+      );
+      await this.fallback.save(key, data);
+    }
+  }
+
+  async remove(key: StorageKey): Promise<void> {
+    for (const storage of [this.primary, this.fallback]) {
+      try {
+        await storage.remove(key);
+      } catch (error) {
+        logger.warn(
+          `Removing ${key} from the ${storage.description} failed: ${(error as Error).message}`
+        );
+      }
+    }
+  }
+}
+
+function readSecret(options: TokenStorageOptions): string | undefined {
+  if (options.passphrase) {
+    return options.passphrase;
+  }
+  if (options.keyFile) {
+    const secret = fs.readFileSync(options.keyFile, 'utf8').trim();
+    if (!secret) {
+      throw new Error(`Token key file is empty: ${options.keyFile}`);
+    }
+    return secret;
+  }
+  return undefined;
+}
+
+/**
+ * Creates the storage for the given kind. Without a kind the OS credential store is used with a
+ * file fallback, which is encrypted whenever a passphrase or key file is configured.
+ */
+export function createTokenStorage(options: TokenStorageOptions): TokenStorage {
+  const secret = readSecret(options);
+
+  switch (options.kind) {
+    case 'keytar':
+      return new KeytarTokenStorage(options.profile);
+    case 'file':
+      return new FileTokenStorage(options.dir);
+    case 'encrypted-file':
+      if (!secret) {
+        throw new Error(
+          'Encrypted token storage requires MS365_MCP_TOKEN_PASSPHRASE or MS365_MCP_TOKEN_KEY_FILE'
+        );
+      }
+      return new EncryptedFileTokenStorage(options.dir, secret);
+    default:
+      return new FallbackTokenStorage(
+        new KeytarTokenStorage(options.profile),
+        secret
+          ? new EncryptedFileTokenStorage(options.dir, secret)
+          : new FileTokenStorage(options.dir)
+      );
+  }
+}
+
+/**
+ * Moves the plaintext files that older releases kept next to the installed package into the
+ * storage, so they are neither left unencrypted nor lost on the next upgrade.
+ */
+export async function migrateLegacyTokenFiles(
+  storage: TokenStorage,
+  storageDir: string
+): Promise<void> {
+  if (path.resolve(storageDir) === path.resolve(LEGACY_DIR)) {
+    return;
+  }
+
+  for (const key of Object.keys(FILE_NAMES) as StorageKey[]) {
+    const legacyPath = path.join(LEGACY_DIR, `${FILE_NAMES[key]}.json`);
+    if (!fs.existsSync(legacyPath)) {
+      continue;
+    }
+
+    try {
+      if (!(await storage.load(key))) {
+        await storage.save(key, fs.readFileSync(legacyPath, 'utf8'));
+      }
+      fs.rmSync(legacyPath);
+      logger.info(`Moved ${legacyPath} to the ${storage.description}`);
+    } catch (error) {
+      logger.error(`Error migrating ${legacyPath}: ${(error as Error).message}`);
+    }
+  }
+}
@@ -0,0 +1,51 @@
+export type ToolCategory = 'read' | 'write' | 'delete' | 'send';
+
+export const TOOL_CATEGORIES: ToolCategory[] = ['read', 'write', 'delete', 'send'];
+
+// Categories of tools that change data or reach other people
+export const WRITE_CATEGORIES: ToolCategory[] = ['write', 'delete', 'send'];
+
+// POST endpoints that only query data
+const READ_ONLY_POST_TOOLS = ['search-query'];
+
+/**
+ * Groups tools by their effect, so that safety settings can be applied to all tools of a kind:
+ * `send` for tools that deliver messages to other people, `delete` for removals, `write` for any
+ * other change and `read` for everything else.
+ */
+export function categorizeTool(toolName: string, method: string): ToolCategory {
+  const upperMethod = method.toUpperCase();
+  if (upperMethod === 'GET' || READ_ONLY_POST_TOOLS.includes(toolName)) {
+    return 'read';
+  }
+  if (/^(send|reply|forward)-/.test(toolName)) {
+    return 'send';
+  }
+  if (upperMethod === 'DELETE' || toolName.startsWith('delete-')) {
+    return 'delete';
+  }
+  return 'write';
+}
+
+/**
+ * Parses a comma-separated list of categories. `true`, `all` or an empty value select every
+ * write category.
+ */
+export function parseToolCategories(value: string | boolean, optionName: string): ToolCategory[] {
+  if (value === true || value === '' || value === 'all' || value === 'true' || value === '1') {
+    return [...WRITE_CATEGORIES];
+  }
+
+  const categories = String(value)
+    .split(',')
+    .map((category) => category.trim())
+    .filter(Boolean);
+  for (const category of categories) {
+    if (!WRITE_CATEGORIES.includes(category as ToolCategory)) {
+      throw new Error(
+        `Invalid value for ${optionName}: ${category} (expected all or ${WRITE_CATEGORIES.join(', ')})`
+      );
+    }
+  }
+  return categories as ToolCategory[];
+}
@@ -0,0 +1,233 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import type { RequestHandlerExtra } from '@modelcontextprotocol/sdk/shared/protocol.js';
+import type {
+  CallToolResult,
+  ServerNotification,
+  ServerRequest,
+  ToolAnnotations,
+} from '@modelcontextprotocol/sdk/types.js';
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import logger from './logger.js';
+import { categorizeTool, type ToolCategory } from './tool-categories.js';
+
+// Tools returned by a search when the client does not ask for a limit
+const DEFAULT_SEARCH_LIMIT = 20;
+
+type ToolCallExtra = RequestHandlerExtra<ServerRequest, ServerNotification>;
+
+type ToolHandler = (
+  params: Record<string, unknown>,
+  extra: ToolCallExtra
+) => CallToolResult | Promise<CallToolResult>;
+
+export interface CatalogTool {
+  name: string;
+  description: string;
+  paramSchema: z.ZodRawShape;
+  annotations: ToolAnnotations;
+  category: ToolCategory;
+  handler: ToolHandler;
+  // Switched by the tool set, like the handle of a tool registered on the server
+  enabled: boolean;
+}
+
+function errorResult(error: string, details: Record<string, unknown> = {}): CallToolResult {
+  return {
+    content: [{ type: 'text', text: JSON.stringify({ error, ...details }) }],
+    isError: true,
+  };
+}
+
+/**
+ * Holds tools that are registered but not offered to the client directly. They are found with
+ * search-tools and run through invoke-tool, with the parameter validation and handler they would
+ * have had as tools of their own.
+ */
+class ToolCatalog {
+  private tools = new Map<string, CatalogTool>();
+
+  /**
+   * A view of the server whose tool() adds to the catalog. Everything else, like elicitation for
+   * confirmations, still goes through the server.
+   */
+  collect(server: McpServer): McpServer {
+    const view = Object.create(server) as McpServer;
+    const tool = (
+      name: string,
+      description: string,
+      paramSchema: z.ZodRawShape,
+      annotations: ToolAnnotations,
+      handler: ToolHandler
+    ): CatalogTool => {
+      const entry = {
+        name,
+        description,
+        paramSchema,
+        annotations,
+        // Only reads are marked as such, so any other tool is sorted by its name like a POST
+        category: categorizeTool(name, annotations.readOnlyHint ? 'GET' : 'POST'),
+        handler,
+        enabled: true,
+      };
+      this.tools.set(name, entry);
+      return entry;
+    };
+    view.tool = tool as unknown as McpServer['tool'];
+    return view;
+  }
+
+  get size(): number {
+    return this.enabledTools().length;
+  }
+
+  get(name: string): CatalogTool | undefined {
+    const tool = this.tools.get(name);
+    return tool?.enabled ? tool : undefined;
+  }
+
+  /**
+   * Tools whose name or description contains every word of the query.
+   */
+  search(query?: string, category?: ToolCategory): CatalogTool[] {
+    const words = (query ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+    return this.enabledTools().filter((tool) => {
+      if (category && tool.category !== category) {
+        return false;
+      }
+      const text = `${tool.name} ${tool.name.replace(/-/g, ' ')} ${tool.description}`.toLowerCase();
+      return words.every((word) => text.includes(word));
+    });
+  }
+
+  private enabledTools(): CatalogTool[] {
+    return [...this.tools.values()].filter((tool) => tool.enabled);
+  }
+}
+
+/**
+ * Registers search-tools, describe-tool and invoke-tool, which give access to the tools of the
+ * catalog without loading all their schemas up front.
+ */
+export function registerDiscoveryTools(server: McpServer, catalog: ToolCatalog): void {
+  server.tool(
+    'search-tools',
+    'Find Microsoft 365 tools by keyword or category. Returns their names and descriptions; use describe-tool for the parameters and invoke-tool to run one.',
+    {
+      query: z
+        .string()
+        .optional()
+        .describe(
+          'Words that must all appear in the tool name or description, e.g. "calendar event"'
+        ),
+      category: z
+        .enum(['read', 'write', 'delete', 'send'])
+        .optional()
+        .describe('Only tools that read, write, delete or send'),
+      limit: z
+        .number()
+        .int()
+        .positive()
+        .default(DEFAULT_SEARCH_LIMIT)
+        .describe('Maximum number of tools to return'),
+    },
+    {
+      title: 'search-tools',
+      readOnlyHint: true,
+    },
+    async ({ query, category, limit }) => {
+      const matches = catalog.search(query, category);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(
+              {
+                tools: matches.slice(0, limit).map((tool) => ({
+                  name: tool.name,
+                  description: tool.description,
+                  category: tool.category,
+                })),
+                total: matches.length,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+  );
+
+  server.tool(
+    'describe-tool',
+    'Get the description and the JSON schema of the parameters of a tool found with search-tools.',
+    {
+      name: z.string().describe('Name of the tool'),
+    },
+    {
+      title: 'describe-tool',
+      readOnlyHint: true,
+    },
+    async ({ name }) => {
+      const tool = catalog.get(name);
+      if (!tool) {
+        return errorResult(`Unknown tool ${name}. Use search-tools to find the available tools.`);
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(
+              {
+                name: tool.name,
+                description: tool.description,
+                category: tool.category,
+                annotations: tool.annotations,
+                inputSchema: zodToJsonSchema(z.object(tool.paramSchema), { strictUnions: true }),
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+  );
+
+  server.tool(
+    'invoke-tool',
+    'Run a tool found with search-tools. The parameters must match the schema returned by describe-tool.',
+    {
+      name: z.string().describe('Name of the tool'),
+      params: z
+        .record(z.any())
+        .default({})
+        .describe('Parameters of the tool, as described by describe-tool'),
+    },
+    {
+      title: 'invoke-tool',
+      readOnlyHint: false,
+    },
+    async ({ name, params }, extra) => {
+      const tool = catalog.get(name);
+      if (!tool) {
+        return errorResult(`Unknown tool ${name}. Use search-tools to find the available tools.`);
+      }
+
+      const parsed = z.object(tool.paramSchema).safeParse(params);
+      if (!parsed.success) {
+        return errorResult(`Invalid parameters for ${name}`, {
+          issues: parsed.error.issues.map(
+            (issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`
+          ),
+        });
+      }
+
+      logger.info(`Invoking tool ${name}`);
+      return tool.handler(parsed.data, extra);
+    }
+  );
+}
+
+export default ToolCatalog;
@@ -0,0 +1,178 @@
+import logger from './logger.js';
+import { isPayloadLoggingEnabled } from './log-redaction.js';
+import type { Endpoint } from './generated/endpoint-types.js';
+import type { GraphApiVersion } from './graph-client.js';
+import type { GraphErrorContext } from './graph-error.js';
+import { getPolicy } from './policy.js';
+
+export interface ToolRequestOptions {
+  method: string;
+  headers: Record<string, string>;
+  body?: string;
+  rawResponse?: boolean;
+  includeHeaders?: boolean;
+  account?: string;
+  apiVersion?: GraphApiVersion;
+  errorContext?: GraphErrorContext;
+
+  [key: string]: unknown;
+}
+
+export interface ToolRequest {
+  path: string;
+  options: ToolRequestOptions;
+  body: unknown;
+}
+
+// Parameters that control how the server handles a call and are never sent to Graph
+const CONTROL_PARAMS = [
+  'fetchAllPages',
+  'maxItems',
+  'cursor',
+  'includeHeaders',
+  'account',
+  'confirmationToken',
+];
+
+// Ok, so, MCP clients (such as claude code) doesn't support $ in parameter names,
+// and others might not support __, so we strip them in hack.ts and restore them here
+const ODATA_PARAMS = [
+  'filter',
+  'select',
+  'expand',
+  'orderby',
+  'skip',
+  'top',
+  'count',
+  'search',
+  'format',
+];
+
+/**
+ * Turns the parameters of a tool call into the Graph path and request options, substituting path
+ * parameters, appending query parameters and serializing the body.
+ */
+export function buildToolRequest(tool: Endpoint, params: Record<string, unknown>): ToolRequest {
+  const parameterDefinitions = tool.parameters || [];
+
+  let path = tool.path;
+  const queryParams: Record<string, string> = {};
+  const headers: Record<string, string> = {};
+  let body: unknown = null;
+
+  for (const [paramName, paramValue] of Object.entries(params)) {
+    if (CONTROL_PARAMS.includes(paramName)) {
+      continue;
+    }
+
+    const fixedParamName = ODATA_PARAMS.includes(paramName.toLowerCase())
+      ? `$${paramName.toLowerCase()}`
+      : paramName;
+    const paramDef = parameterDefinitions.find((p) => p.name === paramName);
+
+    if (paramDef) {
+      switch (paramDef.type) {
+        case 'Path':
+          path = path
+            .replace(`{${paramName}}`, encodeURIComponent(paramValue as string))
+            .replace(`:${paramName}`, encodeURIComponent(paramValue as string));
+          break;
+
+        case 'Query':
+          queryParams[fixedParamName] = `${paramValue}`;
+          break;
+
+        case 'Body':
+          body = paramValue;
+          break;
+
+        case 'Header':
+          headers[fixedParamName] = `${paramValue}`;
+          break;
+      }
+    } else if (paramName === 'body') {
+      body = paramValue;
+      if (isPayloadLoggingEnabled()) {
+        logger.info(`Set body param: ${JSON.stringify(body)}`);
+      }
+    }
+  }
+
+  if (Object.keys(queryParams).length > 0) {
+    const queryString = Object.entries(queryParams)
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+      .join('&');
+    path = `${path}${path.includes('?') ? '&' : '?'}${queryString}`;
+  }
+
+  const options: ToolRequestOptions = {
+    method: tool.method.toUpperCase(),
+    headers,
+  };
+
+  if (options.method !== 'GET' && body) {
+    options.body = typeof body === 'string' ? body : JSON.stringify(body);
+  }
+
+  const isProbablyMediaContent =
+    tool.errors?.some((error) => error.description === 'Retrieved media content') ||
+    path.endsWith('/content');
+
+  if (isProbablyMediaContent) {
+    options.rawResponse = true;
+  }
+
+  if (params.includeHeaders === true) {
+    options.includeHeaders = true;
+  }
+
+  if (typeof params.account === 'string' && params.account) {
+    options.account = params.account;
+  }
+
+  return { path, options, body };
+}
+
+/**
+ * Applies the --enabled-tools pattern, which unlike the other rules cannot change at runtime.
+ */
+export function matchesToolFilter(toolName: string, enabledToolsPattern?: string): boolean {
+  if (enabledToolsPattern) {
+    try {
+      if (!new RegExp(enabledToolsPattern, 'i').test(toolName)) {
+        logger.info(`Skipping tool ${toolName} - doesn't match filter pattern`);
+        return false;
+      }
+    } catch {
+      // Invalid patterns are reported and ignored by registerGraphTools
+    }
+  }
+  return true;
+}
+
+/**
+ * Applies the read-only, --enabled-tools and policy rules to tools that are not generated from
+ * endpoints.json, so hand-written tools are filtered the same way as the Graph tools.
+ */
+export function isToolEnabled(
+  toolName: string,
+  method: string,
+  readOnly: boolean = false,
+  enabledToolsPattern?: string
+): boolean {
+  if (readOnly && method.toUpperCase() !== 'GET') {
+    logger.info(`Skipping write operation ${toolName} in read-only mode`);
+    return false;
+  }
+
+  if (!matchesToolFilter(toolName, enabledToolsPattern)) {
+    return false;
+  }
+
+  if (getPolicy()?.isToolAllowed(toolName, method) === false) {
+    logger.info(`Skipping tool ${toolName} - not allowed by the policy`);
+    return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,151 @@
+import type { McpServer, RegisteredTool } from '@modelcontextprotocol/sdk/server/mcp.js';
+import logger from './logger.js';
+import { getPolicy, onPolicyChange } from './policy.js';
+import AuthManager, { isPersonalAccount } from './auth.js';
+
+export interface ToolSetState {
+  orgMode: boolean;
+  readOnly: boolean;
+  // Personal Microsoft accounts cannot use the work account tools, whatever the mode
+  personalAccount: boolean;
+}
+
+export interface ToolSetOptions {
+  // Read-only mode set by the operator (--read-only), which cannot be switched off at runtime
+  readOnlyLocked?: boolean;
+}
+
+export interface ToolSetChanges {
+  enabled: string[];
+  disabled: string[];
+}
+
+interface ManagedTool {
+  name: string;
+  method: string;
+  // Tools that only have workScopes in endpoints.json
+  workOnly: boolean;
+  handle: Pick<RegisteredTool, 'enabled'>;
+}
+
+/**
+ * Decides which of the registered tools are offered, from the settings that can change while the
+ * server runs: org mode, read-only mode, the selected account and the policy. The static
+ * filters (--enabled-tools, --exclude-beta, app-only) still decide what is registered at all.
+ */
+class ToolSet {
+  private server: McpServer;
+  private state: ToolSetState;
+  private tools = new Map<string, ManagedTool>();
+  private readOnlyLocked: boolean;
+  private changeListeners = new Set<(changes: ToolSetChanges) => void>();
+  private removePolicyListener: () => void;
+
+  constructor(server: McpServer, state: ToolSetState, options: ToolSetOptions = {}) {
+    this.server = server;
+    this.readOnlyLocked = options.readOnlyLocked ?? false;
+    this.state = { ...state, readOnly: state.readOnly || this.readOnlyLocked };
+    this.removePolicyListener = onPolicyChange(() => this.refresh());
+
+    const onclose = server.server.onclose;
+    server.server.onclose = () => {
+      this.removePolicyListener();
+      onclose?.();
+    };
+  }
+
+  add(
+    name: string,
+    method: string,
+    workOnly: boolean,
+    handle: Pick<RegisteredTool, 'enabled'>
+  ): void {
+    const tool = { name, method: method.toUpperCase(), workOnly, handle };
+    this.tools.set(name, tool);
+    handle.enabled = this.isAllowed(tool);
+  }
+
+  getState(): ToolSetState {
+    return { ...this.state };
+  }
+
+  isReadOnlyLocked(): boolean {
+    return this.readOnlyLocked;
+  }
+
+  isEnabled(name: string): boolean {
+    return this.tools.get(name)?.handle.enabled ?? false;
+  }
+
+  enabledNames(): string[] {
+    return [...this.tools.values()].filter((tool) => tool.handle.enabled).map((tool) => tool.name);
+  }
+
+  /**
+   * Calls `listener` after every refresh that enabled or disabled a tool. Returns a function that
+   * removes the listener.
+   */
+  onChange(listener: (changes: ToolSetChanges) => void): () => void {
+    this.changeListeners.add(listener);
+    return () => {
+      this.changeListeners.delete(listener);
+    };
+  }
+
+  update(changes: Partial<ToolSetState>): ToolSetChanges {
+    this.state = { ...this.state, ...changes };
+    this.state.readOnly ||= this.readOnlyLocked;
+    return this.refresh();
+  }
+
+  /**
+   * Follows the account selected for local sign-in: work account tools are hidden while a
+   * personal account is selected.
+   */
+  async syncAccount(authManager: AuthManager): Promise<void> {
+    try {
+      const account = await authManager.getCurrentAccount();
+      this.update({ personalAccount: account ? isPersonalAccount(account) : false });
+    } catch (error) {
+      logger.warn(`Could not check the selected account: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Re-evaluates every tool and sends a single tools/list_changed when any of them changed.
+   */
+  refresh(): ToolSetChanges {
+    const changes: ToolSetChanges = { enabled: [], disabled: [] };
+    for (const tool of this.tools.values()) {
+      const allowed = this.isAllowed(tool);
+      if (allowed !== tool.handle.enabled) {
+        // Set directly, as enable() and disable() would each notify the client
+        tool.handle.enabled = allowed;
+        (allowed ? changes.enabled : changes.disabled).push(tool.name);
+      }
+    }
+
+    if (changes.enabled.length > 0 || changes.disabled.length > 0) {
+      logger.info(
+        `Tool set changed: ${changes.enabled.length} enabled, ${changes.disabled.length} disabled`
+      );
+      this.server.sendToolListChanged();
+      for (const listener of this.changeListeners) {
+        listener(changes);
+      }
+    }
+    return changes;
+  }
+
+  private isAllowed(tool: ManagedTool): boolean {
+    if (this.state.readOnly && tool.method !== 'GET') {
+      return false;
+    }
+    if (tool.workOnly && (!this.state.orgMode || this.state.personalAccount)) {
+      return false;
+    }
+    return getPolicy()?.isToolAllowed(tool.name, tool.method) !== false;
+  }
+}
+
+export default ToolSet;
@@ -0,0 +1,305 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { z } from 'zod';
+import { readFile } from 'fs/promises';
+import logger from './logger.js';
+import GraphClient, { resolveGraphUrl, type GraphRequestOptions } from './graph-client.js';
+import { isToolEnabled, matchesToolFilter } from './tool-request.js';
+import type ToolSet from './tool-set.js';
+import ConfirmationGate, { buildWritePreview } from './confirmation.js';
+import { getPolicy } from './policy.js';
+import { beginAudit, type AuditCall } from './audit-log.js';
+
+// Upload session chunks must be a multiple of 320 KiB; Graph recommends 5-10 MiB per request
+export const UPLOAD_CHUNK_SIZE = 320 * 1024 * 10;
+const MAX_CHUNK_ATTEMPTS = 5;
+
+export type ConflictBehavior = 'rename' | 'replace' | 'fail';
+
+export interface LargeFileUpload {
+  driveId: string;
+  parentItemId: string;
+  fileName: string;
+  content: Buffer;
+  conflictBehavior: ConflictBehavior;
+  chunkSize?: number;
+  retryDelayMs?: number;
+  // Called with the response that created the upload session
+  onResponse?: GraphRequestOptions['onResponse'];
+}
+
+interface UploadSession {
+  uploadUrl: string;
+  nextExpectedRanges?: string[];
+}
+
+function nextOffset(ranges: string[] | undefined, fallback: number): number {
+  if (!ranges || ranges.length === 0) {
+    return fallback;
+  }
+  // Ranges look like "26-" or "0-1023"; the start of the first range is where to continue
+  const start = parseInt(ranges[0].split('-')[0], 10);
+  return Number.isNaN(start) ? fallback : start;
+}
+
+async function putChunk(
+  uploadUrl: string,
+  content: Buffer,
+  start: number,
+  end: number
+): Promise<Response> {
+  // The upload URL is pre-authenticated, sending the Graph bearer token to it is rejected
+  return fetch(uploadUrl, {
+    method: 'PUT',
+    headers: {
+      'Content-Length': `${end - start}`,
+      'Content-Range': `bytes ${start}-${end - 1}/${content.length}`,
+    },
+    body: content.subarray(start, end),
+  });
+}
+
+async function getSessionStatus(uploadUrl: string): Promise<UploadSession> {
+  const response = await fetch(uploadUrl);
+  if (!response.ok) {
+    throw new Error(
+      `Upload session is no longer available: ${response.status} ${response.statusText}`
+    );
+  }
+  return (await response.json()) as UploadSession;
+}
+
+/**
+ * Uploads a file through a Graph upload session in ranged chunks. When a chunk fails, the
+ * session is queried for the ranges it still expects and the upload resumes from there.
+ */
+export async function uploadLargeFile(
+  graphClient: GraphClient,
+  upload: LargeFileUpload
+): Promise<unknown> {
+  const { content } = upload;
+  const chunkSize = upload.chunkSize ?? UPLOAD_CHUNK_SIZE;
+  const retryDelayMs = upload.retryDelayMs ?? 1000;
+
+  if (content.length === 0) {
+    throw new Error('Upload sessions cannot create empty files, use upload-new-file instead');
+  }
+
+  const sessionPath =
+    `/drives/${encodeURIComponent(upload.driveId)}` +
+    `/items/${encodeURIComponent(upload.parentItemId)}` +
+    `:/${encodeURIComponent(upload.fileName)}:/createUploadSession`;
+
+  const session = (await graphClient.makeRequest(sessionPath, {
+    method: 'POST',
+    body: JSON.stringify({
+      item: {
+        '@microsoft.graph.conflictBehavior': upload.conflictBehavior,
+        name: upload.fileName,
+      },
+    }),
+    onResponse: upload.onResponse,
+  })) as UploadSession;
+
+  if (!session?.uploadUrl) {
+    throw new Error('Graph did not return an upload URL');
+  }
+
+  logger.info(`Uploading ${content.length} bytes for ${upload.fileName} in upload session`);
+
+  let offset = nextOffset(session.nextExpectedRanges, 0);
+  let failedAttempts = 0;
+
+  while (offset < content.length) {
+    const end = Math.min(offset + chunkSize, content.length);
+    let failure: string;
+
+    try {
+      const response = await putChunk(session.uploadUrl, content, offset, end);
+
+      if (response.status === 200 || response.status === 201) {
+        logger.info(`Upload of ${upload.fileName} complete`);
+        return await response.json();
+      }
+
+      if (response.status === 202) {
+        const status = (await response.json()) as UploadSession;
+        offset = nextOffset(status.nextExpectedRanges, end);
+        failedAttempts = 0;
+        continue;
+      }
+
+      const errorText = await response.text();
+      if (response.status === 409) {
+        throw new Error(
+          `Upload of ${upload.fileName} conflicts with an existing item (conflict behavior: ${upload.conflictBehavior}): ${errorText}`
+        );
+      }
+      if (response.status === 404) {
+        throw new Error(`Upload session expired or was cancelled: ${errorText}`);
+      }
+      failure = `${response.status} ${response.statusText} - ${errorText}`;
+    } catch (error) {
+      if (!(error instanceof TypeError)) {
+        throw error;
+      }
+      // fetch only throws TypeError for network failures
+      failure = error.message;
+    }
+
+    failedAttempts++;
+    if (failedAttempts >= MAX_CHUNK_ATTEMPTS) {
+      throw new Error(
+        `Upload of ${upload.fileName} failed at byte ${offset} after ${failedAttempts} attempts: ${failure}`
+      );
+    }
+
+    logger.warn(
+      `Chunk ${offset}-${end - 1} of ${upload.fileName} failed (${failure}), resuming upload`
+    );
+    await new Promise((resolve) => setTimeout(resolve, retryDelayMs * failedAttempts));
+
+    const status = await getSessionStatus(session.uploadUrl);
+    offset = nextOffset(status.nextExpectedRanges, offset);
+  }
+
+  throw new Error(`Upload session for ${upload.fileName} did not return the uploaded item`);
+}
+
+export function registerUploadTools(
+  server: McpServer,
+  graphClient: GraphClient,
+  readOnly: boolean = false,
+  enabledToolsPattern?: string,
+  allowLocalFiles: boolean = false,
+  confirmation?: ConfirmationGate,
+  toolSet?: ToolSet
+): void {
+  const enabled = toolSet
+    ? matchesToolFilter('upload-large-file', enabledToolsPattern)
+    : isToolEnabled('upload-large-file', 'PUT', readOnly, enabledToolsPattern);
+  if (!enabled) {
+    return;
+  }
+
+  const needsConfirmation = confirmation?.requiresConfirmation('upload-large-file', 'PUT') === true;
+
+  const paramSchema = {
+    driveId: z.string().describe('ID of the drive to upload to'),
+    parentItemId: z
+      .string()
+      .default('root')
+      .describe('ID of the folder to upload into, defaults to the drive root'),
+    fileName: z.string().describe('Name of the file to create'),
+    contentBase64: z.string().optional().describe('File content, base64 encoded'),
+    ...(allowLocalFiles
+      ? {
+          filePath: z
+            .string()
+            .optional()
+            .describe('Path of a local file to upload, instead of contentBase64'),
+        }
+      : {}),
+    conflictBehavior: z
+      .enum(['rename', 'replace', 'fail'])
+      .default('rename')
+      .describe('What to do when an item with the same name already exists'),
+    ...(needsConfirmation
+      ? {
+          confirmationToken: z
+            .string()
+            .optional()
+            .describe(
+              'Token from the preview of this upload, to run it after the user approved it. Omit it to get the preview'
+            ),
+        }
+      : {}),
+  };
+
+  const handle = server.tool(
+    'upload-large-file',
+    'Upload a file of any size to OneDrive or SharePoint using a resumable upload session. Use this instead of upload-file-content for files larger than 4 MB. Returns the created driveItem.',
+    paramSchema,
+    {
+      title: 'upload-large-file',
+      readOnlyHint: false,
+    },
+    async (params, extra) => {
+      let audit: AuditCall | undefined;
+      try {
+        const { contentBase64, filePath } = params as {
+          contentBase64?: string;
+          filePath?: string;
+        };
+
+        if (!contentBase64 === !filePath) {
+          throw new Error(
+            allowLocalFiles
+              ? 'Provide exactly one of contentBase64 or filePath'
+              : 'contentBase64 is required'
+          );
+        }
+
+        const content = filePath
+          ? await readFile(filePath)
+          : Buffer.from(contentBase64 as string, 'base64');
+
+        const sessionPath =
+          `/drives/${encodeURIComponent(params.driveId)}` +
+          `/items/${encodeURIComponent(params.parentItemId)}` +
+          `:/${encodeURIComponent(params.fileName)}:/createUploadSession`;
+        audit = beginAudit('upload-large-file', 'POST', resolveGraphUrl(sessionPath), content);
+        getPolicy()?.checkRequest({
+          tool: 'upload-large-file',
+          method: 'POST',
+          path: sessionPath,
+          body: { item: { '@microsoft.graph.conflictBehavior': params.conflictBehavior } },
+          uploadBytes: content.length,
+        });
+
+        if (confirmation && needsConfirmation) {
+          const preview = buildWritePreview(
+            'upload-large-file',
+            'POST',
+            resolveGraphUrl(sessionPath),
+            {
+              fileName: params.fileName,
+              size: content.length,
+              conflictBehavior: params.conflictBehavior,
+            }
+          );
+          const held = await confirmation.confirm(server, extra, preview, params);
+          if (held) {
+            return held;
+          }
+        }
+
+        const driveItem = await uploadLargeFile(graphClient, {
+          driveId: params.driveId,
+          parentItemId: params.parentItemId,
+          fileName: params.fileName,
+          content,
+          conflictBehavior: params.conflictBehavior,
+          onResponse: audit?.onResponse,
+        });
+
+        audit?.finish();
+        return graphClient.formatJsonResponse(driveItem);
+      } catch (error) {
+        logger.error(`Error in tool upload-large-file: ${(error as Error).message}`);
+        audit?.finish({ error: (error as Error).message });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                error: `Error in tool upload-large-file: ${(error as Error).message}`,
+              }),
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+  toolSet?.add('upload-large-file', 'PUT', false, handle);
+}
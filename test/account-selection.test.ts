@@ -0,0 +1,91 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { PublicClientApplication, type AccountInfo, type TokenCache } from '@azure/msal-node';
+import AuthManager from '../src/auth.js';
+import GraphClient from '../src/graph-client.js';
+import { buildToolRequest } from '../src/tool-request.js';
+import type { Endpoint } from '../src/generated/endpoint-types.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+vi.mock('keytar', () => ({
+  default: {
+    getPassword: vi.fn(),
+    setPassword: vi.fn(),
+    deletePassword: vi.fn(),
+  },
+}));
+
+const personal = { homeAccountId: 'personal-id', username: 'me@outlook.com' } as AccountInfo;
+const work = { homeAccountId: 'work-id', username: 'Me@Contoso.com' } as AccountInfo;
+
+describe('per-call account selection', () => {
+  let authManager: AuthManager;
+  let acquireTokenSilent: ReturnType<typeof vi.fn>;
+
+  beforeEach(() => {
+    vi.spyOn(PublicClientApplication.prototype, 'getTokenCache').mockReturnValue({
+      getAllAccounts: async () => [personal, work],
+    } as unknown as TokenCache);
+    acquireTokenSilent = vi.fn(async ({ account }: { account: AccountInfo }) => ({
+      accessToken: `token-${account.homeAccountId}`,
+      expiresOn: new Date(Date.now() + 3600 * 1000),
+    }));
+    vi.spyOn(PublicClientApplication.prototype, 'acquireTokenSilent').mockImplementation(
+      acquireTokenSilent as unknown as PublicClientApplication['acquireTokenSilent']
+    );
+
+    authManager = new AuthManager(undefined, ['Mail.Read']);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('resolves accounts by homeAccountId or username', async () => {
+    expect(await authManager.resolveAccount('work-id')).toBe(work);
+    expect(await authManager.resolveAccount('me@contoso.com')).toBe(work);
+    expect(await authManager.resolveAccount('someone@else.com')).toBeNull();
+  });
+
+  it('caches tokens per account without changing the selected account', async () => {
+    await authManager.selectAccount('personal-id');
+
+    expect(await authManager.getTokenForAccount('me@contoso.com')).toBe('token-work-id');
+    expect(await authManager.getTokenForAccount('work-id')).toBe('token-work-id');
+    expect(await authManager.getTokenForAccount('personal-id')).toBe('token-personal-id');
+
+    expect(acquireTokenSilent).toHaveBeenCalledTimes(2);
+    expect(authManager.getSelectedAccountId()).toBe('personal-id');
+  });
+
+  it('rejects unknown accounts', async () => {
+    await expect(authManager.getTokenForAccount('someone@else.com')).rejects.toThrow(
+      'Account not found: someone@else.com'
+    );
+  });
+
+  it('sends tool calls with an account using that account token', async () => {
+    global.fetch = vi.fn().mockResolvedValue(new Response('{"value":[]}', { status: 200 }));
+    const tool = {
+      method: 'get',
+      path: '/me/messages',
+      alias: 'list-mail-messages',
+      requestFormat: 'json',
+      parameters: [],
+    } as unknown as Endpoint;
+
+    const { path, options } = buildToolRequest(tool, { account: 'me@contoso.com' });
+    expect(path).toBe('/me/messages');
+
+    await new GraphClient(authManager).graphRequest(path, options);
+
+    const [, init] = vi.mocked(global.fetch).mock.calls[0];
+    expect((init?.headers as Record<string, string>).Authorization).toBe('Bearer token-work-id');
+  });
+});
@@ -0,0 +1,220 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import yaml from 'js-yaml';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createAndSaveSimplifiedOpenAPI } from '../bin/modules/simplified-openapi.mjs';
+import GraphClient, { resolveGraphUrl } from '../src/graph-client.js';
+import type AuthManager from '../src/auth.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+function operation(summary: string, schema: string) {
+  return {
+    summary,
+    responses: {
+      '200': {
+        description: 'OK',
+        content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } },
+      },
+    },
+  };
+}
+
+describe('beta endpoints in the generator', () => {
+  let tempDir: string;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-beta-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function generate(endpoints: unknown[], betaFile?: string) {
+    const endpointsFile = path.join(tempDir, 'endpoints.json');
+    const openapiFile = path.join(tempDir, 'openapi.yaml');
+    const trimmedFile = path.join(tempDir, 'openapi-trimmed.yaml');
+
+    fs.writeFileSync(endpointsFile, JSON.stringify(endpoints));
+    fs.writeFileSync(
+      openapiFile,
+      yaml.dump({
+        openapi: '3.0.0',
+        info: { title: 'v1.0', version: '1.0' },
+        paths: { '/me/todo/lists': { get: operation('List lists', 'todoList') } },
+        components: {
+          schemas: { todoList: { type: 'object', properties: { id: { type: 'string' } } } },
+        },
+      })
+    );
+
+    createAndSaveSimplifiedOpenAPI(endpointsFile, openapiFile, trimmedFile, betaFile);
+    return yaml.load(fs.readFileSync(trimmedFile, 'utf8')) as {
+      paths: Record<string, Record<string, { operationId: string }>>;
+      components: { schemas: Record<string, unknown> };
+    };
+  }
+
+  it('merges beta operations and their schemas into the trimmed spec', () => {
+    const betaFile = path.join(tempDir, 'openapi-beta.yaml');
+    fs.writeFileSync(
+      betaFile,
+      yaml.dump({
+        openapi: '3.0.0',
+        info: { title: 'beta', version: 'beta' },
+        paths: {
+          '/me/todo/lists': { get: operation('List lists (beta)', 'todoList') },
+          '/me/employeeExperience/learningCourseActivities': {
+            get: operation('List course activities', 'learningCourseActivity'),
+          },
+          '/me/employeeExperience/learningProviders': {
+            get: operation('List learning providers', 'learningProvider'),
+          },
+        },
+        components: {
+          schemas: {
+            todoList: { type: 'object', properties: { betaOnly: { type: 'string' } } },
+            learningCourseActivity: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                list: { $ref: '#/components/schemas/todoList' },
+              },
+            },
+            learningProvider: { type: 'object', properties: { id: { type: 'string' } } },
+          },
+        },
+      })
+    );
+
+    const trimmed = generate(
+      [
+        { pathPattern: '/me/todo/lists', method: 'get', toolName: 'list-todo-task-lists' },
+        {
+          pathPattern: '/me/employeeExperience/learningCourseActivities',
+          method: 'get',
+          toolName: 'list-learning-course-activities',
+          apiVersion: 'beta',
+        },
+      ],
+      betaFile
+    );
+
+    expect(trimmed.paths['/me/employeeExperience/learningCourseActivities'].get.operationId).toBe(
+      'list-learning-course-activities'
+    );
+    expect(trimmed.paths['/me/todo/lists'].get.operationId).toBe('list-todo-task-lists');
+    expect(trimmed.components.schemas.learningCourseActivity).toBeDefined();
+    // Beta components that no merged operation references are left out
+    expect(trimmed.components.schemas.learningProvider).toBeUndefined();
+    // v1.0 operations keep the v1.0 schema; beta operations get the beta one under its own name
+    expect(JSON.stringify(trimmed.components.schemas.todoList)).not.toContain('betaOnly');
+    expect(JSON.stringify(trimmed.components.schemas['beta.todoList'])).toContain('betaOnly');
+    expect(JSON.stringify(trimmed.components.schemas.learningCourseActivity)).toContain(
+      '#/components/schemas/beta.todoList'
+    );
+  });
+
+  it('refuses a beta endpoint on the operation of a v1.0 endpoint', () => {
+    const betaFile = path.join(tempDir, 'openapi-beta.yaml');
+    fs.writeFileSync(
+      betaFile,
+      yaml.dump({
+        openapi: '3.0.0',
+        info: { title: 'beta', version: 'beta' },
+        paths: { '/me/todo/lists': { get: operation('List lists (beta)', 'todoList') } },
+      })
+    );
+
+    expect(() =>
+      generate(
+        [
+          { pathPattern: '/me/todo/lists', method: 'get', toolName: 'list-todo-task-lists' },
+          {
+            pathPattern: '/me/todo/lists',
+            method: 'get',
+            toolName: 'list-todo-task-lists-beta',
+            apiVersion: 'beta',
+          },
+        ],
+        betaFile
+      )
+    ).toThrow('v1.0 endpoint "list-todo-task-lists" already uses');
+  });
+
+  it('generates the beta endpoints of endpoints.json from the beta spec', () => {
+    const shipped = JSON.parse(
+      fs.readFileSync(path.join(__dirname, '../src/endpoints.json'), 'utf8')
+    ) as Array<{ pathPattern: string; method: string; toolName: string; apiVersion?: string }>;
+    const betaEndpoints = shipped.filter((endpoint) => endpoint.apiVersion === 'beta');
+    expect(betaEndpoints.map((endpoint) => endpoint.toolName)).toContain('get-my-profile');
+
+    const betaFile = path.join(tempDir, 'openapi-beta.yaml');
+    fs.writeFileSync(
+      betaFile,
+      yaml.dump({
+        openapi: '3.0.0',
+        info: { title: 'beta', version: 'beta' },
+        paths: Object.fromEntries(
+          betaEndpoints.map((endpoint) => [
+            endpoint.pathPattern,
+            { [endpoint.method]: operation(endpoint.toolName, 'todoList') },
+          ])
+        ),
+      })
+    );
+
+    const trimmed = generate(betaEndpoints, betaFile);
+    for (const endpoint of betaEndpoints) {
+      expect(trimmed.paths[endpoint.pathPattern][endpoint.method].operationId).toBe(
+        endpoint.toolName
+      );
+    }
+  });
+
+  it('requires the beta spec for beta endpoints', () => {
+    expect(() =>
+      generate([
+        {
+          pathPattern: '/me/todo/lists',
+          method: 'get',
+          toolName: 'list-todo-task-lists',
+          apiVersion: 'beta',
+        },
+      ])
+    ).toThrow('beta OpenAPI spec');
+  });
+});
+
+describe('beta endpoints at runtime', () => {
+  afterEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it('sends requests to the API version of the endpoint', async () => {
+    expect(resolveGraphUrl('/me')).toBe('https://graph.microsoft.com/v1.0/me');
+    expect(resolveGraphUrl('/me', 'beta')).toBe('https://graph.microsoft.com/beta/me');
+
+    global.fetch = vi.fn().mockResolvedValue(new Response('{}', { status: 200 }));
+    const authManager = { getToken: vi.fn().mockResolvedValue('token') } as unknown as AuthManager;
+
+    await new GraphClient(authManager).graphRequest('/me/todo/lists', { apiVersion: 'beta' });
+
+    expect(vi.mocked(global.fetch).mock.calls[0][0]).toBe(
+      'https://graph.microsoft.com/beta/me/todo/lists'
+    );
+  });
+
+  it('follows nextLinks with the version they carry', () => {
+    const nextLink = 'https://graph.microsoft.com/beta/me/todo/lists?$skiptoken=abc';
+    expect(resolveGraphUrl(nextLink)).toBe(nextLink);
+  });
+});
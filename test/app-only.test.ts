@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import { buildAppOnlyConfig, toAppOnlyEndpoint } from '../src/app-only.js';
+import type { Endpoint } from '../src/generated/endpoint-types.js';
+
+describe('buildAppOnlyConfig', () => {
+  const env = {
+    MS365_MCP_CLIENT_ID: 'client-id',
+    MS365_MCP_TENANT_ID: 'contoso.onmicrosoft.com',
+  };
+
+  it('authenticates with a client secret against the configured tenant', () => {
+    expect(buildAppOnlyConfig({ ...env, MS365_MCP_CLIENT_SECRET: 'secret' })).toEqual({
+      auth: {
+        clientId: 'client-id',
+        authority: 'https://login.microsoftonline.com/contoso.onmicrosoft.com',
+        clientSecret: 'secret',
+      },
+    });
+  });
+
+  it.each(['common', 'organizations', undefined])('rejects the %s tenant', (tenantId) => {
+    expect(() =>
+      buildAppOnlyConfig({
+        ...env,
+        MS365_MCP_TENANT_ID: tenantId,
+        MS365_MCP_CLIENT_SECRET: 'secret',
+      })
+    ).toThrow(/MS365_MCP_TENANT_ID/);
+  });
+
+  it('requires a client ID and a credential', () => {
+    expect(() =>
+      buildAppOnlyConfig({ ...env, MS365_MCP_CLIENT_ID: undefined, MS365_MCP_CLIENT_SECRET: 's' })
+    ).toThrow(/MS365_MCP_CLIENT_ID/);
+    expect(() => buildAppOnlyConfig(env)).toThrow(/MS365_MCP_CLIENT_SECRET/);
+  });
+});
+
+describe('toAppOnlyEndpoint', () => {
+  const endpoint = (path: string): Endpoint => ({
+    method: 'get',
+    path,
+    alias: 'list-mail-messages',
+    requestFormat: 'json',
+    parameters: [{ name: 'message-id', type: 'Path', schema: z.string() }],
+    response: z.any(),
+  });
+
+  it('addresses /me tools to a user given by ID', () => {
+    const tool = toAppOnlyEndpoint(endpoint('/me/messages/:message-id'));
+
+    expect(tool.path).toBe('/users/:userId/messages/:message-id');
+    expect(tool.parameters?.map((param) => param.name)).toEqual(['userId', 'message-id']);
+  });
+
+  it('leaves other tools unchanged', () => {
+    const original = endpoint('/sites/:site-id');
+    expect(toAppOnlyEndpoint(original)).toBe(original);
+    expect(toAppOnlyEndpoint(endpoint('/messages')).path).toBe('/messages');
+  });
+});
@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import AuditLog, {
+  beginAudit,
+  configureAuditLog,
+  readAuditEntries,
+  redactBody,
+} from '../src/audit-log.js';
+import GraphClient from '../src/graph-client.js';
+import type AuthManager from '../src/auth.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+const token = [
+  'header',
+  Buffer.from(JSON.stringify({ upn: 'adele@contoso.com', oid: 'user-1' })).toString('base64url'),
+  'signature',
+].join('.');
+
+const mailBody = JSON.stringify({
+  message: {
+    subject: 'Quarterly report',
+    toRecipients: [{ emailAddress: { address: 'ceo@contoso.com' } }],
+    attachments: [{ name: 'report.pdf', contentBytes: 'JVBERi0=', size: 5 }],
+  },
+});
+
+describe('audit log', () => {
+  let dir: string;
+  let file: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+    file = path.join(dir, 'audit.jsonl');
+    global.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    configureAuditLog(undefined);
+    fs.rmSync(dir, { recursive: true, force: true });
+    vi.resetAllMocks();
+  });
+
+  it('records the account, status, request ID and body hash of a write', async () => {
+    configureAuditLog(new AuditLog(file));
+    const authManager = { getToken: vi.fn().mockResolvedValue(token) } as unknown as AuthManager;
+    const graphClient = new GraphClient(authManager, { retryPolicy: { maxRetries: 0 } });
+    vi.mocked(global.fetch).mockResolvedValueOnce(
+      new Response(null, { status: 202, headers: { 'request-id': 'request-1' } })
+    );
+
+    const audit = beginAudit(
+      'send-mail',
+      'POST',
+      'https://graph.microsoft.com/v1.0/me/sendMail',
+      mailBody
+    );
+    await graphClient.graphRequest('/me/sendMail', {
+      method: 'POST',
+      body: mailBody,
+      onResponse: audit?.onResponse,
+    });
+    audit?.finish();
+
+    const [record] = readAuditEntries(file, 10);
+    expect(record).toMatchObject({
+      account: 'adele@contoso.com',
+      tool: 'send-mail',
+      method: 'POST',
+      path: '/v1.0/me/sendMail',
+      status: 202,
+      requestId: 'request-1',
+      bodySha256: crypto.createHash('sha256').update(mailBody).digest('hex'),
+    });
+    expect(record.durationMs).toBeGreaterThanOrEqual(0);
+    expect(record.body).toBeUndefined();
+    expect(fs.readFileSync(file, 'utf8')).not.toContain(token);
+  });
+
+  it('records nothing for reads or without an audit log', () => {
+    expect(beginAudit('send-mail', 'POST', 'https://graph.microsoft.com/v1.0/me/sendMail')).toBe(
+      undefined
+    );
+
+    configureAuditLog(new AuditLog(file));
+    expect(beginAudit('list-mail-messages', 'GET', '/me/messages')).toBeUndefined();
+  });
+
+  it('redacts bodies according to the body mode', () => {
+    expect(redactBody(mailBody, 'hash')).toBeUndefined();
+
+    const full = redactBody(mailBody, 'full') as {
+      message: { subject: string; attachments: Array<Record<string, unknown>> };
+    };
+    expect(full.message.subject).toBe('Quarterly report');
+    expect(full.message.attachments[0]).toEqual({
+      name: 'report.pdf',
+      contentBytes: '[redacted]',
+      size: 5,
+    });
+
+    const redacted = redactBody(mailBody, 'redacted') as {
+      message: { subject: string; attachments: Array<Record<string, unknown>> };
+    };
+    expect(redacted.message.subject).toBe('[redacted]');
+    expect(redacted.message.attachments[0].size).toBe(5);
+    expect(redactBody(Buffer.alloc(32), 'full')).toBe('[32 bytes]');
+  });
+
+  it('records failures with their error', () => {
+    const auditLog = new AuditLog(file);
+    auditLog.begin('delete-mail-message', 'DELETE', '/me/messages/1').finishWithResult({
+      content: [{ type: 'text', text: JSON.stringify({ error: 'Policy violation (tools): no' }) }],
+      isError: true,
+    });
+
+    const [record] = readAuditEntries(file, 1);
+    expect(record.status).toBeUndefined();
+    expect(record.error).toBe('Policy violation (tools): no');
+  });
+
+  it('rotates by size and reads recent entries across rotated files', () => {
+    const auditLog = new AuditLog(file, { maxSizeBytes: 400, maxFiles: 2 });
+    for (let i = 0; i < 12; i++) {
+      auditLog.begin(`create-item-${i}`, 'POST', '/me/items').finish({ status: 201 });
+    }
+
+    expect(fs.existsSync(`${file}.1`)).toBe(true);
+    expect(fs.existsSync(`${file}.2`)).toBe(true);
+    expect(fs.existsSync(`${file}.3`)).toBe(false);
+    expect(fs.statSync(file).size).toBeLessThanOrEqual(400);
+
+    const entries = readAuditEntries(file, 4);
+    expect(entries.map((entry) => entry.tool)).toEqual([
+      'create-item-8',
+      'create-item-9',
+      'create-item-10',
+      'create-item-11',
+    ]);
+  });
+});
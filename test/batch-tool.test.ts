@@ -0,0 +1,271 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { z } from 'zod';
+import { registerBatchTool } from '../src/batch-tool.js';
+import { configurePolicy, Policy } from '../src/policy.js';
+import GraphClient from '../src/graph-client.js';
+import type AuthManager from '../src/auth.js';
+import type { Endpoint } from '../src/generated/endpoint-types.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+const tools: Endpoint[] = [
+  {
+    alias: 'get-mail-message',
+    method: 'get',
+    path: '/me/messages/:messageId',
+    requestFormat: 'json',
+    response: z.any(),
+    parameters: [{ name: 'messageId', type: 'Path', schema: z.string() }],
+  },
+  {
+    alias: 'list-mail-messages',
+    method: 'get',
+    path: '/me/messages',
+    requestFormat: 'json',
+    response: z.any(),
+    parameters: [{ name: 'top', type: 'Query', schema: z.number().optional() }],
+  },
+  {
+    alias: 'get-drive-item',
+    method: 'get',
+    path: '/drives/:driveId/items/:itemId',
+    requestFormat: 'json',
+    response: z.any(),
+    parameters: [
+      { name: 'driveId', type: 'Path', schema: z.string() },
+      { name: 'itemId', type: 'Path', schema: z.string() },
+    ],
+  },
+  {
+    alias: 'send-chat-message',
+    method: 'post',
+    path: '/chats/:chatId/messages',
+    requestFormat: 'json',
+    response: z.any(),
+    parameters: [
+      { name: 'chatId', type: 'Path', schema: z.string() },
+      { name: 'body', type: 'Body', schema: z.object({ body: z.any() }) },
+    ],
+  },
+  {
+    alias: 'create-todo-task',
+    method: 'post',
+    path: '/me/todo/lists/:todoTaskListId/tasks',
+    requestFormat: 'json',
+    response: z.any(),
+    parameters: [
+      { name: 'todoTaskListId', type: 'Path', schema: z.string() },
+      { name: 'body', type: 'Body', schema: z.object({ title: z.string() }) },
+    ],
+  },
+];
+
+type ToolHandler = (params: Record<string, unknown>) => Promise<{
+  content: Array<{ text: string }>;
+  isError?: boolean;
+}>;
+
+describe('batch tool', () => {
+  let handler: ToolHandler;
+  let graphClient: GraphClient;
+  let makeRequest: ReturnType<typeof vi.spyOn>;
+
+  beforeEach(() => {
+    const server = {
+      tool: vi.fn((...args: unknown[]) => {
+        handler = args[args.length - 1] as ToolHandler;
+      }),
+    };
+    graphClient = new GraphClient({} as AuthManager);
+    makeRequest = vi
+      .spyOn(graphClient, 'makeRequest')
+      .mockImplementation(async (_path, options) => {
+        const { requests } = JSON.parse(options!.body as string);
+        return {
+          responses: requests.map((request: { id: string; url: string }) => ({
+            id: request.id,
+            status: 200,
+            body: { url: request.url, '@odata.context': 'ignored' },
+          })),
+        };
+      });
+
+    registerBatchTool(server as never, graphClient, tools);
+  });
+
+  it('builds batch requests with the same path and query logic as the tools', async () => {
+    const result = await handler({
+      requests: [
+        { toolName: 'get-mail-message', params: { messageId: 'a/b' } },
+        { toolName: 'list-mail-messages', params: { top: 5 } },
+        {
+          id: 'task',
+          toolName: 'create-todo-task',
+          params: { todoTaskListId: 'list', body: { title: 'Hello' } },
+          dependsOn: ['1'],
+        },
+      ],
+    });
+
+    expect(makeRequest).toHaveBeenCalledTimes(1);
+    expect(makeRequest).toHaveBeenCalledWith(
+      '/$batch',
+      expect.objectContaining({ method: 'POST' })
+    );
+    const sent = JSON.parse(makeRequest.mock.calls[0][1].body);
+    expect(sent.requests).toEqual([
+      { id: '1', method: 'GET', url: '/me/messages/a%2Fb' },
+      { id: '2', method: 'GET', url: '/me/messages?%24top=5' },
+      {
+        id: 'task',
+        method: 'POST',
+        url: '/me/todo/lists/list/tasks',
+        body: { title: 'Hello' },
+        headers: { 'Content-Type': 'application/json' },
+        dependsOn: ['1'],
+      },
+    ]);
+
+    const { responses } = JSON.parse(result.content[0].text);
+    expect(responses.map((r: { id: string; status: number }) => [r.id, r.status])).toEqual([
+      ['1', 200],
+      ['2', 200],
+      ['task', 200],
+    ]);
+    expect(responses[0].body).toEqual({ url: '/me/messages/a%2Fb' });
+  });
+
+  it('rejects tools that are not enabled without sending them', async () => {
+    const result = await handler({
+      requests: [
+        { toolName: 'delete-mail-message', params: { messageId: '1' } },
+        { toolName: 'get-mail-message', params: { messageId: '2' } },
+      ],
+    });
+
+    const sent = JSON.parse(makeRequest.mock.calls[0][1].body);
+    expect(sent.requests).toHaveLength(1);
+
+    const { responses } = JSON.parse(result.content[0].text);
+    expect(responses[0]).toMatchObject({ id: '1', status: 403 });
+    expect(responses[1]).toMatchObject({ id: '2', status: 200 });
+  });
+
+  it('reports invalid parameters per request', async () => {
+    const result = await handler({
+      requests: [{ toolName: 'get-mail-message', params: {} }],
+    });
+
+    expect(makeRequest).not.toHaveBeenCalled();
+    const { responses } = JSON.parse(result.content[0].text);
+    expect(responses[0]).toMatchObject({ status: 400 });
+  });
+
+  it('refuses entries that name another account', async () => {
+    const result = await handler({
+      requests: [{ toolName: 'get-mail-message', params: { messageId: '1', account: 'other' } }],
+    });
+
+    expect(makeRequest).not.toHaveBeenCalled();
+    const { responses } = JSON.parse(result.content[0].text);
+    expect(responses[0]).toMatchObject({ status: 400 });
+    expect(responses[0].error).toContain('run as the selected account');
+  });
+
+  it('splits large batches into chunks of 20 and fails dependents of failed requests', async () => {
+    makeRequest.mockImplementation(async (_path, options) => {
+      const { requests } = JSON.parse(options!.body as string);
+      return {
+        responses: requests.map((request: { id: string }) => ({
+          id: request.id,
+          status: request.id === '1' ? 404 : 200,
+          body: {},
+        })),
+      };
+    });
+
+    const requests = Array.from({ length: 25 }, (_, i) => ({
+      toolName: 'get-mail-message',
+      params: { messageId: `${i}` },
+      dependsOn: i === 24 ? ['1'] : undefined,
+    }));
+
+    const result = await handler({ requests });
+
+    expect(makeRequest).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(makeRequest.mock.calls[0][1].body).requests).toHaveLength(20);
+    expect(JSON.parse(makeRequest.mock.calls[1][1].body).requests).toHaveLength(4);
+
+    const { responses } = JSON.parse(result.content[0].text);
+    expect(responses).toHaveLength(25);
+    expect(responses[24]).toMatchObject({ id: '25', status: 424 });
+  });
+
+  it('rejects dependencies on unknown or later requests', async () => {
+    const result = await handler({
+      requests: [{ toolName: 'get-mail-message', params: { messageId: '1' }, dependsOn: ['2'] }],
+    });
+
+    expect(result.isError).toBe(true);
+    expect(makeRequest).not.toHaveBeenCalled();
+  });
+
+  it('refuses entries that the policy does not allow', async () => {
+    configurePolicy(new Policy({ resources: { driveIds: ['team-drive'] } }));
+
+    try {
+      const result = await handler({
+        requests: [
+          { toolName: 'get-drive-item', params: { driveId: 'team-drive', itemId: '1' } },
+          { toolName: 'get-drive-item', params: { driveId: 'other-drive', itemId: '1' } },
+        ],
+      });
+
+      const { responses } = JSON.parse(result.content[0].text);
+      expect(responses[0].status).toBe(200);
+      expect(responses[1]).toMatchObject({ status: 403 });
+      expect(responses[1].error).toContain('resources.driveIds');
+    } finally {
+      configurePolicy(undefined);
+    }
+  });
+
+  it('checks the members of a chat before sending to it in a batch', async () => {
+    configurePolicy(new Policy({ recipients: { allowedDomains: ['contoso.com'] } }));
+    makeRequest.mockImplementation(async (path: string, options) => {
+      if (path === '/chats/external/members') {
+        return { value: [{ email: 'guest@fabrikam.com' }] };
+      }
+      if (path === '/chats/internal/members') {
+        return { value: [{ email: 'jane@contoso.com' }] };
+      }
+      const { requests } = JSON.parse(options!.body as string);
+      return {
+        responses: requests.map((request: { id: string }) => ({ id: request.id, status: 201 })),
+      };
+    });
+
+    try {
+      const message = { body: { content: 'Hi' } };
+      const result = await handler({
+        requests: [
+          { toolName: 'send-chat-message', params: { chatId: 'internal', body: message } },
+          { toolName: 'send-chat-message', params: { chatId: 'external', body: message } },
+        ],
+      });
+
+      const { responses } = JSON.parse(result.content[0].text);
+      expect(responses[0].status).toBe(201);
+      expect(responses[1]).toMatchObject({ status: 403 });
+      expect(responses[1].error).toContain('guest@fabrikam.com');
+    } finally {
+      configurePolicy(undefined);
+    }
+  });
+});
@@ -0,0 +1,98 @@
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { PublicClientApplication, type AccountInfo } from '@azure/msal-node';
+import AuthManager from '../src/auth.js';
+import { canOpenBrowser, openBrowser } from '../src/browser.js';
+import type { TokenStorage } from '../src/token-storage.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+vi.mock('child_process', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('child_process')>()),
+  spawn: vi.fn(),
+}));
+
+// A launcher process that exits with the given code, or fails to start when given an error
+function launcher(outcome: number | Error) {
+  const child = Object.assign(new EventEmitter(), { unref: vi.fn() });
+  setImmediate(() => {
+    if (outcome instanceof Error) {
+      child.emit('error', outcome);
+    } else {
+      child.emit('exit', outcome);
+    }
+  });
+  return child as unknown as ReturnType<typeof spawn>;
+}
+
+describe('browser login', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('only opens a browser in a local graphical session', () => {
+    expect(canOpenBrowser({}, 'darwin')).toBe(true);
+    expect(canOpenBrowser({}, 'win32')).toBe(true);
+    expect(canOpenBrowser({ DISPLAY: ':0' }, 'linux')).toBe(true);
+    expect(canOpenBrowser({ WAYLAND_DISPLAY: 'wayland-0' }, 'linux')).toBe(true);
+    expect(canOpenBrowser({}, 'linux')).toBe(false);
+    expect(canOpenBrowser({ SSH_CONNECTION: '10.0.0.1 22 10.0.0.2 22' }, 'darwin')).toBe(false);
+  });
+
+  it('fails when the browser cannot be opened, so the login can fall back', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const url = 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize';
+
+    vi.mocked(spawn).mockReturnValueOnce(launcher(0));
+    await expect(openBrowser(url)).resolves.toBeUndefined();
+
+    vi.mocked(spawn).mockReturnValueOnce(launcher(3));
+    await expect(openBrowser(url)).rejects.toThrow('exited with code 3');
+
+    vi.mocked(spawn).mockReturnValueOnce(launcher(new Error('spawn xdg-open ENOENT')));
+    await expect(openBrowser(url)).rejects.toThrow('ENOENT');
+  });
+
+  it('signs in with PKCE and saves the account like the device code flow', async () => {
+    const account = { homeAccountId: 'work-id', username: 'me@contoso.com' } as AccountInfo;
+    const acquireTokenInteractive = vi
+      .spyOn(PublicClientApplication.prototype, 'acquireTokenInteractive')
+      .mockImplementation(async (request) => {
+        await request.openBrowser('https://login.microsoftonline.com/common/oauth2/v2.0/authorize');
+        return {
+          accessToken: 'browser-token',
+          account,
+          scopes: ['Mail.Read'],
+          expiresOn: new Date(Date.now() + 3600 * 1000),
+        } as unknown as Awaited<ReturnType<PublicClientApplication['acquireTokenInteractive']>>;
+      });
+    const saved = new Map<string, string>();
+    const storage: TokenStorage = {
+      description: 'test storage',
+      load: async () => null,
+      save: async (key, data) => {
+        saved.set(key, data);
+      },
+      remove: async () => {},
+    };
+    const openBrowser = vi.fn().mockResolvedValue(undefined);
+
+    const authManager = new AuthManager(undefined, ['Mail.Read'], false, storage);
+    expect(await authManager.acquireTokenInteractive(openBrowser)).toBe('browser-token');
+
+    expect(acquireTokenInteractive.mock.calls[0][0].scopes).toEqual(['Mail.Read']);
+    expect(openBrowser).toHaveBeenCalledWith(
+      'https://login.microsoftonline.com/common/oauth2/v2.0/authorize'
+    );
+    expect(authManager.getSelectedAccountId()).toBe('work-id');
+    expect(JSON.parse(saved.get('selected-account') as string)).toEqual({ accountId: 'work-id' });
+    expect(saved.has('token-cache')).toBe(true);
+  });
+});
@@ -0,0 +1,257 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import type { AddressInfo } from 'net';
+import type { Server } from 'http';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import ClientRegistry, {
+  ClientRegistrationError,
+  matchesRedirectUri,
+  validateClientMetadata,
+} from '../src/client-registry.js';
+import MicrosoftGraphServer from '../src/server.js';
+import type AuthManager from '../src/auth.js';
+
+const storageDir = path.join(os.tmpdir(), `client-registry-${Date.now()}`);
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+  enableConsoleLogging: vi.fn(),
+}));
+
+vi.mock('../src/auth.js', () => ({
+  default: vi.fn(),
+}));
+
+vi.mock('../src/graph-tools.js', () => ({
+  registerGraphTools: vi.fn(() => []),
+}));
+
+function registrationError(body: unknown): ClientRegistrationError {
+  try {
+    validateClientMetadata(body);
+  } catch (error) {
+    return error as ClientRegistrationError;
+  }
+  throw new Error('Expected the registration to be rejected');
+}
+
+describe('client metadata validation', () => {
+  it('fills in the defaults of a public authorization code client', () => {
+    expect(validateClientMetadata({ redirect_uris: ['https://app.example.com/cb'] })).toEqual({
+      redirect_uris: ['https://app.example.com/cb'],
+      client_name: 'MCP Client',
+      grant_types: ['authorization_code', 'refresh_token'],
+      response_types: ['code'],
+      token_endpoint_auth_method: 'none',
+    });
+  });
+
+  it.each([
+    [{}, 'invalid_redirect_uri'],
+    [{ redirect_uris: [] }, 'invalid_redirect_uri'],
+    [{ redirect_uris: ['not a url'] }, 'invalid_redirect_uri'],
+    [{ redirect_uris: ['https://app.example.com/cb#frag'] }, 'invalid_redirect_uri'],
+    [{ redirect_uris: ['http://app.example.com/cb'] }, 'invalid_redirect_uri'],
+    [{ redirect_uris: ['javascript:alert(1)'] }, 'invalid_redirect_uri'],
+    [
+      { redirect_uris: ['https://app.example.com/cb'], grant_types: ['client_credentials'] },
+      'invalid_client_metadata',
+    ],
+    [
+      { redirect_uris: ['https://app.example.com/cb'], response_types: ['token'] },
+      'invalid_client_metadata',
+    ],
+    [
+      {
+        redirect_uris: ['https://app.example.com/cb'],
+        token_endpoint_auth_method: 'client_secret_basic',
+      },
+      'invalid_client_metadata',
+    ],
+  ])('rejects %j with %s', (body, code) => {
+    expect(registrationError(body).code).toBe(code);
+  });
+
+  it('accepts loopback and private-use scheme redirect URIs of native clients', () => {
+    expect(() =>
+      validateClientMetadata({
+        redirect_uris: ['http://127.0.0.1:33418/callback', 'com.example.app:/oauth2redirect'],
+      })
+    ).not.toThrow();
+  });
+});
+
+describe('redirect URI matching', () => {
+  it('requires exact matches except for the port of loopback URIs', () => {
+    const registered = ['https://app.example.com/cb', 'http://localhost:3000/callback'];
+
+    expect(matchesRedirectUri(registered, 'https://app.example.com/cb')).toBe(true);
+    expect(matchesRedirectUri(registered, 'https://app.example.com/cb/')).toBe(false);
+    expect(matchesRedirectUri(registered, 'https://app.example.com:8443/cb')).toBe(false);
+    expect(matchesRedirectUri(registered, 'http://localhost:51234/callback')).toBe(true);
+    expect(matchesRedirectUri(registered, 'http://localhost:51234/other')).toBe(false);
+  });
+});
+
+describe('ClientRegistry', () => {
+  let tempDir: string;
+  let filePath: string;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clients-'));
+    filePath = path.join(tempDir, 'clients.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('persists registrations across instances', () => {
+    const client = new ClientRegistry(filePath).register({
+      client_name: 'Inspector',
+      redirect_uris: ['http://localhost:6274/oauth/callback'],
+    });
+
+    const reloaded = new ClientRegistry(filePath);
+    expect(reloaded.get(client.client_id)).toEqual(client);
+    expect(reloaded.list()).toHaveLength(1);
+  });
+
+  it('picks up revocations made by another process', () => {
+    const serverRegistry = new ClientRegistry(filePath);
+    const client = serverRegistry.register({ redirect_uris: ['https://app.example.com/cb'] });
+    expect(serverRegistry.get(client.client_id)).toBeDefined();
+
+    expect(new ClientRegistry(filePath).revoke(client.client_id)).toBe(true);
+    // Both writes may land within the same timestamp tick
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(filePath, future, future);
+
+    expect(serverRegistry.get(client.client_id)).toBeUndefined();
+  });
+
+  it('resolves the redirect URI of a request', () => {
+    const registry = new ClientRegistry(filePath);
+    const single = registry.register({ redirect_uris: ['https://app.example.com/cb'] });
+    const multiple = registry.register({
+      redirect_uris: ['https://app.example.com/a', 'https://app.example.com/b'],
+    });
+
+    expect(registry.checkRedirectUri(single.client_id, undefined)).toEqual({
+      redirectUri: 'https://app.example.com/cb',
+    });
+    expect(registry.checkRedirectUri(multiple.client_id, undefined)).toEqual({
+      error: 'invalid_redirect_uri',
+    });
+    expect(registry.checkRedirectUri(multiple.client_id, 'https://evil.example.com/cb')).toEqual({
+      error: 'invalid_redirect_uri',
+    });
+    expect(registry.checkRedirectUri('unknown', 'https://app.example.com/cb')).toEqual({
+      error: 'invalid_client',
+    });
+  });
+});
+
+describe('OAuth endpoints', () => {
+  let httpServer: Server;
+  let baseUrl: string;
+
+  beforeEach(async () => {
+    const server = new MicrosoftGraphServer({} as AuthManager, { http: true, storageDir });
+    await server.initialize('test');
+    httpServer = server.createHttpApp(0).listen(0);
+    await new Promise((resolve) => httpServer.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(httpServer.address() as AddressInfo).port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => httpServer.close(resolve));
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  async function register(body: unknown) {
+    const response = await fetch(`${baseUrl}/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  function authorize(params: Record<string, string>) {
+    return fetch(`${baseUrl}/authorize?${new URLSearchParams(params)}`, { redirect: 'manual' });
+  }
+
+  it('stores registrations on disk and rejects invalid metadata', async () => {
+    const registered = await register({ redirect_uris: ['https://app.example.com/cb'] });
+    expect(registered.status).toBe(201);
+    expect(registered.body.client_id_issued_at).toEqual(expect.any(Number));
+    expect(
+      new ClientRegistry(path.join(storageDir, '.oauth-clients.json')).get(
+        registered.body.client_id
+      )
+    ).toBeDefined();
+
+    const rejected = await register({ redirect_uris: ['http://app.example.com/cb'] });
+    expect(rejected).toMatchObject({ status: 400, body: { error: 'invalid_redirect_uri' } });
+  });
+
+  it('only redirects registered clients to registered redirect URIs', async () => {
+    const { body: client } = await register({ redirect_uris: ['https://app.example.com/cb'] });
+
+    const allowed = await authorize({
+      client_id: client.client_id,
+      redirect_uri: 'https://app.example.com/cb',
+      response_type: 'code',
+    });
+    expect(allowed.status).toBe(302);
+    expect(new URL(allowed.headers.get('location')!).searchParams.get('redirect_uri')).toBe(
+      'https://app.example.com/cb'
+    );
+
+    const unknownClient = await authorize({
+      client_id: 'unknown',
+      redirect_uri: 'https://app.example.com/cb',
+    });
+    expect(unknownClient.status).toBe(400);
+
+    const otherRedirect = await authorize({
+      client_id: client.client_id,
+      redirect_uri: 'https://evil.example.com/cb',
+    });
+    expect(otherRedirect.status).toBe(400);
+  });
+
+  it('rejects token requests of unknown clients or with unregistered redirect URIs', async () => {
+    const { body: client } = await register({ redirect_uris: ['https://app.example.com/cb'] });
+
+    const token = (body: Record<string, string>) =>
+      fetch(`${baseUrl}/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(body),
+      });
+
+    const unknownClient = await token({
+      grant_type: 'refresh_token',
+      refresh_token: 'refresh',
+      client_id: 'unknown',
+    });
+    expect(unknownClient.status).toBe(401);
+    expect(await unknownClient.json()).toMatchObject({ error: 'invalid_client' });
+
+    const otherRedirect = await token({
+      grant_type: 'authorization_code',
+      code: 'code',
+      client_id: client.client_id,
+      redirect_uri: 'https://evil.example.com/cb',
+    });
+    expect(otherRedirect.status).toBe(400);
+    expect(await otherRedirect.json()).toMatchObject({ error: 'invalid_grant' });
+  });
+});
@@ -0,0 +1,113 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import type { AddressInfo } from 'net';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { configureCloud, qualifyScope, resolveCloudEndpoints } from '../src/cloud-config.js';
+import { resolveGraphUrl } from '../src/graph-client.js';
+import MicrosoftGraphServer from '../src/server.js';
+import type AuthManager from '../src/auth.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+  enableConsoleLogging: vi.fn(),
+}));
+
+vi.mock('../src/auth.js', () => ({
+  default: vi.fn(),
+}));
+
+vi.mock('../src/graph-tools.js', () => ({
+  registerGraphTools: vi.fn(() => []),
+}));
+
+describe('cloud configuration', () => {
+  afterEach(() => {
+    configureCloud({});
+  });
+
+  it('resolves the endpoints of national clouds', () => {
+    expect(resolveCloudEndpoints({ cloud: 'usgovdod' })).toEqual({
+      cloud: 'usgovdod',
+      graphUrl: 'https://dod-graph.microsoft.us',
+      authorityUrl: 'https://login.microsoftonline.us',
+      customAuthority: false,
+    });
+    expect(() => resolveCloudEndpoints({ cloud: 'mars' })).toThrow('Invalid value for cloud');
+  });
+
+  it('applies base URL overrides', () => {
+    expect(
+      resolveCloudEndpoints({
+        graphUrl: 'http://localhost:4000/',
+        authorityUrl: 'http://localhost:4001',
+      })
+    ).toEqual({
+      cloud: 'global',
+      graphUrl: 'http://localhost:4000',
+      authorityUrl: 'http://localhost:4001',
+      customAuthority: true,
+    });
+  });
+
+  it('sends Graph requests to the configured cloud only', () => {
+    configureCloud({ cloud: 'china' });
+
+    expect(resolveGraphUrl('/me')).toBe('https://microsoftgraph.chinacloudapi.cn/v1.0/me');
+    expect(() => resolveGraphUrl('https://graph.microsoft.com/v1.0/me')).toThrow(
+      'Refusing to send a Graph request'
+    );
+  });
+
+  it('qualifies Graph scopes outside the global cloud', () => {
+    expect(qualifyScope('Mail.Read')).toBe('Mail.Read');
+
+    configureCloud({ cloud: 'usgov' });
+    expect(qualifyScope('Mail.Read')).toBe('https://graph.microsoft.us/Mail.Read');
+    expect(qualifyScope('offline_access')).toBe('offline_access');
+
+    // Overridden URLs keep the permissions of the cloud they stand in for
+    configureCloud({ cloud: 'usgov', graphUrl: 'http://localhost:8080' });
+    expect(qualifyScope('Mail.Read')).toBe('https://graph.microsoft.us/Mail.Read');
+    configureCloud({ graphUrl: 'http://localhost:8080' });
+    expect(qualifyScope('Mail.Read')).toBe('Mail.Read');
+  });
+
+  it('points the OAuth endpoints at the login service of the cloud', async () => {
+    configureCloud({ cloud: 'usgov' });
+    const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloud-'));
+    const server = new MicrosoftGraphServer({} as AuthManager, { http: true, storageDir });
+    await server.initialize('test');
+    const httpServer = server.createHttpApp(0).listen(0);
+    await new Promise((resolve) => httpServer.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${(httpServer.address() as AddressInfo).port}`;
+
+    try {
+      const metadata = await (
+        await fetch(`${baseUrl}/.well-known/oauth-protected-resource`)
+      ).json();
+      expect(metadata.scopes_supported).toContain('https://graph.microsoft.us/User.Read');
+
+      const registration = await fetch(`${baseUrl}/register`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ redirect_uris: ['https://app.example.com/cb'] }),
+      });
+      const { client_id } = await registration.json();
+
+      const authorize = await fetch(`${baseUrl}/authorize?client_id=${client_id}`, {
+        redirect: 'manual',
+      });
+      const location = new URL(authorize.headers.get('location')!);
+      expect(location.origin).toBe('https://login.microsoftonline.us');
+      expect(location.searchParams.get('scope')).toContain('https://graph.microsoft.us/User.Read');
+    } finally {
+      await new Promise((resolve) => httpServer.close(resolve));
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,118 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import type { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import ConfirmationGate, { buildWritePreview } from '../src/confirmation.js';
+import { categorizeTool, parseToolCategories } from '../src/tool-categories.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+function fakeServer(capabilities: Record<string, unknown> = {}): McpServer {
+  return { server: { getClientCapabilities: () => capabilities } } as unknown as McpServer;
+}
+
+const extra = (sendRequest = vi.fn()) =>
+  ({ sendRequest }) as unknown as Parameters<ConfirmationGate['confirm']>[1];
+
+const sendMailParams = {
+  body: {
+    message: {
+      subject: 'Quarterly report',
+      body: { contentType: 'Text', content: 'x'.repeat(500) },
+      toRecipients: [{ emailAddress: { address: 'ceo@contoso.com' } }],
+    },
+  },
+};
+
+const preview = buildWritePreview(
+  'send-mail',
+  'POST',
+  'https://graph.microsoft.com/v1.0/me/sendMail',
+  JSON.stringify(sendMailParams.body)
+);
+
+function parse(result: { content: Array<{ text: string }> } | undefined) {
+  return JSON.parse(result!.content[0].text);
+}
+
+describe('confirmation gate', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('categorizes tools by their effect', () => {
+    expect(categorizeTool('list-mail-messages', 'GET')).toBe('read');
+    expect(categorizeTool('search-query', 'POST')).toBe('read');
+    expect(categorizeTool('send-channel-message', 'POST')).toBe('send');
+    expect(categorizeTool('reply-to-chat-message', 'POST')).toBe('send');
+    expect(categorizeTool('delete-onedrive-file', 'DELETE')).toBe('delete');
+    expect(categorizeTool('create-todo-task', 'POST')).toBe('write');
+
+    expect(parseToolCategories(true, 'confirmWrites')).toEqual(['write', 'delete', 'send']);
+    expect(parseToolCategories('send, delete', 'confirmWrites')).toEqual(['send', 'delete']);
+    expect(() => parseToolCategories('mail', 'confirmWrites')).toThrow('Invalid value');
+  });
+
+  it('previews the recipients and a shortened body', () => {
+    expect(preview.recipients).toEqual(['ceo@contoso.com']);
+    expect(preview.category).toBe('send');
+    expect(JSON.stringify(preview.body)).toContain('(500 characters)');
+  });
+
+  it('runs a call only with the token of its preview', async () => {
+    const gate = new ConfirmationGate(['send']);
+    expect(gate.requiresConfirmation('send-mail', 'POST')).toBe(true);
+    expect(gate.requiresConfirmation('delete-mail-message', 'DELETE')).toBe(false);
+
+    const held = parse(await gate.confirm(fakeServer(), extra(), preview, sendMailParams));
+    expect(held.confirmationRequired).toBe(true);
+    expect(held.preview.url).toBe('https://graph.microsoft.com/v1.0/me/sendMail');
+
+    const changed = await gate.confirm(fakeServer(), extra(), preview, {
+      ...sendMailParams,
+      body: { message: { subject: 'Other' } },
+      confirmationToken: held.confirmationToken,
+    });
+    expect(changed?.isError).toBe(true);
+
+    const confirmed = { ...sendMailParams, confirmationToken: held.confirmationToken };
+    expect(await gate.confirm(fakeServer(), extra(), preview, confirmed)).toBeUndefined();
+    // Tokens are single use
+    expect((await gate.confirm(fakeServer(), extra(), preview, confirmed))?.isError).toBe(true);
+  });
+
+  it('rejects expired tokens', async () => {
+    vi.useFakeTimers();
+    const gate = new ConfirmationGate(['send'], { ttlMs: 1000 });
+    const held = parse(await gate.confirm(fakeServer(), extra(), preview, sendMailParams));
+
+    vi.advanceTimersByTime(1001);
+    const result = await gate.confirm(fakeServer(), extra(), preview, {
+      ...sendMailParams,
+      confirmationToken: held.confirmationToken,
+    });
+    expect(parse(result).error).toContain('expired');
+  });
+
+  it('asks the user through elicitation when the client supports it', async () => {
+    const gate = new ConfirmationGate(['send']);
+    const server = fakeServer({ elicitation: {} });
+
+    const accept = vi.fn().mockResolvedValue({ action: 'accept', content: { confirm: true } });
+    expect(await gate.confirm(server, extra(accept), preview, sendMailParams)).toBeUndefined();
+    expect(accept.mock.calls[0][0].method).toBe('elicitation/create');
+
+    const decline = vi.fn().mockResolvedValue({ action: 'decline' });
+    expect(
+      parse(await gate.confirm(server, extra(decline), preview, sendMailParams)).cancelled
+    ).toBe(true);
+
+    const noElicitation = new ConfirmationGate(['send'], { allowElicitation: false });
+    const held = parse(await noElicitation.confirm(server, extra(accept), preview, sendMailParams));
+    expect(held.confirmationToken).toBeDefined();
+  });
+});
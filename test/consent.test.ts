@@ -0,0 +1,184 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import ConsentManager, { isConsentError } from '../src/consent.js';
+import { hasScope } from '../src/auth.js';
+import { registerAuthTools } from '../src/auth-tools.js';
+import type AuthManager from '../src/auth.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+function fakeServer(capabilities: Record<string, unknown> = {}): McpServer {
+  return { server: { getClientCapabilities: () => capabilities } } as unknown as McpServer;
+}
+
+const extra = (sendRequest = vi.fn()) =>
+  ({ sendRequest }) as unknown as Parameters<ConsentManager['requestConsent']>[1];
+
+function parse(result: { content: Array<{ text: string }> } | undefined) {
+  return JSON.parse(result!.content[0].text);
+}
+
+describe('incremental consent', () => {
+  let grantedScopes: string[];
+  let finishSignIn: (error?: Error) => void;
+  let authManager: {
+    getGrantedScopes: ReturnType<typeof vi.fn>;
+    requestAdditionalScopes: ReturnType<typeof vi.fn>;
+  };
+
+  beforeEach(() => {
+    grantedScopes = ['User.Read', 'openid', 'profile'];
+    authManager = {
+      getGrantedScopes: vi.fn(async () => grantedScopes),
+      requestAdditionalScopes: vi.fn(
+        (scopes: string[], onMessage: (message: string) => void) =>
+          new Promise<void>((resolve, reject) => {
+            onMessage('To sign in, enter the code ABC123 at https://microsoft.com/devicelogin');
+            finishSignIn = (error) => {
+              if (error) {
+                reject(error);
+                return;
+              }
+              grantedScopes = [...grantedScopes, ...scopes];
+              resolve();
+            };
+          })
+      ),
+    };
+  });
+
+  const manager = (options = {}) =>
+    new ConsentManager(authManager as unknown as AuthManager, { waitMs: 50, ...options });
+
+  it('covers scopes with broader granted ones', () => {
+    expect(hasScope(['Mail.ReadWrite'], 'Mail.Read')).toBe(true);
+    expect(hasScope(['https://graph.microsoft.com/files.read.all'], 'Files.Read')).toBe(true);
+    expect(hasScope(['Sites.ReadWrite.All'], 'Sites.Read.All')).toBe(true);
+    expect(hasScope(['User.Read.All'], 'User.ReadBasic.All')).toBe(true);
+    expect(hasScope(['Mail.Read'], 'Mail.ReadWrite')).toBe(false);
+    expect(hasScope(['Mail.Read'], 'Mail.Send')).toBe(false);
+  });
+
+  it('recognizes Graph errors caused by missing consent', () => {
+    const error = (category: string) => ({
+      isError: true,
+      content: [{ type: 'text', text: JSON.stringify({ error: 'Forbidden', category }) }],
+    });
+    expect(isConsentError(error('consent'))).toBe(true);
+    expect(isConsentError(error('throttled'))).toBe(false);
+    expect(isConsentError({ content: [{ type: 'text', text: '{"category":"consent"}' }] })).toBe(
+      false
+    );
+  });
+
+  it('returns the sign-in instructions and retries once the user signed in', async () => {
+    const consent = manager();
+    expect(await consent.missingScopes(['Mail.Read', 'User.Read'])).toEqual(['Mail.Read']);
+
+    const first = parse(
+      await consent.requestConsent(fakeServer(), extra(), 'list-mail-messages', ['Mail.Read'])
+    );
+    expect(first).toMatchObject({ consentRequired: true, missingScopes: ['Mail.Read'] });
+    expect(first.signIn).toContain('ABC123');
+
+    // Still signing in: the call is held again with the same sign-in
+    const second = parse(
+      await consent.requestConsent(fakeServer(), extra(), 'get-mail-message', ['Mail.Read'])
+    );
+    expect(second.signIn).toContain('ABC123');
+    expect(authManager.requestAdditionalScopes).toHaveBeenCalledTimes(1);
+
+    finishSignIn();
+    expect(
+      await consent.requestConsent(fakeServer(), extra(), 'list-mail-messages', ['Mail.Read'])
+    ).toBeUndefined();
+    expect(await consent.missingScopes(['Mail.Read'])).toEqual([]);
+  });
+
+  it('asks the user through elicitation when the client supports it', async () => {
+    const consent = manager();
+    const server = fakeServer({ elicitation: {} });
+
+    const accept = vi.fn(async () => {
+      finishSignIn();
+      return { action: 'accept', content: { signedIn: true } };
+    });
+    expect(
+      await consent.requestConsent(server, extra(accept), 'list-mail-messages', ['Mail.Read'])
+    ).toBeUndefined();
+    expect(accept.mock.calls[0][0].params.message).toContain('ABC123');
+    expect(accept.mock.calls[0][2]).toMatchObject({ timeout: 15 * 60 * 1000 });
+
+    const decline = vi.fn().mockResolvedValue({ action: 'decline' });
+    const declined = await consent.requestConsent(server, extra(decline), 'send-mail', [
+      'Mail.Send',
+    ]);
+    expect(parse(declined).cancelled).toBe(true);
+  });
+
+  it('reports a sign-in that failed', async () => {
+    const consent = manager();
+    await consent.requestConsent(fakeServer(), extra(), 'list-mail-messages', ['Mail.Read']);
+    finishSignIn(new Error('The user declined'));
+
+    const result = await consent.requestConsent(fakeServer(), extra(), 'list-mail-messages', [
+      'Mail.Read',
+    ]);
+    expect(result?.isError).toBe(true);
+    expect(parse(result).error).toContain('The user declined');
+  });
+
+  describe('check-permissions', () => {
+    let client: Client;
+
+    afterEach(async () => {
+      await client.close();
+    });
+
+    it('tells which tools are ready to use', async () => {
+      const consent = manager();
+      consent.registerTool('get-current-user', ['User.Read']);
+      consent.registerTool('list-mail-messages', ['Mail.Read']);
+      consent.registerTool('send-mail', ['Mail.Send']);
+
+      const server = new McpServer({ name: 'test', version: '1.0.0' });
+      registerAuthTools(
+        server,
+        authManager as unknown as AuthManager,
+        undefined,
+        undefined,
+        consent
+      );
+      client = new Client({ name: 'client', version: '1.0.0' });
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+      const check = async (args: Record<string, unknown>) =>
+        parse(
+          (await client.callTool({ name: 'check-permissions', arguments: args })) as {
+            content: Array<{ text: string }>;
+          }
+        );
+
+      expect(await check({})).toEqual({
+        grantedScopes: ['User.Read', 'openid', 'profile'],
+        readyTools: ['get-current-user'],
+        toolsNeedingConsent: 2,
+        missingScopes: ['Mail.Read', 'Mail.Send'],
+      });
+      expect(await check({ tool: 'send-mail' })).toMatchObject({
+        tool: 'send-mail',
+        ready: false,
+        missingScopes: ['Mail.Send'],
+      });
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { syncDelta } from '../src/delta-tools.js';
+import { DeltaTokenStore } from '../src/delta-store.js';
+import { GraphError } from '../src/graph-error.js';
+import GraphClient from '../src/graph-client.js';
+import type AuthManager from '../src/auth.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+const resource = { key: 'messages:inbox', path: '/me/mailFolders/inbox/messages/delta' };
+const DELTA_1 =
+  'https://graph.microsoft.com/v1.0/me/mailFolders/inbox/messages/delta?$deltatoken=one';
+const DELTA_2 =
+  'https://graph.microsoft.com/v1.0/me/mailFolders/inbox/messages/delta?$deltatoken=two';
+
+describe('delta sync', () => {
+  let tempDir: string;
+  let storePath: string;
+  let graphClient: GraphClient;
+  let makeRequest: ReturnType<typeof vi.spyOn>;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'delta-sync-'));
+    storePath = path.join(tempDir, 'delta-links.json');
+    graphClient = new GraphClient({} as AuthManager);
+    makeRequest = vi.spyOn(graphClient, 'makeRequest');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    vi.resetAllMocks();
+  });
+
+  it('follows next links on the first sync and persists the delta link', async () => {
+    makeRequest
+      .mockResolvedValueOnce({
+        value: [{ id: '1' }],
+        '@odata.nextLink': 'https://graph.microsoft.com/v1.0/next',
+      })
+      .mockResolvedValueOnce({ value: [{ id: '2' }], '@odata.deltaLink': DELTA_1 });
+
+    const { result, commit } = await syncDelta({
+      graphClient,
+      store: new DeltaTokenStore(storePath),
+      accountKey: 'account-a',
+      resource,
+    });
+    expect(new DeltaTokenStore(storePath).get('account-a', resource.key)).toBeUndefined();
+    commit();
+
+    expect(makeRequest.mock.calls.map(([url]) => url)).toEqual([
+      resource.path,
+      'https://graph.microsoft.com/v1.0/next',
+    ]);
+    expect(result).toMatchObject({ initialSync: true, changed: [{ id: '1' }, { id: '2' }] });
+    expect(new DeltaTokenStore(storePath).get('account-a', resource.key)).toBe(DELTA_1);
+  });
+
+  it('returns only changes and deletions since the stored delta link', async () => {
+    const store = new DeltaTokenStore(storePath);
+    store.set('account-a', resource.key, DELTA_1);
+    makeRequest.mockResolvedValueOnce({
+      value: [
+        { id: '3', subject: 'new' },
+        { id: '1', '@removed': { reason: 'deleted' } },
+      ],
+      '@odata.deltaLink': DELTA_2,
+    });
+
+    const { result, commit } = await syncDelta({
+      graphClient,
+      store,
+      accountKey: 'account-a',
+      resource,
+    });
+    commit();
+
+    expect(makeRequest).toHaveBeenCalledWith(DELTA_1);
+    expect(result).toEqual({
+      initialSync: false,
+      resynced: false,
+      hasMore: false,
+      changed: [{ id: '3', subject: 'new' }],
+      deleted: [{ id: '1', reason: 'deleted' }],
+    });
+    expect(store.get('account-a', resource.key)).toBe(DELTA_2);
+  });
+
+  it('keeps delta links separate per account', async () => {
+    const store = new DeltaTokenStore(storePath);
+    store.set('account-a', resource.key, DELTA_1);
+    makeRequest.mockResolvedValueOnce({ value: [], '@odata.deltaLink': DELTA_2 });
+
+    const { result, commit } = await syncDelta({
+      graphClient,
+      store,
+      accountKey: 'account-b',
+      resource,
+    });
+    commit();
+
+    expect(makeRequest).toHaveBeenCalledWith(resource.path);
+    expect(result.initialSync).toBe(true);
+    expect(store.get('account-a', resource.key)).toBe(DELTA_1);
+  });
+
+  it('starts over when reset is requested', async () => {
+    const store = new DeltaTokenStore(storePath);
+    store.set('account-a', resource.key, DELTA_1);
+    makeRequest.mockResolvedValueOnce({ value: [{ id: '1' }], '@odata.deltaLink': DELTA_2 });
+
+    const { result } = await syncDelta({
+      graphClient,
+      store,
+      accountKey: 'account-a',
+      resource,
+      reset: true,
+    });
+
+    expect(makeRequest).toHaveBeenCalledWith(resource.path);
+    expect(result.initialSync).toBe(true);
+  });
+
+  it('falls back to a full sync when the delta link expired', async () => {
+    const store = new DeltaTokenStore(storePath);
+    store.set('account-a', resource.key, DELTA_1);
+    makeRequest
+      .mockRejectedValueOnce(
+        new GraphError({ status: 410, statusText: 'Gone', code: 'SyncStateNotFound', message: '' })
+      )
+      .mockResolvedValueOnce({ value: [{ id: '1' }], '@odata.deltaLink': DELTA_2 });
+
+    const { result, commit } = await syncDelta({
+      graphClient,
+      store,
+      accountKey: 'account-a',
+      resource,
+    });
+    commit();
+
+    expect(result).toMatchObject({ initialSync: true, resynced: true, changed: [{ id: '1' }] });
+    expect(store.get('account-a', resource.key)).toBe(DELTA_2);
+  });
+
+  it('keeps the sync point on errors that merely mention 410', async () => {
+    const store = new DeltaTokenStore(storePath);
+    store.set('account-a', resource.key, DELTA_1);
+    makeRequest.mockRejectedValueOnce(
+      new GraphError({
+        status: 400,
+        statusText: 'Bad Request',
+        message: 'Invalid $top value 410',
+      })
+    );
+
+    await expect(
+      syncDelta({ graphClient, store, accountKey: 'account-a', resource })
+    ).rejects.toThrow('400');
+    expect(makeRequest).toHaveBeenCalledTimes(1);
+    expect(store.get('account-a', resource.key)).toBe(DELTA_1);
+  });
+});
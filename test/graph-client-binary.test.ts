@@ -0,0 +1,109 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import GraphClient from '../src/graph-client.js';
+import type AuthManager from '../src/auth.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+function binaryResponse(data: Buffer, headers: Record<string, string>) {
+  return new Response(data, { status: 200, headers });
+}
+
+describe('GraphClient binary downloads', () => {
+  let authManager: AuthManager;
+
+  beforeEach(() => {
+    global.fetch = vi.fn();
+    authManager = { getToken: vi.fn().mockResolvedValue('token') } as unknown as AuthManager;
+  });
+
+  afterEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it('returns images as image content without corrupting the bytes', async () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0xff, 0x00]);
+    vi.mocked(global.fetch).mockResolvedValue(binaryResponse(png, { 'Content-Type': 'image/png' }));
+
+    const client = new GraphClient(authManager);
+    const result = await client.graphRequest('/me/drive/items/1/content', { rawResponse: true });
+
+    expect(result.content).toEqual([
+      { type: 'image', data: png.toString('base64'), mimeType: 'image/png' },
+    ]);
+  });
+
+  it('returns other binaries as base64 resource blobs', async () => {
+    const pdf = Buffer.from('%PDF-1.7\nâãÏÓ', 'latin1');
+    vi.mocked(global.fetch).mockResolvedValue(
+      binaryResponse(pdf, { 'Content-Type': 'application/pdf' })
+    );
+
+    const client = new GraphClient(authManager);
+    const result = await client.graphRequest('/me/drive/items/1/content', { rawResponse: true });
+
+    expect(result.content).toEqual([
+      {
+        type: 'resource',
+        resource: {
+          uri: 'https://graph.microsoft.com/v1.0/me/drive/items/1/content',
+          blob: pdf.toString('base64'),
+          mimeType: 'application/pdf',
+        },
+      },
+    ]);
+    expect(Buffer.from(result.content[0].resource.blob, 'base64')).toEqual(pdf);
+  });
+
+  it('keeps text content as text', async () => {
+    vi.mocked(global.fetch).mockResolvedValue(
+      binaryResponse(Buffer.from('<html><body>Page</body></html>'), {
+        'Content-Type': 'text/html; charset=utf-8',
+      })
+    );
+
+    const client = new GraphClient(authManager);
+    const result = await client.graphRequest('/me/onenote/pages/1/content', {
+      rawResponse: true,
+    });
+
+    expect(result.content).toEqual([{ type: 'text', text: '<html><body>Page</body></html>' }]);
+  });
+
+  it('still parses JSON from media endpoints', async () => {
+    vi.mocked(global.fetch).mockResolvedValue(
+      binaryResponse(Buffer.from(JSON.stringify({ name: 'a.txt', contentBytes: 'aGk=' })), {
+        'Content-Type': 'application/json; odata.metadata=minimal',
+      })
+    );
+
+    const client = new GraphClient(authManager);
+    const result = await client.graphRequest('/me/messages/1/attachments/2', {
+      rawResponse: true,
+    });
+
+    expect(JSON.parse(result.content[0].text)).toEqual({ name: 'a.txt', contentBytes: 'aGk=' });
+  });
+
+  it('returns a truncation notice for content above the size cap', async () => {
+    vi.mocked(global.fetch).mockResolvedValue(
+      binaryResponse(Buffer.alloc(2048), { 'Content-Type': 'application/zip' })
+    );
+
+    const client = new GraphClient(authManager, { maxBinarySize: 1024 });
+    const result = await client.graphRequest('/me/drive/items/1/content', { rawResponse: true });
+
+    expect(result.content[0].type).toBe('text');
+    expect(JSON.parse(result.content[0].text)).toMatchObject({
+      truncated: true,
+      size: 2048,
+      maxSize: 1024,
+      mimeType: 'application/zip',
+    });
+  });
+});
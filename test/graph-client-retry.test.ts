@@ -0,0 +1,161 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import GraphClient, { computeRetryDelay, DEFAULT_RETRY_POLICY } from '../src/graph-client.js';
+import type AuthManager from '../src/auth.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+function mockResponse(status: number, body: unknown = {}, headers: Record<string, string> = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: `Status ${status}`,
+    headers: new Headers(headers),
+    text: async () => JSON.stringify(body),
+  };
+}
+
+describe('GraphClient retries', () => {
+  let authManager: AuthManager;
+
+  beforeEach(() => {
+    global.fetch = vi.fn();
+    authManager = { getToken: vi.fn().mockResolvedValue('token') } as unknown as AuthManager;
+  });
+
+  afterEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it('retries throttled requests honoring Retry-After and reports the retry count', async () => {
+    vi.mocked(global.fetch)
+      .mockResolvedValueOnce(mockResponse(429, {}, { 'Retry-After': '0' }) as unknown as Response)
+      .mockResolvedValueOnce(mockResponse(503, {}, { 'Retry-After': '0' }) as unknown as Response)
+      .mockResolvedValueOnce(mockResponse(200, { id: 'ok' }) as unknown as Response);
+
+    const client = new GraphClient(authManager);
+    const result = await client.graphRequest('/me');
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(result.isError).toBeUndefined();
+    expect(JSON.parse(result.content[0].text)).toEqual({ id: 'ok' });
+    expect(result._meta).toEqual({ retries: 2 });
+  });
+
+  it('retries network errors', async () => {
+    vi.mocked(global.fetch)
+      .mockRejectedValueOnce(new TypeError('fetch failed'))
+      .mockResolvedValueOnce(mockResponse(200, { id: 'ok' }) as unknown as Response);
+
+    const client = new GraphClient(authManager, { retryPolicy: { baseDelayMs: 0 } });
+    const result = await client.graphRequest('/me');
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(result._meta).toEqual({ retries: 1 });
+  });
+
+  it('gives up after maxRetries and returns the error with the retry count', async () => {
+    vi.mocked(global.fetch).mockResolvedValue(
+      mockResponse(
+        429,
+        { error: { code: 'TooManyRequests' } },
+        { 'Retry-After': '0' }
+      ) as unknown as Response
+    );
+
+    const client = new GraphClient(authManager, { retryPolicy: { maxRetries: 2 } });
+    const result = await client.graphRequest('/me');
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(result.isError).toBe(true);
+    expect(result._meta).toEqual({ retries: 2 });
+  });
+
+  it('stops retrying when the total wait budget would be exceeded', async () => {
+    vi.mocked(global.fetch).mockResolvedValue(
+      mockResponse(429, {}, { 'Retry-After': '120' }) as unknown as Response
+    );
+
+    const client = new GraphClient(authManager, { retryPolicy: { maxTotalWaitMs: 1000 } });
+    const result = await client.graphRequest('/me');
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result.isError).toBe(true);
+    expect(result._meta).toBeUndefined();
+  });
+
+  it('retries other requests only when Graph refused them before processing', async () => {
+    vi.mocked(global.fetch).mockResolvedValue(mockResponse(502) as unknown as Response);
+    const client = new GraphClient(authManager, { retryPolicy: { baseDelayMs: 0 } });
+
+    const sent = await client.graphRequest('/me/sendMail', { method: 'POST', body: '{}' });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(sent.isError).toBe(true);
+
+    vi.mocked(global.fetch).mockReset().mockRejectedValueOnce(new TypeError('fetch failed'));
+    const patched = await client.graphRequest('/me/messages/1', { method: 'PATCH', body: '{}' });
+    expect(patched.isError).toBe(true);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    vi.mocked(global.fetch)
+      .mockReset()
+      .mockResolvedValueOnce(mockResponse(503, {}, { 'Retry-After': '0' }) as unknown as Response)
+      .mockResolvedValueOnce(mockResponse(502) as unknown as Response)
+      .mockResolvedValueOnce(mockResponse(202) as unknown as Response);
+    const batch = await client.graphRequest('/$batch', { method: 'POST', body: '{}' });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(batch.isError).toBe(true);
+
+    vi.mocked(global.fetch)
+      .mockReset()
+      .mockResolvedValueOnce(mockResponse(500) as unknown as Response)
+      .mockResolvedValueOnce(mockResponse(200, { id: 'ok' }) as unknown as Response);
+    const updated = await client.graphRequest('/me/events/1', {
+      method: 'PATCH',
+      body: '{}',
+      headers: { 'If-Match': 'etag' },
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(updated.isError).toBeUndefined();
+  });
+
+  it('does not retry client errors', async () => {
+    vi.mocked(global.fetch).mockResolvedValue(mockResponse(404) as unknown as Response);
+
+    const client = new GraphClient(authManager);
+    const result = await client.graphRequest('/me/messages/missing');
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result.isError).toBe(true);
+  });
+});
+
+describe('computeRetryDelay', () => {
+  const policy = { ...DEFAULT_RETRY_POLICY, baseDelayMs: 100, maxDelayMs: 5000 };
+
+  it('uses Retry-After seconds when present', () => {
+    expect(computeRetryDelay(0, policy, '2')).toBe(2000);
+  });
+
+  it('caps Retry-After at maxDelayMs', () => {
+    expect(computeRetryDelay(0, policy, '600')).toBe(5000);
+  });
+
+  it('supports HTTP-date Retry-After values', () => {
+    const date = new Date(Date.now() + 3000).toUTCString();
+    const delay = computeRetryDelay(0, policy, date);
+    expect(delay).toBeGreaterThan(1000);
+    expect(delay).toBeLessThanOrEqual(3000);
+  });
+
+  it('falls back to exponential backoff with jitter', () => {
+    expect(computeRetryDelay(0, policy, null, () => 0.5)).toBe(50);
+    expect(computeRetryDelay(3, policy, null, () => 0.5)).toBe(400);
+    expect(computeRetryDelay(10, policy, null, () => 0.999)).toBeLessThan(5000);
+  });
+});
@@ -0,0 +1,112 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import GraphClient from '../src/graph-client.js';
+import { classifyGraphError } from '../src/graph-error.js';
+import type AuthManager from '../src/auth.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+function graphError(status: number, code: string, message: string, headers = {}) {
+  return new Response(
+    JSON.stringify({
+      error: {
+        code,
+        message,
+        innerError: { 'request-id': 'request-1', 'client-request-id': 'client-1' },
+      },
+    }),
+    { status, headers }
+  );
+}
+
+describe('Graph errors', () => {
+  let graphClient: GraphClient;
+
+  beforeEach(() => {
+    const authManager = { getToken: vi.fn().mockResolvedValue('token') } as unknown as AuthManager;
+    graphClient = new GraphClient(authManager, { retryPolicy: { maxRetries: 0 } });
+    global.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it('classifies errors by status and Graph error code', () => {
+    expect(classifyGraphError(401)).toBe('auth');
+    expect(classifyGraphError(403, 'Authorization_RequestDenied')).toBe('consent');
+    expect(classifyGraphError(400, 'ErrorItemNotFound')).toBe('not-found');
+    expect(classifyGraphError(429)).toBe('throttled');
+    expect(classifyGraphError(412)).toBe('conflict');
+    expect(classifyGraphError(400, 'BadRequest')).toBe('validation');
+    expect(classifyGraphError(503)).toBe('server');
+  });
+
+  it('returns the parsed error with the tool and its scopes', async () => {
+    vi.mocked(global.fetch).mockResolvedValueOnce(
+      graphError(403, 'Authorization_RequestDenied', 'Insufficient privileges to complete.')
+    );
+
+    const response = await graphClient.graphRequest('/me/messages', {
+      errorContext: { tool: 'list-mail-messages', requiredScopes: ['Mail.Read'] },
+    });
+
+    expect(response.isError).toBe(true);
+    const body = JSON.parse((response.content[0] as { text: string }).text);
+    expect(body).toMatchObject({
+      category: 'consent',
+      status: 403,
+      code: 'Authorization_RequestDenied',
+      message: 'Insufficient privileges to complete.',
+      tool: 'list-mail-messages',
+      requiredScopes: ['Mail.Read'],
+      requestId: 'request-1',
+      clientRequestId: 'client-1',
+    });
+    expect(body.remediation).toContain('Mail.Read');
+    expect(body.remediation).not.toContain('--org-mode');
+    expect(body.error).toContain('403');
+  });
+
+  it('tells throttled callers how long to wait', async () => {
+    vi.mocked(global.fetch).mockResolvedValueOnce(
+      graphError(429, 'TooManyRequests', 'Too many requests', { 'Retry-After': '30' })
+    );
+
+    const response = await graphClient.graphRequest('/me/messages');
+    const body = JSON.parse((response.content[0] as { text: string }).text);
+
+    expect(body.category).toBe('throttled');
+    expect(body.remediation).toContain('30 seconds');
+  });
+
+  it('keeps the status text of responses without an error envelope', async () => {
+    vi.mocked(global.fetch).mockResolvedValueOnce(
+      new Response('<html>Bad gateway</html>', {
+        status: 502,
+        statusText: 'Bad Gateway',
+        headers: { 'request-id': 'request-2' },
+      })
+    );
+
+    await expect(graphClient.makeRequest('/me')).rejects.toMatchObject({
+      category: 'server',
+      requestId: 'request-2',
+      message: 'Microsoft Graph API error: 502 Bad Gateway - <html>Bad gateway</html>',
+    });
+  });
+
+  it('sends a client-request-id with every request', async () => {
+    vi.mocked(global.fetch).mockResolvedValueOnce(new Response('{}', { status: 200 }));
+
+    await graphClient.graphRequest('/me');
+
+    const headers = vi.mocked(global.fetch).mock.calls[0][1]?.headers as Record<string, string>;
+    expect(headers['client-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
@@ -0,0 +1,187 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { registerGraphResources } from '../src/graph-resources.js';
+import GraphClient from '../src/graph-client.js';
+import { configurePolicy, Policy } from '../src/policy.js';
+import type AuthManager from '../src/auth.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+describe('Graph resources', () => {
+  let graphClient: GraphClient;
+  let makeRequest: ReturnType<typeof vi.spyOn>;
+  let server: McpServer;
+  let client: Client;
+
+  async function connect(options: Parameters<typeof registerGraphResources>[2] = {}) {
+    server = new McpServer({ name: 'test', version: '1.0.0' });
+    registerGraphResources(server, graphClient, options);
+    client = new Client({ name: 'client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  }
+
+  beforeEach(() => {
+    graphClient = new GraphClient({} as AuthManager);
+    makeRequest = vi.spyOn(graphClient, 'makeRequest');
+  });
+
+  afterEach(async () => {
+    await client?.close();
+    vi.useRealTimers();
+    vi.resetAllMocks();
+  });
+
+  it('offers templates and lists items', async () => {
+    await connect();
+    makeRequest.mockImplementation(async (url: string) => {
+      if (url.startsWith('/me/messages')) {
+        return { value: [{ id: 'AAMk=', subject: 'Budget' }] };
+      }
+      if (url.startsWith('/me/drive/root/children')) {
+        return {
+          value: [
+            { id: 'item-1', name: 'notes.txt', parentReference: { driveId: 'b!mine' } },
+            {
+              id: 'local',
+              name: 'plan.docx',
+              remoteItem: { id: 'remote', parentReference: { driveId: 'b!drive' } },
+            },
+          ],
+        };
+      }
+      return { value: [] };
+    });
+
+    const { resourceTemplates } = await client.listResourceTemplates();
+    expect(resourceTemplates.map((template) => template.uriTemplate)).toEqual([
+      'ms365://mail/messages/{id}',
+      'ms365://drive/{driveId}/items/{itemId}',
+      'ms365://onenote/pages/{id}',
+    ]);
+
+    const { resources } = await client.listResources();
+    expect(resources.map((resource) => [resource.uri, resource.name])).toEqual([
+      ['ms365://mail/messages/AAMk%3D', 'Budget'],
+      ['ms365://drive/b!mine/items/item-1', 'notes.txt'],
+      ['ms365://drive/b!drive/items/remote', 'plan.docx'],
+    ]);
+    expect(makeRequest.mock.calls.map(([url]) => url)).not.toContainEqual(
+      expect.stringContaining('/me/drive/recent')
+    );
+  });
+
+  it('reads messages as JSON and files as blobs', async () => {
+    await connect();
+    makeRequest
+      .mockResolvedValueOnce({ id: 'AAMk=', subject: 'Budget' })
+      .mockResolvedValueOnce({ id: 'item-1', file: { mimeType: 'application/pdf' } })
+      .mockResolvedValueOnce({
+        kind: 'raw-content',
+        uri: 'https://graph.microsoft.com/v1.0/drives/b!drive/items/item-1/content',
+        mimeType: 'application/pdf',
+        size: 4,
+        data: Buffer.from('%PDF'),
+      });
+
+    const message = await client.readResource({ uri: 'ms365://mail/messages/AAMk%3D' });
+    expect(makeRequest.mock.calls[0][0]).toBe('/me/messages/AAMk%3D');
+    expect(JSON.parse(message.contents[0].text as string).subject).toBe('Budget');
+
+    const file = await client.readResource({ uri: 'ms365://drive/b!drive/items/item-1' });
+    expect(makeRequest.mock.calls[2]).toEqual([
+      '/drives/b!drive/items/item-1/content',
+      { rawResponse: true },
+    ]);
+    expect(file.contents[0]).toMatchObject({
+      mimeType: 'application/pdf',
+      blob: Buffer.from('%PDF').toString('base64'),
+    });
+  });
+
+  it('notifies subscribers when an item changes', async () => {
+    vi.useFakeTimers();
+    await connect({ subscriptions: true, pollIntervalMs: 1000 });
+    makeRequest
+      .mockResolvedValueOnce({ lastModifiedDateTime: '2026-01-01T00:00:00Z' })
+      .mockResolvedValueOnce({ lastModifiedDateTime: '2026-01-01T00:00:00Z' })
+      .mockResolvedValueOnce({ lastModifiedDateTime: '2026-01-02T00:00:00Z' });
+
+    const updates: string[] = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+      updates.push(notification.params.uri);
+    });
+
+    await client.subscribeResource({ uri: 'ms365://onenote/pages/page-1' });
+    expect(makeRequest.mock.calls[0][0]).toBe(
+      '/me/onenote/pages/page-1?$select=id,lastModifiedDateTime'
+    );
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(updates).toEqual([]);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(updates).toEqual(['ms365://onenote/pages/page-1']);
+
+    await client.unsubscribeResource({ uri: 'ms365://onenote/pages/page-1' });
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(makeRequest).toHaveBeenCalledTimes(3);
+  });
+
+  it('follows the tools that are enabled at runtime', async () => {
+    vi.useFakeTimers();
+    const enabled = new Set(['get-mail-message', 'get-onenote-page-content']);
+    await connect({
+      subscriptions: true,
+      pollIntervalMs: 1000,
+      isToolEnabled: (toolName) => enabled.has(toolName),
+    });
+    makeRequest.mockResolvedValue({ value: [], lastModifiedDateTime: '2026-01-01T00:00:00Z' });
+
+    await expect(
+      client.readResource({ uri: 'ms365://drive/b!drive/items/item-1' })
+    ).rejects.toThrow('download-onedrive-file-content is disabled');
+    await client.listResources();
+    expect(makeRequest.mock.calls.map(([url]) => url.split('?')[0])).toEqual([
+      '/me/messages',
+      '/me/onenote/pages',
+    ]);
+
+    await client.subscribeResource({ uri: 'ms365://onenote/pages/page-1' });
+    makeRequest.mockClear();
+    enabled.delete('get-onenote-page-content');
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(makeRequest).not.toHaveBeenCalled();
+  });
+
+  it('applies the policy to listing and update checks', async () => {
+    vi.useFakeTimers();
+    await connect({ subscriptions: true, pollIntervalMs: 1000 });
+    makeRequest.mockResolvedValue({ value: [], lastModifiedDateTime: '2026-01-01T00:00:00Z' });
+    await client.subscribeResource({ uri: 'ms365://drive/b!drive/items/item-1' });
+    makeRequest.mockClear();
+
+    configurePolicy(new Policy({ resources: { driveIds: ['team-drive'] } }));
+    try {
+      await client.listResources();
+      expect(makeRequest.mock.calls.map(([url]) => url.split('?')[0])).toEqual([
+        '/me/messages',
+        '/me/onenote/pages',
+      ]);
+
+      makeRequest.mockClear();
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(makeRequest).not.toHaveBeenCalled();
+    } finally {
+      configurePolicy(undefined);
+    }
+  });
+});
@@ -0,0 +1,106 @@
+import type { AddressInfo } from 'net';
+import type { Server } from 'http';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import MicrosoftGraphServer from '../src/server.js';
+import type AuthManager from '../src/auth.js';
+import type GraphClient from '../src/graph-client.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+  enableConsoleLogging: vi.fn(),
+}));
+
+vi.mock('../src/auth.js', () => ({
+  default: vi.fn(),
+}));
+
+vi.mock('../src/graph-tools.js', () => ({
+  registerGraphTools: vi.fn(
+    (server: { tool: (...args: unknown[]) => void }, graphClient: GraphClient) => {
+      server.tool('get-current-user', 'Get the current user', {}, async () =>
+        graphClient.graphRequest('/me')
+      );
+      return [];
+    }
+  ),
+}));
+
+const realFetch = global.fetch;
+
+async function callTool(baseUrl: string, token: string): Promise<{ seenToken: string }> {
+  const response = await realFetch(`${baseUrl}/mcp`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+    },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'tools/call',
+      params: { name: 'get-current-user', arguments: {} },
+    }),
+  });
+
+  const body = await response.text();
+  const message = JSON.parse(body.slice(body.indexOf('data: ') + 6).split('\n')[0]);
+  return JSON.parse(message.result.content[0].text);
+}
+
+describe('HTTP mode credentials', () => {
+  let httpServer: Server;
+  let baseUrl: string;
+
+  beforeEach(async () => {
+    // Graph echoes the token it was called with; later callers answer first to interleave requests
+    let pending = 0;
+    global.fetch = vi.fn(async (...[input, init]: Parameters<typeof fetch>) => {
+      const url = input.toString();
+      if (!url.startsWith('https://graph.microsoft.com/')) {
+        return realFetch(input, init);
+      }
+      const delay = 50 - pending++ * 10;
+      await new Promise((resolve) => setTimeout(resolve, Math.max(delay, 0)));
+      const authorization = (init!.headers as Record<string, string>).Authorization;
+      return new Response(JSON.stringify({ seenToken: authorization.substring(7) }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }) as typeof fetch;
+
+    const server = new MicrosoftGraphServer({} as AuthManager, {
+      http: true,
+      storageDir: '/nonexistent',
+    });
+    await server.initialize('test');
+    httpServer = server.createHttpApp(0).listen(0);
+    await new Promise((resolve) => httpServer.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(httpServer.address() as AddressInfo).port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => httpServer.close(resolve));
+    global.fetch = realFetch;
+    vi.clearAllMocks();
+  });
+
+  it('calls Graph with the bearer token of each concurrent request', async () => {
+    const tokens = ['token-alice', 'token-bob', 'token-carol', 'token-dave'];
+
+    const results = await Promise.all(tokens.map((token) => callTool(baseUrl, token)));
+
+    expect(results.map((result) => result.seenToken)).toEqual(tokens);
+  });
+
+  it('does not reuse a previous caller token', async () => {
+    await callTool(baseUrl, 'token-alice');
+    const result = await callTool(baseUrl, 'token-bob');
+
+    expect(result.seenToken).toBe('token-bob');
+  });
+});
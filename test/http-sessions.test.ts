@@ -0,0 +1,274 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import type { AddressInfo } from 'net';
+import type { Server } from 'http';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import type { JSONRPCMessage } from '@modelcontextprotocol/sdk/types.js';
+import MicrosoftGraphServer from '../src/server.js';
+import {
+  FileEventStore,
+  InMemoryEventStore,
+  purgeEventFiles,
+  type SessionEventStore,
+} from '../src/event-store.js';
+import HttpSessionManager from '../src/http-sessions.js';
+import type AuthManager from '../src/auth.js';
+import type { CommandOptions } from '../src/cli.js';
+import { resolveTokenOwner } from '../src/lib/microsoft-auth.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+  enableConsoleLogging: vi.fn(),
+}));
+
+vi.mock('../src/auth.js', () => ({
+  default: vi.fn(),
+}));
+
+vi.mock('../src/graph-tools.js', () => ({
+  registerGraphTools: vi.fn(() => []),
+}));
+
+// Stands in for Graph's /me: tokens named token-<user>[-<suffix>] belong to <user>
+vi.mock('../src/lib/microsoft-auth.js', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../src/lib/microsoft-auth.js')>()),
+  resolveTokenOwner: vi.fn(async (token: string) => {
+    const match = /^token-([a-z]+)/.exec(token);
+    if (!match) {
+      throw new Error('Graph rejected the token with status 401');
+    }
+    return `user-${match[1]}`;
+  }),
+}));
+
+function message(id: number): JSONRPCMessage {
+  return { jsonrpc: '2.0', id, result: {} };
+}
+
+async function replayAll(store: SessionEventStore, lastEventId: string) {
+  const replayed: Array<[string, JSONRPCMessage]> = [];
+  const streamId = await store.replayEventsAfter(lastEventId, {
+    send: async (eventId, event) => {
+      replayed.push([eventId, event]);
+    },
+  });
+  return { streamId, replayed };
+}
+
+describe('session event stores', () => {
+  let tempDir: string;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it.each([
+    ['memory', () => new InMemoryEventStore()],
+    ['file', () => new FileEventStore(path.join(tempDir, 'session.jsonl'))],
+  ])('replays later events of the same stream from the %s store', async (_kind, create) => {
+    const store = create();
+    const first = await store.storeEvent('stream-a', message(1));
+    await store.storeEvent('stream-b', message(2));
+    const third = await store.storeEvent('stream-a', message(3));
+
+    const { streamId, replayed } = await replayAll(store, first);
+
+    expect(streamId).toBe('stream-a');
+    expect(replayed).toEqual([[third, message(3)]]);
+  });
+
+  it('removes the event file when cleared', async () => {
+    const filePath = path.join(tempDir, 'session.jsonl');
+    const store = new FileEventStore(filePath);
+    await store.storeEvent('stream-a', message(1));
+    expect(fs.existsSync(filePath)).toBe(true);
+
+    await store.clear();
+
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it('keeps event files private and removes those of an earlier run', async () => {
+    const directory = path.join(tempDir, 'http-events');
+    const store = new FileEventStore(path.join(directory, 'session.jsonl'));
+    await store.storeEvent('stream-a', message(1));
+    expect(fs.statSync(directory).mode & 0o777).toBe(0o700);
+    expect(fs.statSync(path.join(directory, 'session.jsonl')).mode & 0o777).toBe(0o600);
+
+    fs.chmodSync(directory, 0o755);
+    await purgeEventFiles(directory);
+
+    expect(fs.readdirSync(directory)).toEqual([]);
+    expect(fs.statSync(directory).mode & 0o777).toBe(0o700);
+    await expect(purgeEventFiles(path.join(tempDir, 'missing'))).resolves.toBeUndefined();
+  });
+});
+
+describe('HTTP session manager', () => {
+  it('refuses idle timeouts under a second', () => {
+    expect(
+      () => new HttpSessionManager(vi.fn(), { idleTimeoutMs: 0, eventStoreDir: '/nonexistent' })
+    ).toThrow('at least 1000ms');
+  });
+});
+
+describe('HTTP sessions', () => {
+  let httpServer: Server;
+  let baseUrl: string;
+
+  async function startServer(options: CommandOptions): Promise<void> {
+    const server = new MicrosoftGraphServer({} as AuthManager, {
+      http: true,
+      storageDir: '/nonexistent',
+      ...options,
+    });
+    await server.initialize('test');
+    httpServer = server.createHttpApp(0).listen(0);
+    await new Promise((resolve) => httpServer.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(httpServer.address() as AddressInfo).port}`;
+  }
+
+  function post(body: unknown, token: string, sessionId?: string) {
+    return fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        ...(sessionId ? { 'mcp-session-id': sessionId } : {}),
+      },
+      body: JSON.stringify(body),
+    });
+  }
+
+  async function initialize(token: string): Promise<string> {
+    const response = await post(
+      {
+        jsonrpc: '2.0',
+        id: 0,
+        method: 'initialize',
+        params: {
+          protocolVersion: '2025-03-26',
+          capabilities: {},
+          clientInfo: { name: 'test', version: '1.0.0' },
+        },
+      },
+      token
+    );
+    await response.text();
+    expect(response.status).toBe(200);
+    return response.headers.get('mcp-session-id')!;
+  }
+
+  const listTools = { jsonrpc: '2.0', id: 1, method: 'tools/list' };
+
+  afterEach(async () => {
+    httpServer.closeAllConnections();
+    await new Promise((resolve) => httpServer.close(resolve));
+    vi.useRealTimers();
+  });
+
+  it('issues a session ID and serves later requests in that session', async () => {
+    await startServer({ httpSessions: true });
+
+    const sessionId = await initialize('token-a');
+    expect(sessionId).toMatch(/^[0-9a-f-]{36}$/);
+
+    const response = await post(listTools, 'token-a', sessionId);
+    expect(response.status).toBe(200);
+    expect(await response.text()).toContain('"tools"');
+  });
+
+  it('offers the mode tools only where a session keeps their state', async () => {
+    await startServer({ httpSessions: true, enableAuthTools: true });
+    const sessionId = await initialize('token-a');
+    expect(await (await post(listTools, 'token-a', sessionId)).text()).toContain('set-read-only');
+
+    httpServer.closeAllConnections();
+    await new Promise((resolve) => httpServer.close(resolve));
+    await startServer({ enableAuthTools: true });
+    const stateless = await (await post(listTools, 'token-a')).text();
+    expect(stateless).toContain('verify-login');
+    expect(stateless).not.toContain('set-read-only');
+  });
+
+  it('rejects requests without a session and for unknown sessions', async () => {
+    await startServer({ httpSessions: true });
+
+    expect((await post(listTools, 'token-a')).status).toBe(400);
+    expect((await post(listTools, 'token-a', 'unknown-session')).status).toBe(404);
+  });
+
+  it("refuses to serve a session with another user's token", async () => {
+    await startServer({ httpSessions: true });
+    const sessionId = await initialize('token-a');
+
+    expect((await post(listTools, 'token-b', sessionId)).status).toBe(403);
+
+    // Claims are not trusted: a token naming user a that Graph does not accept is refused
+    const forged = `x.${Buffer.from(JSON.stringify({ oid: 'a', tid: 't' })).toString('base64url')}.x`;
+    expect((await post(listTools, forged, sessionId)).status).toBe(403);
+  });
+
+  it('accepts refreshed tokens of the same user and checks each token once', async () => {
+    await startServer({ httpSessions: true });
+    const sessionId = await initialize('token-a');
+    vi.mocked(resolveTokenOwner).mockClear();
+
+    expect((await post(listTools, 'token-a-refreshed', sessionId)).status).toBe(200);
+    expect((await post(listTools, 'token-a-refreshed', sessionId)).status).toBe(200);
+    expect((await post(listTools, 'token-a', sessionId)).status).toBe(200);
+    expect(resolveTokenOwner).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses to start a session with a token Graph does not accept', async () => {
+    await startServer({ httpSessions: true });
+
+    const response = await post(
+      {
+        jsonrpc: '2.0',
+        id: 0,
+        method: 'initialize',
+        params: {
+          protocolVersion: '2025-03-26',
+          capabilities: {},
+          clientInfo: { name: 'test', version: '1.0.0' },
+        },
+      },
+      'forged'
+    );
+    expect(response.status).toBe(401);
+  });
+
+  it('ends a session on DELETE', async () => {
+    await startServer({ httpSessions: true });
+    const sessionId = await initialize('token-a');
+
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: 'DELETE',
+      headers: { Authorization: 'Bearer token-a', 'mcp-session-id': sessionId },
+    });
+    expect(response.status).toBe(200);
+
+    expect((await post(listTools, 'token-a', sessionId)).status).toBe(404);
+  });
+
+  it('expires idle sessions', async () => {
+    vi.useFakeTimers({ toFake: ['setInterval', 'Date'] });
+    await startServer({ httpSessions: true, sessionIdleTimeout: 1 });
+    const sessionId = await initialize('token-a');
+
+    vi.advanceTimersByTime(2 * 60 * 1000);
+
+    expect((await post(listTools, 'token-a', sessionId)).status).toBe(404);
+  });
+});
@@ -0,0 +1,169 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import GraphClient from '../src/graph-client.js';
+import { z } from 'zod';
+import {
+  decodeCursor,
+  encodeCursor,
+  fetchPages,
+  isCollectionResponse,
+  MAX_PAGES,
+} from '../src/pagination.js';
+import type AuthManager from '../src/auth.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+const baseUrl = 'https://graph.microsoft.com/v1.0/me/messages';
+
+function page(ids: string[], skiptoken?: string) {
+  return new Response(
+    JSON.stringify({
+      '@odata.context': 'context',
+      value: ids.map((id) => ({ id })),
+      ...(skiptoken && { '@odata.nextLink': `${baseUrl}?$top=2&$skiptoken=${skiptoken}` }),
+    }),
+    { status: 200, headers: { 'Content-Type': 'application/json' } }
+  );
+}
+
+function idsOf(text: string): string[] {
+  return JSON.parse(text).value.map((item: { id: string }) => item.id);
+}
+
+describe('pagination', () => {
+  let graphClient: GraphClient;
+  const options = { method: 'GET', headers: { Prefer: 'outlook.body-content-type="text"' } };
+
+  beforeEach(() => {
+    const authManager = { getToken: vi.fn().mockResolvedValue('token') } as unknown as AuthManager;
+    graphClient = new GraphClient(authManager);
+    global.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it('keeps the nextLink out of the result but reports it in the metadata', async () => {
+    vi.mocked(global.fetch).mockResolvedValueOnce(page(['a', 'b'], 'p2'));
+
+    const response = await graphClient.graphRequest('/me/messages?$top=2');
+
+    expect(response.content[0].type === 'text' && response.content[0].text).not.toContain('odata');
+    expect(response._meta?.nextLink).toBe(`${baseUrl}?$top=2&$skiptoken=p2`);
+  });
+
+  it('returns a single page and where to continue', async () => {
+    vi.mocked(global.fetch).mockResolvedValueOnce(page(['a', 'b'], 'p2'));
+
+    const result = await fetchPages(graphClient, '/me/messages?$top=2', options, { maxPages: 1 });
+
+    expect(result.next).toEqual({ url: `${baseUrl}?$top=2&$skiptoken=p2`, offset: 0 });
+    expect(result.response._meta).toBeUndefined();
+  });
+
+  it('follows nextLinks with their skiptoken and the original headers', async () => {
+    vi.mocked(global.fetch)
+      .mockResolvedValueOnce(page(['a', 'b'], 'p2'))
+      .mockResolvedValueOnce(page(['c', 'd'], 'p3'))
+      .mockResolvedValueOnce(page(['e']));
+
+    const result = await fetchPages(graphClient, '/me/messages?$top=2', options, {
+      maxPages: MAX_PAGES,
+    });
+
+    const calls = vi.mocked(global.fetch).mock.calls;
+    expect(calls[1][0]).toBe(`${baseUrl}?$top=2&$skiptoken=p2`);
+    expect(calls[2][0]).toBe(`${baseUrl}?$top=2&$skiptoken=p3`);
+    expect((calls[2][1]?.headers as Record<string, string>).Prefer).toBe(
+      'outlook.body-content-type="text"'
+    );
+    expect(result.next).toBeUndefined();
+    expect(result.pages).toBe(3);
+    expect(
+      result.response.content[0].type === 'text' && idsOf(result.response.content[0].text)
+    ).toEqual(['a', 'b', 'c', 'd', 'e']);
+  });
+
+  it('stops at maxItems and resumes in the middle of a page', async () => {
+    vi.mocked(global.fetch)
+      .mockResolvedValueOnce(page(['a', 'b'], 'p2'))
+      .mockResolvedValueOnce(page(['c', 'd'], 'p3'));
+
+    const first = await fetchPages(graphClient, '/me/messages?$top=2', options, {
+      maxItems: 3,
+      maxPages: MAX_PAGES,
+    });
+    expect(first.next).toEqual({ url: `${baseUrl}?$top=2&$skiptoken=p2`, offset: 1 });
+    expect(
+      first.response.content[0].type === 'text' && idsOf(first.response.content[0].text)
+    ).toEqual(['a', 'b', 'c']);
+
+    vi.mocked(global.fetch).mockResolvedValueOnce(page(['c', 'd'], 'p3'));
+    const second = await fetchPages(graphClient, first.next!.url, options, {
+      maxPages: 1,
+      offset: first.next!.offset,
+    });
+    expect(
+      second.response.content[0].type === 'text' && idsOf(second.response.content[0].text)
+    ).toEqual(['d']);
+    expect(second.next).toEqual({ url: `${baseUrl}?$top=2&$skiptoken=p3`, offset: 0 });
+  });
+
+  it('encodes cursors that only the issuing tool accepts', () => {
+    const cursor = encodeCursor({
+      tool: 'list-mail-messages',
+      url: `${baseUrl}?$skiptoken=p2`,
+      offset: 0,
+    });
+
+    expect(decodeCursor(cursor, 'list-mail-messages')).toEqual({
+      tool: 'list-mail-messages',
+      url: `${baseUrl}?$skiptoken=p2`,
+      offset: 0,
+    });
+    expect(() => decodeCursor(cursor, 'list-calendar-events')).toThrow(
+      'returned by list-mail-messages'
+    );
+    expect(() => decodeCursor('not a cursor', 'list-mail-messages')).toThrow('Invalid cursor');
+  });
+
+  it('refuses cursors it did not sign', () => {
+    const cursor = encodeCursor({
+      tool: 'list-mail-messages',
+      url: `${baseUrl}?$skiptoken=p2`,
+      offset: 0,
+    });
+    const [payload, signature] = cursor.split('.');
+    const forgedPayload = Buffer.from(
+      JSON.stringify({ tool: 'list-mail-messages', url: '/users', offset: 0 })
+    ).toString('base64url');
+
+    expect(() => decodeCursor(payload, 'list-mail-messages')).toThrow('Invalid cursor');
+    expect(() => decodeCursor(`${forgedPayload}.${signature}`, 'list-mail-messages')).toThrow(
+      'Invalid cursor'
+    );
+    expect(() => decodeCursor(`${cursor}.extra`, 'list-mail-messages')).toThrow('Invalid cursor');
+  });
+
+  it('only pages responses that are collections', () => {
+    const item = z.object({ id: z.string() }).strict();
+    const collection = z
+      .object({ '@odata.nextLink': z.string().nullish(), value: z.array(item).optional() })
+      .partial()
+      .strict();
+
+    expect(isCollectionResponse(collection)).toBe(true);
+    expect(isCollectionResponse(z.object({ '@odata.count': z.number() }).and(collection))).toBe(
+      true
+    );
+    expect(isCollectionResponse(item)).toBe(false);
+    expect(isCollectionResponse(z.object({ value: z.string() }))).toBe(false);
+    expect(isCollectionResponse(z.any())).toBe(false);
+  });
+});
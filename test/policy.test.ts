@@ -0,0 +1,190 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { parsePolicy, Policy, PolicyError, validatePolicyFile } from '../src/policy.js';
+import type GraphClient from '../src/graph-client.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+const policyYaml = `
+tools:
+  allow: ['list-*', 'get-*', 'category:send']
+  deny: ['send-channel-message']
+resources:
+  driveIds: [team-drive]
+recipients:
+  allowedDomains: [contoso.com]
+limits:
+  maxAttachmentBytes: 1000
+  maxItemsPerCall: 50
+`;
+
+function violation(fn: () => void): PolicyError {
+  try {
+    fn();
+  } catch (error) {
+    return error as PolicyError;
+  }
+  throw new Error('Expected a policy violation');
+}
+
+describe('policy', () => {
+  const policy = new Policy(parsePolicy(policyYaml));
+
+  it('allows and denies tools by name, glob and category', () => {
+    expect(policy.isToolAllowed('list-mail-messages', 'GET')).toBe(true);
+    expect(policy.isToolAllowed('send-mail', 'POST')).toBe(true);
+    expect(policy.isToolAllowed('send-channel-message', 'POST')).toBe(false);
+    expect(policy.isToolAllowed('delete-mail-message', 'DELETE')).toBe(false);
+    expect(policy.maxItemsPerCall).toBe(50);
+  });
+
+  it('restricts drives, recipient domains and attachment sizes', () => {
+    expect(() =>
+      policy.checkRequest({
+        tool: 'get-drive-item',
+        method: 'GET',
+        path: '/drives/team-drive/root',
+      })
+    ).not.toThrow();
+    expect(
+      violation(() =>
+        policy.checkRequest({ tool: 'get-drive-item', method: 'GET', path: '/drives/other/root' })
+      ).rule
+    ).toBe('resources.driveIds');
+    expect(
+      violation(() =>
+        policy.checkRequest({
+          tool: 'list-folder-files',
+          method: 'GET',
+          path: '/me/drive/root/children',
+        })
+      ).rule
+    ).toBe('resources.driveIds');
+    expect(() =>
+      policy.checkRequest({ tool: 'list-drives', method: 'GET', path: '/me/drives' })
+    ).not.toThrow();
+
+    const message = (address: string, contentBytes = '') => ({
+      message: {
+        toRecipients: [{ emailAddress: { address } }],
+        attachments: [{ contentBytes }],
+      },
+    });
+    expect(() =>
+      policy.checkRequest({
+        tool: 'send-mail',
+        method: 'POST',
+        path: '/me/sendMail',
+        body: JSON.stringify(message('jane@sales.contoso.com')),
+      })
+    ).not.toThrow();
+    expect(
+      violation(() =>
+        policy.checkRequest({
+          tool: 'send-mail',
+          method: 'POST',
+          path: '/me/sendMail',
+          body: message('someone@fabrikam.com'),
+        })
+      ).message
+    ).toContain('someone@fabrikam.com is outside the allowed domains');
+    expect(
+      violation(() =>
+        policy.checkRequest({
+          tool: 'send-mail',
+          method: 'POST',
+          path: '/me/sendMail',
+          body: message('jane@contoso.com', Buffer.alloc(2000).toString('base64')),
+        })
+      ).rule
+    ).toBe('limits.maxAttachmentBytes');
+  });
+
+  it('limits the size of uploaded files', () => {
+    const limited = new Policy({ limits: { maxAttachmentBytes: 1000 } });
+    const upload = (body: string) =>
+      limited.checkRequest({
+        tool: 'upload-file-content',
+        method: 'PUT',
+        path: '/drives/team-drive/items/item-1/content',
+        body,
+      });
+    expect(() => upload('x'.repeat(1000))).not.toThrow();
+    expect(violation(() => upload('x'.repeat(1001))).message).toContain(
+      'An upload of 1001 bytes exceeds the limit of 1000 bytes'
+    );
+    expect(
+      violation(() =>
+        limited.checkRequest({
+          tool: 'upload-large-file',
+          method: 'POST',
+          path: '/drives/team-drive/items/root:/big.bin:/createUploadSession',
+          uploadBytes: 5000,
+        })
+      ).rule
+    ).toBe('limits.maxAttachmentBytes');
+  });
+
+  it('checks the members of a chat before sending to it', async () => {
+    const graphClient = {
+      makeRequest: vi.fn().mockResolvedValue({
+        value: [{ email: 'jane@contoso.com' }, { email: 'guest@fabrikam.com' }],
+      }),
+    } as unknown as GraphClient;
+
+    await expect(policy.checkChatMembers(graphClient, '/chats/19%3Achat/messages')).rejects.toThrow(
+      'guest@fabrikam.com'
+    );
+    expect(graphClient.makeRequest).toHaveBeenCalledWith('/chats/19%3Achat/members');
+  });
+
+  it('reports every schema problem', () => {
+    expect(() => parsePolicy('tools:\n  allow: list-*\nlimits:\n  maxItems: 5\n')).toThrow(
+      /tools\.allow: .*; limits: Unrecognized key/
+    );
+    expect(() => parsePolicy('tools:\n  deny: ["category:mail"]\n')).toThrow(
+      'unknown tool category'
+    );
+  });
+});
+
+describe('policy validation', () => {
+  let tempDir: string;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('checks the tool patterns against endpoints.json', () => {
+    const file = path.join(tempDir, 'policy.json');
+    fs.writeFileSync(file, JSON.stringify({ tools: { deny: ['send-mail', 'send-fax'] } }));
+
+    const result = validatePolicyFile(file);
+
+    expect(result.valid).toBe(true);
+    expect(result.deniedTools).toEqual(['send-mail']);
+    expect(result.warnings).toEqual(['send-fax does not match any tool in endpoints.json']);
+  });
+
+  it('reports invalid files', () => {
+    const file = path.join(tempDir, 'policy.yaml');
+    fs.writeFileSync(file, 'recipients:\n  allowedDomains: []\n');
+
+    const result = validatePolicyFile(file);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toContain('recipients.allowedDomains');
+  });
+});
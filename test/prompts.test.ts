@@ -0,0 +1,116 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { PromptListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { loadPromptDirectory, registerPrompts, type PromptDefinition } from '../src/prompts.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+describe('prompts', () => {
+  let client: Client;
+  let dir: string | undefined;
+
+  async function connect(enabledTools: string[], customPrompts: PromptDefinition[] = []) {
+    const server = new McpServer({ name: 'test', version: '1.0.0' });
+    const updatePrompts = registerPrompts(server, enabledTools, customPrompts);
+    client = new Client({ name: 'client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+    return updatePrompts;
+  }
+
+  afterEach(async () => {
+    await client?.close();
+    if (dir) {
+      rmSync(dir, { recursive: true, force: true });
+      dir = undefined;
+    }
+  });
+
+  it('only offers prompts whose tools are enabled', async () => {
+    await connect(['list-mail-messages', 'get-mail-message', 'get-calendar-view']);
+
+    const { prompts } = await client.listPrompts();
+    expect(prompts.map((prompt) => prompt.name)).toEqual(['triage-inbox', 'daily-agenda']);
+    expect(prompts[0].arguments).toEqual([
+      { name: 'count', description: 'Number of recent messages to go through', required: false },
+    ]);
+  });
+
+  it('follows changes to the enabled tools', async () => {
+    const updatePrompts = await connect(['get-calendar-view']);
+    const notified = vi.fn();
+    client.setNotificationHandler(PromptListChangedNotificationSchema, notified);
+
+    updatePrompts(['list-mail-messages', 'get-mail-message']);
+    let { prompts } = await client.listPrompts();
+    expect(prompts.map((prompt) => prompt.name)).toEqual(['triage-inbox']);
+    expect(notified).toHaveBeenCalledTimes(1);
+
+    const result = await client.getPrompt({ name: 'triage-inbox', arguments: {} });
+    expect(result.messages[0].content.text).toContain('`get-mail-message`');
+
+    // Nothing changed, so no notification
+    updatePrompts(['list-mail-messages', 'get-mail-message']);
+    ({ prompts } = await client.listPrompts());
+    expect(prompts).toHaveLength(1);
+    expect(notified).toHaveBeenCalledTimes(1);
+  });
+
+  it('fills in arguments and leaves out steps with disabled tools', async () => {
+    await connect(['list-mail-messages', 'get-mail-message', 'list-todo-task-lists']);
+
+    const result = await client.getPrompt({ name: 'triage-inbox', arguments: {} });
+    const text = result.messages[0].content.text as string;
+    expect(text).toContain('the 25 most recent messages');
+    expect(text).toContain('`get-mail-message`');
+    // Read-only: no drafts, tasks or moves
+    expect(text).not.toContain('create-draft-email');
+    expect(text).not.toContain('create-todo-task');
+    expect(text).not.toContain('move-mail-message');
+
+    const custom = await client.getPrompt({ name: 'triage-inbox', arguments: { count: '10' } });
+    expect(custom.messages[0].content.text).toContain('the 10 most recent messages');
+  });
+
+  it('loads custom prompts from a directory', async () => {
+    dir = mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+    writeFileSync(
+      path.join(dir, 'report.yaml'),
+      [
+        'name: weekly-report',
+        'description: Draft my weekly report',
+        'arguments:',
+        '  - name: week',
+        '    description: Week to report on',
+        '    required: true',
+        'template: |',
+        '  Report on {{week}}.',
+        '  - Check `get-calendar-view`.',
+      ].join('\n')
+    );
+    writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+    const prompts = loadPromptDirectory(dir);
+    expect(prompts.map((prompt) => prompt.name)).toEqual(['weekly-report']);
+
+    await connect(['get-calendar-view'], prompts);
+    const result = await client.getPrompt({ name: 'weekly-report', arguments: { week: 'W12' } });
+    expect(result.messages[0].content.text).toBe('Report on W12.\n- Check `get-calendar-view`.\n');
+
+    writeFileSync(path.join(dir, 'broken.json'), JSON.stringify({ name: 'Broken', template: '' }));
+    expect(() => loadPromptDirectory(dir as string)).toThrow(
+      /Invalid prompt in broken\.json: name/
+    );
+  });
+});
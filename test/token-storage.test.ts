@@ -0,0 +1,114 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import keytar from 'keytar';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  createTokenStorage,
+  EncryptedFileTokenStorage,
+  FileTokenStorage,
+  resolveStorageDir,
+} from '../src/token-storage.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+vi.mock('keytar', () => ({
+  default: {
+    getPassword: vi.fn(),
+    setPassword: vi.fn(),
+    deletePassword: vi.fn(),
+  },
+}));
+
+const cache = JSON.stringify({ RefreshToken: { secret: 'refresh-token-value' } });
+
+describe('token storage', () => {
+  let tempDir: string;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    vi.resetAllMocks();
+  });
+
+  it('resolves the XDG data directory and keeps profiles apart', () => {
+    const env = { XDG_DATA_HOME: '/data' };
+
+    expect(resolveStorageDir({}, env)).toBe('/data/ms-365-mcp-server');
+    expect(resolveStorageDir({ profile: 'contoso' }, env)).toBe(
+      '/data/ms-365-mcp-server/profiles/contoso'
+    );
+    expect(resolveStorageDir({ storageDir: '/srv/tokens' }, env)).toBe('/srv/tokens');
+  });
+
+  it('encrypts the token cache at rest', async () => {
+    const storage = new EncryptedFileTokenStorage(tempDir, 'passphrase');
+    await storage.save('token-cache', cache);
+
+    const onDisk = fs.readFileSync(path.join(tempDir, '.token-cache.enc'), 'utf8');
+    expect(onDisk).not.toContain('refresh-token-value');
+    expect(fs.statSync(path.join(tempDir, '.token-cache.enc')).mode & 0o777).toBe(0o600);
+
+    expect(await new EncryptedFileTokenStorage(tempDir, 'passphrase').load('token-cache')).toBe(
+      cache
+    );
+    await expect(
+      new EncryptedFileTokenStorage(tempDir, 'wrong').load('token-cache')
+    ).rejects.toThrow('Unable to decrypt');
+  });
+
+  it('reads the encryption secret from a key file', async () => {
+    const keyFile = path.join(tempDir, 'key');
+    fs.writeFileSync(keyFile, 'secret-from-file\n');
+
+    const storage = createTokenStorage({ kind: 'encrypted-file', dir: tempDir, keyFile });
+    await storage.save('selected-account', '{"accountId":"id"}');
+
+    expect(
+      await new EncryptedFileTokenStorage(tempDir, 'secret-from-file').load('selected-account')
+    ).toBe('{"accountId":"id"}');
+  });
+
+  it('requires a secret for encrypted files', () => {
+    expect(() => createTokenStorage({ kind: 'encrypted-file', dir: tempDir })).toThrow(
+      /MS365_MCP_TOKEN_PASSPHRASE/
+    );
+  });
+
+  it('falls back to files when the credential store is unavailable', async () => {
+    vi.mocked(keytar.setPassword).mockRejectedValue(new Error('No keyring'));
+    vi.mocked(keytar.getPassword).mockRejectedValue(new Error('No keyring'));
+
+    const storage = createTokenStorage({ dir: tempDir, passphrase: 'passphrase' });
+    await storage.save('token-cache', cache);
+
+    expect(fs.existsSync(path.join(tempDir, '.token-cache.enc'))).toBe(true);
+    expect(await storage.load('token-cache')).toBe(cache);
+
+    await storage.remove('token-cache');
+    expect(await new FileTokenStorage(tempDir).load('token-cache')).toBeNull();
+    expect(fs.existsSync(path.join(tempDir, '.token-cache.enc'))).toBe(false);
+  });
+
+  it('uses a separate credential store entry per profile', async () => {
+    await createTokenStorage({ kind: 'keytar', dir: tempDir, profile: 'contoso' }).save(
+      'token-cache',
+      cache
+    );
+
+    expect(keytar.setPassword).toHaveBeenCalledWith(
+      'ms-365-mcp-server:contoso',
+      'msal-token-cache',
+      cache
+    );
+  });
+});
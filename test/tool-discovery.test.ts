@@ -0,0 +1,116 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import ToolCatalog, { registerDiscoveryTools } from '../src/tool-discovery.js';
+import { registerDeltaTools } from '../src/delta-tools.js';
+import { DeltaTokenStore } from '../src/delta-store.js';
+import GraphClient from '../src/graph-client.js';
+import type AuthManager from '../src/auth.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+describe('discovery mode', () => {
+  let tempDir: string;
+  let makeRequest: ReturnType<typeof vi.spyOn>;
+  let client: Client;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-discovery-'));
+    const graphClient = new GraphClient({} as AuthManager);
+    makeRequest = vi.spyOn(graphClient, 'makeRequest');
+
+    const server = new McpServer({ name: 'test', version: '1.0.0' });
+    const catalog = new ToolCatalog();
+    registerDeltaTools(
+      catalog.collect(server),
+      graphClient,
+      new DeltaTokenStore(path.join(tempDir, 'delta-links.json')),
+      () => 'account-a',
+      'sync-(drive|contact)'
+    );
+    registerDiscoveryTools(server, catalog);
+
+    client = new Client({ name: 'client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    vi.resetAllMocks();
+  });
+
+  function parse(result: Awaited<ReturnType<Client['callTool']>>) {
+    return JSON.parse((result.content as { text: string }[])[0].text);
+  }
+
+  it('offers only the discovery tools and searches the filtered ones', async () => {
+    const { tools } = await client.listTools();
+    expect(tools.map((tool) => tool.name)).toEqual([
+      'search-tools',
+      'describe-tool',
+      'invoke-tool',
+    ]);
+
+    const all = parse(await client.callTool({ name: 'search-tools', arguments: {} }));
+    expect(all.tools.map((tool: { name: string }) => tool.name)).toEqual([
+      'sync-contact-changes',
+      'sync-drive-changes',
+    ]);
+
+    const drive = parse(
+      await client.callTool({ name: 'search-tools', arguments: { query: 'drive changes' } })
+    );
+    expect(drive).toMatchObject({ tools: [{ name: 'sync-drive-changes', category: 'read' }] });
+
+    const writes = parse(
+      await client.callTool({ name: 'search-tools', arguments: { category: 'write' } })
+    );
+    expect(writes).toEqual({ tools: [], total: 0 });
+  });
+
+  it('describes the parameters of a tool', async () => {
+    const description = parse(
+      await client.callTool({ name: 'describe-tool', arguments: { name: 'sync-contact-changes' } })
+    );
+    expect(Object.keys(description.inputSchema.properties)).toEqual(['contactFolderId', 'reset']);
+
+    const unknown = await client.callTool({
+      name: 'describe-tool',
+      arguments: { name: 'sync-mail-folder-changes' },
+    });
+    expect(unknown.isError).toBe(true);
+  });
+
+  it('validates the parameters and runs the tool', async () => {
+    const invalid = await client.callTool({
+      name: 'invoke-tool',
+      arguments: { name: 'sync-contact-changes', params: { reset: 'yes' } },
+    });
+    expect(invalid.isError).toBe(true);
+    expect(parse(invalid).issues).toEqual(['reset: Expected boolean, received string']);
+    expect(makeRequest).not.toHaveBeenCalled();
+
+    makeRequest.mockResolvedValueOnce({
+      value: [{ id: 'contact-1' }],
+      '@odata.deltaLink': 'https://graph.microsoft.com/v1.0/me/contacts/delta?$deltatoken=one',
+    });
+    const result = await client.callTool({
+      name: 'invoke-tool',
+      arguments: { name: 'sync-contact-changes' },
+    });
+    expect(makeRequest.mock.calls[0][0]).toBe('/me/contacts/delta');
+    expect(parse(result).changed).toEqual([{ id: 'contact-1' }]);
+  });
+});
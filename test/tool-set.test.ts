@@ -0,0 +1,196 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ToolListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import ToolSet from '../src/tool-set.js';
+import { registerAuthTools } from '../src/auth-tools.js';
+import ConfirmationGate from '../src/confirmation.js';
+import { configurePolicy, Policy } from '../src/policy.js';
+import type AuthManager from '../src/auth.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+const PERSONAL_TENANT = '9188040d-6c67-4c5b-b112-36a304b66dad';
+
+const AUTH_TOOLS = [
+  'login',
+  'logout',
+  'verify-login',
+  'list-accounts',
+  'select-account',
+  'remove-account',
+  'set-org-mode',
+  'set-read-only',
+];
+
+describe('tool set', () => {
+  let server: McpServer;
+  let toolSet: ToolSet;
+  let client: Client;
+  let notifications: number;
+  let authManager: {
+    getCurrentAccount: ReturnType<typeof vi.fn>;
+    selectAccount: ReturnType<typeof vi.fn>;
+    setScopes: ReturnType<typeof vi.fn>;
+    getToken: ReturnType<typeof vi.fn>;
+  };
+
+  async function connect(confirmation?: ConfirmationGate) {
+    registerAuthTools(server, authManager as unknown as AuthManager, toolSet, confirmation);
+    client = new Client({ name: 'client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+    notifications = 0;
+    client.setNotificationHandler(ToolListChangedNotificationSchema, () => {
+      notifications++;
+    });
+  }
+
+  async function graphToolNames(): Promise<string[]> {
+    const { tools } = await client.listTools();
+    return tools.map((tool) => tool.name).filter((name) => !AUTH_TOOLS.includes(name));
+  }
+
+  function callText(result: Awaited<ReturnType<Client['callTool']>>) {
+    return JSON.parse((result.content as { text: string }[])[0].text);
+  }
+
+  beforeEach(() => {
+    server = new McpServer({ name: 'test', version: '1.0.0' });
+    toolSet = new ToolSet(server, { orgMode: false, readOnly: true, personalAccount: false });
+    const register = (name: string, method: string, workOnly: boolean) => {
+      const handle = server.tool(name, `Test tool ${name}`, async () => ({ content: [] }));
+      toolSet.add(name, method, workOnly, handle);
+    };
+    register('list-mail-messages', 'GET', false);
+    register('send-mail', 'POST', false);
+    register('list-joined-teams', 'GET', true);
+
+    authManager = {
+      getCurrentAccount: vi.fn().mockResolvedValue({ tenantId: 'contoso' }),
+      selectAccount: vi.fn().mockResolvedValue(true),
+      setScopes: vi.fn(),
+      getToken: vi.fn().mockResolvedValue('token'),
+    };
+  });
+
+  afterEach(async () => {
+    await client?.close();
+    configurePolicy(undefined);
+  });
+
+  it('switches read-only and org mode at runtime and notifies the client', async () => {
+    await connect();
+    expect(await graphToolNames()).toEqual(['list-mail-messages']);
+
+    const readOnly = callText(
+      await client.callTool({ name: 'set-read-only', arguments: { enabled: false } })
+    );
+    expect(readOnly).toEqual({ readOnly: false, enabledTools: ['send-mail'], disabledTools: [] });
+    expect(await graphToolNames()).toEqual(['list-mail-messages', 'send-mail']);
+
+    await client.callTool({ name: 'set-org-mode', arguments: { enabled: true } });
+    expect(authManager.setScopes).toHaveBeenCalledWith(
+      expect.arrayContaining(['Team.ReadBasic.All'])
+    );
+    expect(await graphToolNames()).toEqual([
+      'list-mail-messages',
+      'send-mail',
+      'list-joined-teams',
+    ]);
+    expect(notifications).toBe(2);
+  });
+
+  it('hides work account tools while a personal account is selected', async () => {
+    toolSet.update({ orgMode: true });
+    await connect();
+    expect(await graphToolNames()).toContain('list-joined-teams');
+
+    authManager.getCurrentAccount.mockResolvedValue({ tenantId: PERSONAL_TENANT });
+    await client.callTool({ name: 'select-account', arguments: { accountId: 'personal' } });
+    expect(await graphToolNames()).toEqual(['list-mail-messages']);
+    expect(notifications).toBe(1);
+  });
+
+  it('follows policy changes', async () => {
+    await connect();
+    const listener = vi.fn();
+    toolSet.onChange(listener);
+    configurePolicy(new Policy({ tools: { deny: ['list-mail-*'] } }));
+    expect(await graphToolNames()).toEqual([]);
+    expect(toolSet.isEnabled('list-mail-messages')).toBe(false);
+    expect(listener).toHaveBeenCalledWith({ enabled: [], disabled: ['list-mail-messages'] });
+  });
+
+  it('keeps the read-only mode given on the command line', async () => {
+    server = new McpServer({ name: 'test', version: '1.0.0' });
+    toolSet = new ToolSet(
+      server,
+      { orgMode: false, readOnly: true, personalAccount: false },
+      { readOnlyLocked: true }
+    );
+    toolSet.add(
+      'send-mail',
+      'POST',
+      false,
+      server.tool('send-mail', async () => ({ content: [] }))
+    );
+    await connect();
+
+    const result = await client.callTool({ name: 'set-read-only', arguments: { enabled: false } });
+    expect(result.isError).toBe(true);
+    expect(callText(result).error).toContain('--read-only');
+    expect(toolSet.update({ readOnly: false }).enabled).toEqual([]);
+    expect(await graphToolNames()).toEqual([]);
+  });
+
+  it('leaves the scopes alone when the server does not sign in itself', async () => {
+    registerAuthTools(
+      server,
+      authManager as unknown as AuthManager,
+      toolSet,
+      undefined,
+      undefined,
+      false
+    );
+    client = new Client({ name: 'client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+    const result = callText(
+      await client.callTool({ name: 'set-org-mode', arguments: { enabled: true } })
+    );
+    expect(result.enabledTools).toEqual(['list-joined-teams']);
+    expect(authManager.setScopes).not.toHaveBeenCalled();
+    expect(authManager.getToken).not.toHaveBeenCalled();
+  });
+
+  it('asks for confirmation before making more tools available', async () => {
+    await connect(new ConfirmationGate([], { allowElicitation: false }));
+
+    const preview = callText(
+      await client.callTool({ name: 'set-read-only', arguments: { enabled: false } })
+    );
+    expect(preview.confirmationRequired).toBe(true);
+    expect(await graphToolNames()).toEqual(['list-mail-messages']);
+
+    await client.callTool({
+      name: 'set-read-only',
+      arguments: { enabled: false, confirmationToken: preview.confirmationToken },
+    });
+    expect(await graphToolNames()).toEqual(['list-mail-messages', 'send-mail']);
+
+    // Switching back to read-only needs no confirmation
+    const restored = callText(
+      await client.callTool({ name: 'set-read-only', arguments: { enabled: true } })
+    );
+    expect(restored.disabledTools).toEqual(['send-mail']);
+  });
+});
@@ -0,0 +1,174 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { registerUploadTools, uploadLargeFile } from '../src/upload-tools.js';
+import GraphClient from '../src/graph-client.js';
+import { configurePolicy, Policy } from '../src/policy.js';
+import type AuthManager from '../src/auth.js';
+
+vi.mock('../src/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+const UPLOAD_URL = 'https://upload.example.com/session/abc';
+const CHUNK = 320 * 1024;
+
+function jsonResponse(status: number, body: unknown) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: `Status ${status}`,
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  } as unknown as Response;
+}
+
+describe('upload sessions', () => {
+  let graphClient: GraphClient;
+  let makeRequest: ReturnType<typeof vi.spyOn>;
+
+  beforeEach(() => {
+    global.fetch = vi.fn();
+    graphClient = new GraphClient({} as AuthManager);
+    makeRequest = vi
+      .spyOn(graphClient, 'makeRequest')
+      .mockResolvedValue({ uploadUrl: UPLOAD_URL, nextExpectedRanges: ['0-'] });
+  });
+
+  afterEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it('creates a session with the conflict behavior and uploads in ranged chunks', async () => {
+    const content = Buffer.alloc(CHUNK * 2 + 100, 1);
+    vi.mocked(global.fetch)
+      .mockResolvedValueOnce(jsonResponse(202, { nextExpectedRanges: [`${CHUNK}-`] }))
+      .mockResolvedValueOnce(jsonResponse(202, { nextExpectedRanges: [`${CHUNK * 2}-`] }))
+      .mockResolvedValueOnce(jsonResponse(201, { id: 'item-1', name: 'report.pdf' }));
+
+    const result = await uploadLargeFile(graphClient, {
+      driveId: 'drive',
+      parentItemId: 'root',
+      fileName: 'my report.pdf',
+      content,
+      conflictBehavior: 'replace',
+      chunkSize: CHUNK,
+    });
+
+    expect(result).toEqual({ id: 'item-1', name: 'report.pdf' });
+    expect(makeRequest).toHaveBeenCalledWith(
+      '/drives/drive/items/root:/my%20report.pdf:/createUploadSession',
+      expect.objectContaining({ method: 'POST' })
+    );
+    const sessionBody = JSON.parse(makeRequest.mock.calls[0][1].body);
+    expect(sessionBody.item['@microsoft.graph.conflictBehavior']).toBe('replace');
+
+    const ranges = vi
+      .mocked(global.fetch)
+      .mock.calls.map(([, init]) => (init!.headers as Record<string, string>)['Content-Range']);
+    expect(ranges).toEqual([
+      `bytes 0-${CHUNK - 1}/${content.length}`,
+      `bytes ${CHUNK}-${CHUNK * 2 - 1}/${content.length}`,
+      `bytes ${CHUNK * 2}-${content.length - 1}/${content.length}`,
+    ]);
+    const headers = vi.mocked(global.fetch).mock.calls[0][1]!.headers as Record<string, string>;
+    expect(headers.Authorization).toBeUndefined();
+  });
+
+  it('resumes from the next expected range after a failed chunk', async () => {
+    const content = Buffer.alloc(CHUNK * 2, 1);
+    vi.mocked(global.fetch)
+      .mockResolvedValueOnce(jsonResponse(202, { nextExpectedRanges: [`${CHUNK}-`] }))
+      .mockRejectedValueOnce(new TypeError('socket hang up'))
+      .mockResolvedValueOnce(jsonResponse(200, { nextExpectedRanges: [`${CHUNK}-`] }))
+      .mockResolvedValueOnce(jsonResponse(201, { id: 'item-1' }));
+
+    const result = await uploadLargeFile(graphClient, {
+      driveId: 'drive',
+      parentItemId: 'folder',
+      fileName: 'big.bin',
+      content,
+      conflictBehavior: 'rename',
+      chunkSize: CHUNK,
+      retryDelayMs: 0,
+    });
+
+    expect(result).toEqual({ id: 'item-1' });
+    const calls = vi.mocked(global.fetch).mock.calls;
+    expect(calls).toHaveLength(4);
+    expect(calls[2][0]).toBe(UPLOAD_URL);
+    expect(calls[2][1]).toBeUndefined();
+    expect((calls[3][1]!.headers as Record<string, string>)['Content-Range']).toBe(
+      `bytes ${CHUNK}-${CHUNK * 2 - 1}/${content.length}`
+    );
+  });
+
+  it('reports conflicts when the conflict behavior is fail', async () => {
+    vi.mocked(global.fetch).mockResolvedValueOnce(
+      jsonResponse(409, { error: { code: 'nameAlreadyExists' } })
+    );
+
+    await expect(
+      uploadLargeFile(graphClient, {
+        driveId: 'drive',
+        parentItemId: 'root',
+        fileName: 'exists.txt',
+        content: Buffer.from('hello'),
+        conflictBehavior: 'fail',
+      })
+    ).rejects.toThrow(/conflicts with an existing item/);
+  });
+
+  it('refuses files over the size limit of the policy before creating a session', async () => {
+    let handler: ((params: unknown, extra: unknown) => Promise<{ isError?: boolean }>) | undefined;
+    const server = {
+      tool: vi.fn((...args: unknown[]) => {
+        handler = args[args.length - 1] as typeof handler;
+        return {};
+      }),
+    };
+    registerUploadTools(server as never, graphClient, false);
+
+    configurePolicy(new Policy({ limits: { maxAttachmentBytes: 100 } }));
+    try {
+      const result = await handler?.(
+        {
+          driveId: 'drive-1',
+          parentItemId: 'root',
+          fileName: 'big.bin',
+          contentBase64: Buffer.alloc(101).toString('base64'),
+          conflictBehavior: 'rename',
+        },
+        {}
+      );
+      expect(result?.isError).toBe(true);
+      expect(JSON.stringify(result)).toContain('An upload of 101 bytes exceeds the limit');
+      expect(makeRequest).not.toHaveBeenCalled();
+    } finally {
+      configurePolicy(undefined);
+    }
+  });
+
+  it('only accepts local file paths when allowed', () => {
+    const schemas: Record<string, Record<string, unknown>> = {};
+    const server = {
+      tool: vi.fn((name: string, _description: string, schema: Record<string, unknown>) => {
+        schemas[name] = schema;
+      }),
+    };
+
+    registerUploadTools(server as never, graphClient, false, undefined, false);
+    expect(schemas['upload-large-file']).not.toHaveProperty('filePath');
+
+    registerUploadTools(server as never, graphClient, false, undefined, true);
+    expect(schemas['upload-large-file']).toHaveProperty('filePath');
+  });
+
+  it('is not registered in read-only mode', () => {
+    const server = { tool: vi.fn() };
+    registerUploadTools(server as never, graphClient, true);
+    expect(server.tool).not.toHaveBeenCalled();
+  });
+});